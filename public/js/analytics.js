@@ -0,0 +1,68 @@
+// Analytics dashboard: charts from GET /api/analytics/summary, filtered by ward and date
+(function () {
+  const form = document.getElementById('analyticsFilters');
+  const wardFilter = document.getElementById('wardFilter');
+  const exportLink = document.getElementById('exportCsv');
+  const totals = document.getElementById('analyticsTotals');
+  const charts = {};
+
+  function buildParams() {
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, key) => { if (value) params.set(key, value); });
+    return params;
+  }
+
+  // Replace a chart's data, creating it the first time
+  function draw(id, type, title, labels, data) {
+    if (charts[id]) charts[id].destroy();
+    charts[id] = new Chart(document.getElementById(id), {
+      type,
+      data: { labels, datasets: [{ label: title, data }] },
+      options: { plugins: { title: { display: true, text: title }, legend: { display: type === 'doughnut' } } }
+    });
+  }
+
+  async function loadWards() {
+    const res = await fetch('/api/wards', { credentials: 'same-origin' });
+    if (!res.ok) return;
+    const data = await res.json();
+    data.wards.forEach(w => {
+      const option = document.createElement('option');
+      option.value = w._id;
+      option.textContent = `${w.code} · ${w.name}`;
+      wardFilter.appendChild(option);
+    });
+  }
+
+  async function loadSummary() {
+    const params = buildParams();
+    exportLink.href = '/api/complaints/export?' + params;
+
+    const res = await fetch('/api/analytics/summary?' + params, { credentials: 'same-origin' });
+    const data = await res.json();
+    if (!res.ok) {
+      totals.textContent = data.message || 'Could not load analytics';
+      return;
+    }
+
+    const t = data.totals;
+    totals.textContent = `${t.total} complaint(s) · ${t.open} open · ${t.overdue} overdue`;
+
+    draw('deptChart', 'bar', 'Complaints by department',
+      data.byDepartment.map(g => g.label), data.byDepartment.map(g => g.count));
+    draw('priorityChart', 'doughnut', 'Complaints by severity',
+      data.bySeverity.map(g => g.label), data.bySeverity.map(g => g.count));
+    draw('duplicateChart', 'bar', 'Duplicates',
+      ['Flagged by AI', 'Merged', 'Supporters ("me too")'],
+      [data.duplicates.flagged, data.duplicates.merged, data.duplicates.supporters]);
+    draw('resolutionChart', 'bar', 'Average hours to resolve',
+      data.resolution.map(r => r.category), data.resolution.map(r => r.avgHours));
+    draw('wardChart', 'bar', 'Complaints by ward',
+      data.byWard.map(g => g.label), data.byWard.map(g => g.count));
+  }
+
+  form.addEventListener('submit', e => { e.preventDefault(); loadSummary(); });
+
+  loadWards();
+  loadSummary();
+})();
@@ -0,0 +1,174 @@
+// Classifier accuracy page: GET /api/analytics/classifiers, keyword suggestions and recent corrections
+(function () {
+  const page = document.getElementById('classifiersPage');
+  const form = document.getElementById('classifierFilters');
+  const totals = document.getElementById('classifierTotals');
+  const select = document.getElementById('classifierSelect');
+  const canEdit = page.dataset.canEdit === 'true';
+  const LABELS = { 'zero-shot': 'Text · zero-shot', multilingual: 'Text · multilingual', image: 'Image · MobileNet', keywords: 'Keyword fallback' };
+  let evaluation = null;
+
+  function percent(value) {
+    return value == null ? '—' : Math.round(value * 100) + '%';
+  }
+
+  function buildParams() {
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, key) => { if (value) params.set(key, value); });
+    return params;
+  }
+
+  async function getJson(url) {
+    const res = await fetch(url, { credentials: 'same-origin' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Request failed');
+    return data;
+  }
+
+  function renderSummary() {
+    document.querySelector('#classifierSummary tbody').innerHTML = Object.entries(evaluation.classifiers).map(([name, c]) => `
+      <tr>
+        <td>${escapeHtml(LABELS[name] || name)}</td>
+        <td>${c.evaluated}</td>
+        <td>${percent(c.accuracy)}</td>
+        <td>${percent(c.macroPrecision)}</td>
+        <td>${percent(c.macroRecall)}</td>
+      </tr>`).join('');
+  }
+
+  function renderClassifier() {
+    const c = evaluation.classifiers[select.value];
+
+    document.querySelector('#categoryScores tbody').innerHTML = c.perCategory.length
+      ? c.perCategory.map(s => `
+        <tr>
+          <td>${escapeHtml(s.category)}</td>
+          <td>${percent(s.precision)}</td>
+          <td>${percent(s.recall)}</td>
+          <td>${percent(s.f1)}</td>
+          <td>${s.support}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="5" class="text-muted">No verified complaints for this classifier yet</td></tr>';
+
+    // Only rows/columns with any complaints
+    const { labels, matrix } = c.confusion;
+    const used = labels.map((_, i) => matrix[i].some(n => n > 0) || matrix.some(row => row[i] > 0));
+    const shown = labels.map((label, i) => ({ label, i })).filter(l => used[l.i]);
+
+    document.querySelector('#confusionMatrix thead').innerHTML =
+      `<tr><th></th>${shown.map(l => `<th>${escapeHtml(l.label)}</th>`).join('')}</tr>`;
+    document.querySelector('#confusionMatrix tbody').innerHTML = shown.map(row => `
+      <tr>
+        <th>${escapeHtml(row.label)}</th>
+        ${shown.map(col => `<td class="${row.i === col.i ? 'table-success' : (matrix[row.i][col.i] ? 'table-warning' : '')}">${matrix[row.i][col.i]}</td>`).join('')}
+      </tr>`).join('');
+  }
+
+  async function loadEvaluation(params) {
+    try {
+      evaluation = await getJson('/api/analytics/classifiers?' + params);
+    } catch (err) {
+      totals.textContent = err.message || 'Could not load classifier scores';
+      return;
+    }
+
+    totals.textContent = `${evaluation.verified} verified complaint(s) · ${evaluation.corrected} corrected` +
+      (evaluation.truncated ? ' · most recent only' : '');
+    renderSummary();
+    renderClassifier();
+  }
+
+  async function loadSuggestions(params) {
+    const tbody = document.querySelector('#keywordSuggestions tbody');
+    const columns = canEdit ? 6 : 5;
+    let data;
+    try {
+      data = await getJson('/api/analytics/classifiers/keywords?' + params);
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="${columns}" class="text-muted">${escapeHtml(err.message)}</td></tr>`;
+      return;
+    }
+
+    const rows = data.categories.flatMap(c => c.suggestions.map(s => ({ ...s, category: c.category, categoryId: c.categoryId })));
+    tbody.innerHTML = rows.length
+      ? rows.map(s => `
+        <tr>
+          <td>${escapeHtml(s.category)}</td>
+          <td><strong>${escapeHtml(s.word)}</strong></td>
+          <td>${escapeHtml(s.field)}</td>
+          <td>${s.missed}${s.corrected ? ` <small class="text-muted">(${s.corrected} corrected)</small>` : ''}</td>
+          <td>${percent(s.precision)}</td>
+          ${canEdit ? `<td><button type="button" class="btn btn-sm btn-outline-primary" data-id="${escapeHtml(s.categoryId)}" data-field="${escapeHtml(s.field)}" data-word="${escapeHtml(s.word)}">Add</button></td>` : ''}
+        </tr>`).join('')
+      : `<tr><td colspan="${columns}" class="text-muted">No suggestions</td></tr>`;
+  }
+
+  async function loadCorrections(params) {
+    const tbody = document.querySelector('#correctionList tbody');
+    let data;
+    try {
+      data = await getJson('/api/analytics/corrections?' + params);
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-muted">${escapeHtml(err.message)}</td></tr>`;
+      return;
+    }
+
+    const prediction = (p, field) => p && p[field] ? `${escapeHtml(p[field])} <small class="text-muted">${percent(p.confidence)}</small>` : '—';
+    tbody.innerHTML = data.corrections.length
+      ? data.corrections.map(c => `
+        <tr>
+          <td>
+            ${c.ticketNo ? `<a href="/track/${encodeURIComponent(c.ticketNo)}">${escapeHtml(c.ticketNo)}</a>` : escapeHtml(c.complaintId)}<br>
+            <small>${escapeHtml((c.description || '').slice(0, 80))}</small>
+          </td>
+          <td>${escapeHtml(c.from)} → <strong>${escapeHtml(c.to)}</strong></td>
+          <td>${prediction(c.textClassification, 'predictedCategory')}</td>
+          <td>${prediction(c.imageClassification, 'mappedCategory')}</td>
+          <td>${escapeHtml(c.actor && c.actor.name)} <small class="text-muted">${escapeHtml(c.actorRole)}</small></td>
+          <td>${escapeHtml(c.reason)}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="6" class="text-muted">No corrections yet</td></tr>';
+  }
+
+  // Add a suggested word to the category's keyword list (admins)
+  async function addKeyword(button) {
+    const { id, field, word } = button.dataset;
+    button.disabled = true;
+
+    try {
+      const { categories } = await getJson('/api/categories?all=true');
+      const category = categories.find(c => String(c._id) === id);
+      if (!category) throw new Error('Category not found');
+
+      const res = await fetch('/api/categories/' + encodeURIComponent(id), {
+        method: 'PATCH',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [field]: [...(category[field] || []), word] })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Could not add the keyword');
+
+      button.textContent = 'Added';
+    } catch (err) {
+      button.disabled = false;
+      alert(err.message);
+    }
+  }
+
+  function loadAll() {
+    const params = buildParams();
+    loadEvaluation(params);
+    loadSuggestions(params);
+    loadCorrections(params);
+  }
+
+  form.addEventListener('submit', e => { e.preventDefault(); loadAll(); });
+  select.addEventListener('change', () => { if (evaluation) renderClassifier(); });
+  document.querySelector('#keywordSuggestions tbody').addEventListener('click', e => {
+    const button = e.target.closest('button[data-word]');
+    if (button) addKeyword(button);
+  });
+
+  loadAll();
+})();
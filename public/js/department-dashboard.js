@@ -0,0 +1,185 @@
+// Department dashboard: complaints of the officer's department from GET /api/complaints
+(function () {
+  const deptName = document.getElementById('dept-name');
+  const statusFilter = document.getElementById('statusFilter');
+  const prioritySort = document.getElementById('prioritySort');
+  const wardFilter = document.getElementById('wardFilter');
+  const tbody = document.querySelector('#deptComplaintsTable tbody');
+  const summary = document.getElementById('deptSummary');
+  const prevBtn = document.getElementById('prevPage');
+  const nextBtn = document.getElementById('nextPage');
+  const searchForm = document.getElementById('searchForm');
+  const searchInput = document.getElementById('searchInput');
+  const searchMode = document.getElementById('searchMode');
+
+  const departmentId = deptName.dataset.id;
+  const FIELDS = 'ticketNo,category,description,status,priorityScore,aiSeverityLevel,location,deadline,escalationLevel';
+  const SORTS = { '': '-createdAt', asc: 'priorityScore', desc: '-priorityScore' };
+  let page = 1;
+  let categoryNames = [];
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '—';
+  }
+
+  // Category picker for PATCH /api/complaints/:id/category
+  function categorySelect(c) {
+    const names = categoryNames.includes(c.category) ? categoryNames : [c.category, ...categoryNames];
+    return `
+      <select class="form-select form-select-sm d-inline-block w-auto" data-recategorize="${escapeHtml(c._id)}" data-current="${escapeHtml(c.category)}" title="Correct the category">
+        ${names.map(name => `<option value="${escapeHtml(name)}"${name === c.category ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+      </select>`;
+  }
+
+  // Search results carry highlighted (already escaped) HTML snippets
+  function renderRow(c) {
+    const hl = c.highlights || {};
+    const overdue = c.deadline && new Date(c.deadline) < new Date() &&
+      ['Assigned', 'In Progress', 'Reopened'].includes(c.status);
+    const mapUrl = 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(c.location || '');
+
+    return `
+      <tr>
+        <td>
+          <strong>${hl.ticketNo || escapeHtml(c.ticketNo || c._id)}</strong><br>
+          <small>${escapeHtml(c.category)} · ${hl.description || escapeHtml((c.description || '').slice(0, 80))}</small>
+        </td>
+        <td><span class="status-badge ${escapeHtml((c.status || '').replace(' ', '-').toLowerCase())}">${escapeHtml(c.status)}</span></td>
+        <td>${escapeHtml(c.priorityScore)} <small class="text-muted">${escapeHtml(c.aiSeverityLevel)}</small></td>
+        <td>${hl.location || escapeHtml(c.location)}</td>
+        <td class="${overdue ? 'text-danger fw-semibold' : ''}">
+          ${formatDate(c.deadline)}${c.escalationLevel > 0 ? ` <small>(escalated ${c.escalationLevel})</small>` : ''}
+        </td>
+        <td>
+          ${c.ticketNo ? `<a class="btn btn-sm btn-outline-primary" href="/track/${encodeURIComponent(c.ticketNo)}">Track</a>` : ''}
+          <a class="btn btn-sm btn-outline-secondary" href="${mapUrl}" target="_blank" rel="noopener">Map</a>
+          ${categorySelect(c)}
+        </td>
+      </tr>`;
+  }
+
+  function buildFilters() {
+    const params = new URLSearchParams();
+    if (departmentId) params.set('department', departmentId);
+    if (statusFilter.value) params.set('status', statusFilter.value);
+    if (wardFilter.value) params.set('ward', wardFilter.value);
+    return params;
+  }
+
+  async function searchComplaints() {
+    const params = buildFilters();
+    params.set('q', searchInput.value.trim());
+    params.set('mode', searchMode.value);
+
+    tbody.innerHTML = '<tr><td colspan="6" class="text-muted">Searching…</td></tr>';
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+
+    try {
+      const res = await fetch('/api/complaints/search?' + params, { credentials: 'same-origin' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Search failed');
+
+      tbody.innerHTML = data.items.length
+        ? data.items.map(renderRow).join('')
+        : '<tr><td colspan="6" class="text-muted">No complaints match this search.</td></tr>';
+      summary.textContent = `${data.total} best match(es) for "${data.q}"`;
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-danger">${escapeHtml(err.message)}</td></tr>`;
+      summary.textContent = '';
+    }
+  }
+
+  function refresh() {
+    if (searchInput.value.trim()) searchComplaints();
+    else loadComplaints();
+  }
+
+  async function loadComplaints() {
+    const params = buildFilters();
+    params.set('page', page);
+    params.set('limit', 20);
+    params.set('sort', SORTS[prioritySort.value] || SORTS['']);
+    params.set('fields', FIELDS);
+
+    tbody.innerHTML = '<tr><td colspan="6" class="text-muted">Loading…</td></tr>';
+
+    try {
+      const res = await fetch('/api/complaints?' + params, { credentials: 'same-origin' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Could not load complaints');
+
+      tbody.innerHTML = data.items.length
+        ? data.items.map(renderRow).join('')
+        : '<tr><td colspan="6" class="text-muted">No complaints match these filters.</td></tr>';
+
+      summary.textContent = `${data.total} complaint(s) · page ${data.page} of ${Math.max(data.pages, 1)}`;
+      prevBtn.disabled = data.page <= 1;
+      nextBtn.disabled = data.page >= data.pages;
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-danger">${escapeHtml(err.message)}</td></tr>`;
+      summary.textContent = '';
+    }
+  }
+
+  async function loadWards() {
+    const res = await fetch('/api/wards', { credentials: 'same-origin' });
+    if (!res.ok) return;
+    const data = await res.json();
+    data.wards.forEach(w => {
+      const option = document.createElement('option');
+      option.value = w._id;
+      option.textContent = `${w.code} · ${w.name}`;
+      wardFilter.appendChild(option);
+    });
+  }
+
+  async function loadCategories() {
+    const res = await fetch('/api/categories', { credentials: 'same-origin' });
+    if (!res.ok) return;
+    const data = await res.json();
+    categoryNames = [...data.categories.map(c => c.name), data.other];
+  }
+
+  // Logged as a correction of the AI's category (see GET /analytics/classifiers)
+  async function recategorize(select) {
+    const reason = prompt(`Change the category to ${select.value}? Why was it wrong? (optional)`);
+    if (reason === null) {
+      select.value = select.dataset.current;
+      return;
+    }
+
+    try {
+      const res = await fetch('/api/complaints/' + encodeURIComponent(select.dataset.recategorize) + '/category', {
+        method: 'PATCH',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category: select.value, reason })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || 'Could not change the category');
+
+      if (data.suggestedDepartment) {
+        alert(`${data.message}. This category is handled by ${data.suggestedDepartment.name}; reassign the complaint if it should move.`);
+      }
+      refresh();
+    } catch (err) {
+      select.value = select.dataset.current;
+      alert(err.message);
+    }
+  }
+
+  tbody.addEventListener('change', e => {
+    if (e.target.matches('select[data-recategorize]')) recategorize(e.target);
+  });
+  statusFilter.addEventListener('change', () => { page = 1; refresh(); });
+  wardFilter.addEventListener('change', () => { page = 1; refresh(); });
+  prioritySort.addEventListener('change', () => { page = 1; searchInput.value = ''; loadComplaints(); });
+  searchForm.addEventListener('submit', e => { e.preventDefault(); page = 1; refresh(); });
+  searchInput.addEventListener('search', () => { if (!searchInput.value) { page = 1; loadComplaints(); } });
+  prevBtn.addEventListener('click', () => { page--; loadComplaints(); });
+  nextBtn.addEventListener('click', () => { page++; loadComplaints(); });
+
+  loadWards();
+  loadCategories().finally(loadComplaints);
+})();
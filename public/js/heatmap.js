@@ -0,0 +1,91 @@
+// Complaint heatmap: priority-weighted grid cells from GET /api/analytics/heatmap
+(function () {
+  const form = document.getElementById('heatmapFilters');
+  const wardFilter = document.getElementById('wardFilter');
+  const exportLink = document.getElementById('geojsonExport');
+  const summary = document.getElementById('heatmapSummary');
+
+  // Whole of India until the first response; then the map fits the complaints
+  const DEFAULT_CENTER = { lat: 20.5937, lng: 78.9629 };
+
+  let map = null;
+  let layer = null;
+  let requestId = 0;
+  let fitted = false;
+
+  function buildParams() {
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, key) => { if (value) params.set(key, value); });
+    return params;
+  }
+
+  // About 16 screen pixels per cell at the current zoom
+  function cellForZoom(zoom) {
+    return 22.5 / Math.pow(2, zoom);
+  }
+
+  async function loadWards() {
+    const res = await fetch('/api/wards', { credentials: 'same-origin' });
+    if (!res.ok) return;
+    const data = await res.json();
+    data.wards.forEach(w => {
+      const option = document.createElement('option');
+      option.value = w._id;
+      option.textContent = `${w.code} · ${w.name}`;
+      wardFilter.appendChild(option);
+    });
+  }
+
+  async function loadHeatmap() {
+    const params = buildParams();
+    exportLink.href = '/api/analytics/heatmap?' + params + '&format=geojson&download=true';
+    if (!map) return;
+
+    const bounds = map.getBounds();
+    if (bounds && fitted) {
+      const sw = bounds.getSouthWest();
+      const ne = bounds.getNorthEast();
+      // Skip bbox when the view wraps the antimeridian or the whole world
+      if (sw.lng() < ne.lng()) params.set('bbox', [sw.lng(), sw.lat(), ne.lng(), ne.lat()].map(n => n.toFixed(5)).join(','));
+    }
+    params.set('cell', cellForZoom(map.getZoom()).toFixed(6));
+
+    const id = ++requestId;
+    const res = await fetch('/api/analytics/heatmap?' + params, { credentials: 'same-origin' });
+    const data = await res.json();
+    if (id !== requestId) return;  // a newer request is on its way
+
+    if (!res.ok) {
+      summary.textContent = data.message || 'Could not load the heatmap';
+      return;
+    }
+
+    if (!fitted) {
+      fitted = true;
+      if (data.points.length) {
+        const all = new google.maps.LatLngBounds();
+        data.points.forEach(p => all.extend({ lat: p.lat, lng: p.lng }));
+        map.fitBounds(all);  // triggers 'idle' → reload for the new view
+        return;
+      }
+    }
+
+    summary.textContent = `${data.total} complaint(s) in view` + (data.truncated ? ' (busiest areas only — zoom in for more)' : '');
+    layer.setData(data.points.map(p => ({
+      location: new google.maps.LatLng(p.lat, p.lng),
+      weight: p.weight
+    })));
+  }
+
+  // Called by the Maps script once it has loaded
+  window.initHeatmap = function () {
+    map = new google.maps.Map(document.getElementById('heatmapMap'), { center: DEFAULT_CENTER, zoom: 5 });
+    layer = new google.maps.visualization.HeatmapLayer({ map, radius: 24 });
+    map.addListener('idle', loadHeatmap);
+  };
+
+  form.addEventListener('change', loadHeatmap);
+
+  loadWards();
+  loadHeatmap();
+})();
@@ -35,12 +35,49 @@
   function getLocation() {
     if (!navigator.geolocation) return;
     navigator.geolocation.getCurrentPosition(pos => {
-      document.getElementById('latVal').textContent = pos.coords.latitude.toFixed(5);
-      document.getElementById('lngVal').textContent = pos.coords.longitude.toFixed(5);
+      const lat = pos.coords.latitude.toFixed(5);
+      const lng = pos.coords.longitude.toFixed(5);
+      document.getElementById('latVal').textContent = lat;
+      document.getElementById('lngVal').textContent = lng;
+
+      // Submitted with the form; the address becomes optional with a GPS fix
+      const latInput = document.getElementById('latInput');
+      if (!latInput) return;
+      latInput.value = lat;
+      document.getElementById('lngInput').value = lng;
+      document.getElementById('locationInput').required = false;
+      loadNearby(lat, lng);
     });
   }
   getLocation();
 
+  // Open complaints already reported around the GPS fix
+  async function loadNearby(lat, lng) {
+    const box = document.getElementById('nearbyBox');
+    const list = document.getElementById('nearbyList');
+    const params = new URLSearchParams({ lat, lng, status: 'Assigned,In Progress,Reopened', limit: 5 });
+
+    try {
+      const res = await fetch('/api/complaints/nearby?' + params, { credentials: 'same-origin' });
+      if (!res.ok) return;
+      const data = await res.json();
+
+      list.innerHTML = '';
+      data.items.forEach(c => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '/track/' + encodeURIComponent(c.ticketNo || '');
+        link.textContent = `${c.category} · ${c.status}`;
+        item.append(link, ` — ${c.distance} m away`);
+        if (c.supporterCount) item.append(` · ${c.supporterCount} supporter(s)`);
+        list.appendChild(item);
+      });
+      box.hidden = data.items.length === 0;
+    } catch (err) {
+      box.hidden = true;
+    }
+  }
+
   // Speech-to-text
   let recognition, isRecording = false;
   function toggleSTT() {
@@ -49,7 +86,7 @@
     const btn = document.getElementById('sttBtn');
     if (isRecording) return recognition.stop();
     recognition = new SR();
-    recognition.lang = 'en-IN';
+    recognition.lang = document.getElementById('sttLang')?.value || 'en-IN';
     recognition.onstart = () => {
       isRecording = true;
       btn.classList.add('recording');
@@ -63,4 +100,118 @@
       btn.classList.remove('recording');
     };
     recognition.start();
-  }
\ No newline at end of file
+  }
+
+  // Voice complaint: record, convert to 16 kHz WAV (the server decodes WAV
+  // without ffmpeg) and transcribe on the server
+  let voiceRecorder = null;
+  async function toggleVoiceRecording() {
+    const btn = document.getElementById('voiceBtn');
+    const status = document.getElementById('voiceStatus');
+    if (voiceRecorder) return voiceRecorder.stop();
+    if (!navigator.mediaDevices || !window.MediaRecorder) return alert('Voice recording not supported in this browser.');
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      status.textContent = 'Microphone access was denied.';
+      return;
+    }
+
+    const chunks = [];
+    voiceRecorder = new MediaRecorder(stream);
+    voiceRecorder.ondataavailable = e => chunks.push(e.data);
+    voiceRecorder.onstop = async () => {
+      stream.getTracks().forEach(track => track.stop());
+      voiceRecorder = null;
+      btn.classList.remove('recording');
+      btn.textContent = '⏺ Record voice complaint';
+      status.textContent = 'Transcribing…';
+      try {
+        await transcribeVoice(await toWav(new Blob(chunks, { type: chunks[0]?.type || 'audio/webm' })));
+      } catch (err) {
+        status.textContent = 'Could not transcribe the recording, please type your complaint.';
+      }
+    };
+    voiceRecorder.start();
+    btn.classList.add('recording');
+    btn.textContent = '⏹ Stop recording';
+    status.textContent = 'Recording… tap again to stop';
+  }
+
+  // Decode a recording and encode it as 16 kHz mono 16-bit WAV
+  async function toWav(blob) {
+    const rate = 16000;
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+    ctx.close();
+
+    const offline = new OfflineAudioContext(1, Math.ceil(decoded.duration * rate), rate);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+    const samples = (await offline.startRendering()).getChannelData(0);
+
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeText = (at, text) => [...text].forEach((ch, i) => view.setUint8(at + i, ch.charCodeAt(0)));
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);        // fmt chunk size
+    view.setUint16(20, 1, true);         // PCM
+    view.setUint16(22, 1, true);         // mono
+    view.setUint32(24, rate, true);
+    view.setUint32(28, rate * 2, true);  // bytes per second
+    view.setUint16(32, 2, true);         // bytes per frame
+    view.setUint16(34, 16, true);        // bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((v, i) => view.setInt16(44 + i * 2, Math.max(-1, Math.min(1, v)) * 0x7fff, true));
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  // Upload the recording; the transcript fills the description for the citizen to correct
+  async function transcribeVoice(wav) {
+    const status = document.getElementById('voiceStatus');
+    const form = new FormData();
+    form.append('audio', wav, 'voice.wav');
+
+    // Whisper detects the language itself; Hindi/Marathi picked above is passed as a hint
+    const language = (document.getElementById('sttLang')?.value || 'en-IN').slice(0, 2);
+    if (language !== 'en') form.append('language', language);
+
+    const lat = document.getElementById('latInput').value;
+    const lng = document.getElementById('lngInput').value;
+    const location = document.getElementById('locationInput').value;
+    if (lat && lng) {
+      form.append('lat', lat);
+      form.append('lng', lng);
+    }
+    if (location) form.append('location', location);
+
+    const res = await fetch('/api/complaints/voice', { method: 'POST', body: form });
+    const data = await res.json();
+    if (!res.ok) {
+      status.textContent = data.message || 'Could not transcribe the recording.';
+      return;
+    }
+
+    document.getElementById('description').value = data.transcript;
+    document.getElementById('audioInput').value = data.audio;
+
+    const playback = document.getElementById('voicePlayback');
+    playback.src = data.audioUrl;
+    playback.hidden = false;
+
+    // Pick the suggested category's card
+    const card = document.querySelector(`.issue-card[data-type="${CSS.escape(data.suggestedCategory)}"]`);
+    if (card) card.click();
+
+    const duplicate = data.aiInsights.duplicateCheck;
+    status.textContent = 'Check the transcript above and correct it before submitting.' +
+      (duplicate && duplicate.isDuplicate ? ' A similar complaint may already exist nearby.' : '');
+  }
@@ -0,0 +1,186 @@
+// User dashboard: profile, complaint form and the citizen's own complaints
+(function () {
+  const form = document.getElementById('complaintForm');
+  const message = document.getElementById('form-message');
+  const aiResults = document.getElementById('ai-results');
+  const tbody = document.querySelector('#complaintsTable tbody');
+  const loadMoreBtn = document.getElementById('loadMore');
+
+  const FIELDS = 'ticketNo,category,status,priorityScore,aiSeverityLevel,aiDuplicateCheck,department,deadline';
+  let nextCursor = '';
+  let departments = {};
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '—';
+  }
+
+  function showMessage(html, type) {
+    message.className = 'mt-3 alert alert-' + type;
+    message.innerHTML = html;
+    message.style.display = 'block';
+  }
+
+  async function getJson(url, options) {
+    const res = await fetch(url, Object.assign({ credentials: 'same-origin' }, options));
+    const data = await res.json();
+    return { res, data };
+  }
+
+  // Profile
+  async function loadProfile() {
+    const { res, data } = await getJson('/api/auth/me');
+    if (!res.ok) return;
+    document.getElementById('profile-section').innerHTML =
+      `<p class="mb-0"><strong>${escapeHtml(data.user.name)}</strong> · ${escapeHtml(data.user.email)}</p>`;
+  }
+
+  // Department names for the Dept. column
+  async function loadDepartments() {
+    const { res, data } = await getJson('/api/departments');
+    if (!res.ok) return;
+    data.departments.forEach(d => { departments[d._id] = d.name; });
+  }
+
+  function renderRow(c) {
+    const dup = c.aiDuplicateCheck && c.aiDuplicateCheck.isDuplicate ? `${c.aiDuplicateCheck.similarity}%` : '—';
+    const ticket = c.ticketNo
+      ? `<a href="/track/${encodeURIComponent(c.ticketNo)}">${escapeHtml(c.ticketNo)}</a>`
+      : escapeHtml(c._id);
+
+    return `
+      <tr>
+        <td>${ticket}<br><small>${escapeHtml(c.category)}</small></td>
+        <td>${escapeHtml(c.status)}</td>
+        <td>${escapeHtml(c.priorityScore)} <small class="text-muted">${escapeHtml(c.aiSeverityLevel)}</small></td>
+        <td>${dup}</td>
+        <td>${escapeHtml(departments[c.department] || '—')}</td>
+        <td>${formatDate(c.deadline)}</td>
+      </tr>`;
+  }
+
+  // Own complaints, newest first, using cursor pagination
+  async function loadComplaints(reset) {
+    if (reset) {
+      nextCursor = '';
+      tbody.innerHTML = '';
+    }
+
+    const params = new URLSearchParams({ cursor: nextCursor, limit: 10, sort: '-createdAt', fields: FIELDS });
+    const { res, data } = await getJson('/api/complaints?' + params);
+
+    if (!res.ok) {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-danger">${escapeHtml(data.message)}</td></tr>`;
+      return;
+    }
+
+    if (reset && data.items.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="text-muted">No complaints reported yet.</td></tr>';
+    }
+    tbody.insertAdjacentHTML('beforeend', data.items.map(renderRow).join(''));
+
+    nextCursor = data.nextCursor;
+    loadMoreBtn.style.display = nextCursor ? 'inline-block' : 'none';
+  }
+
+  const ANALYSIS_STATES = {
+    analysing: 'Preliminary results — AI analysis in progress…',
+    complete: 'AI analysis complete.',
+    failed: 'AI analysis could not finish; showing the preliminary results.'
+  };
+
+  // Fill the AI panel from a complaint's ticket, category, deadline and insights
+  function showAiResults({ ticketNo, category, deadline, aiInsights, state }) {
+    const insights = aiInsights || {};
+    document.getElementById('ai-ticket').textContent = ticketNo || '—';
+    document.getElementById('ai-category').textContent = category || '—';
+    document.getElementById('ai-duplicate').textContent = insights.duplicateCheck ? insights.duplicateCheck.similarity : 0;
+    document.getElementById('ai-priority').textContent = insights.priority ? `${insights.priority.score} (${insights.priority.severityLevel})` : '—';
+    document.getElementById('ai-deadline').textContent = formatDate(deadline);
+    document.getElementById('ai-state').textContent = ANALYSIS_STATES[state] || '';
+    aiResults.style.display = 'block';
+  }
+
+  // Update the AI panel when the queued analysis finishes
+  function followAnalysis(streamUrl) {
+    if (!window.EventSource) return;
+
+    const source = new EventSource(streamUrl);
+    source.addEventListener('analysis', e => {
+      const view = JSON.parse(e.data);
+      showAiResults(view);
+      if (view.state !== 'analysing') {
+        source.close();
+        loadComplaints(true);
+      }
+    });
+    source.onerror = () => source.close();
+  }
+
+  // Submit; on a suspected duplicate offer "me too" or submitting anyway
+  async function submitComplaint(body) {
+    const { res, data } = await getJson('/api/complaints', { method: 'POST', body });
+
+    if (res.status === 201) {
+      showMessage(`Complaint submitted. Ticket <strong>${escapeHtml(data.ticketNo)}</strong>.`, 'success');
+      const { complaint, analysis } = data;
+      showAiResults({
+        ticketNo: data.ticketNo,
+        category: complaint.category,
+        deadline: complaint.deadline,
+        aiInsights: data.aiInsights,
+        state: analysis && analysis.state
+      });
+      if (analysis && analysis.state === 'analysing') followAnalysis(analysis.streamUrl);
+      form.reset();
+      loadComplaints(true);
+    } else if (res.ok) {
+      showMessage('Added your support to the existing complaint.', 'success');
+      form.reset();
+    } else if (res.status === 409 && data.matchingComplaint) {
+      const m = data.matchingComplaint;
+      showMessage(`
+        <strong>${escapeHtml(data.message)}</strong> (${escapeHtml(data.similarity)}% similar)<br>
+        ${data.explanation ? `<small>${escapeHtml(data.explanation)}</small><br>` : ''}
+        ${escapeHtml(m.category)} at ${escapeHtml(m.location)}: ${escapeHtml(m.description)}<br>
+        <button type="button" class="btn btn-success btn-sm mt-2" data-duplicate="support">Me too — add my support</button>
+        <button type="button" class="btn btn-secondary btn-sm mt-2" data-duplicate="submit">Submit as a new complaint</button>`, 'warning');
+
+      message.querySelectorAll('[data-duplicate]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const retry = new FormData(form);
+          retry.delete('image');
+          if (data.image) retry.set('image', data.image);
+          retry.set('onDuplicate', btn.dataset.duplicate);
+          submitComplaint(retry);
+        });
+      });
+    } else {
+      showMessage(escapeHtml(data.message || 'Error submitting complaint'), 'danger');
+    }
+  }
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    showMessage('Submitting your complaint…', 'info');
+    aiResults.style.display = 'none';
+    const body = new FormData(form);
+    if (!document.getElementById('image').files.length) body.delete('image');
+    submitComplaint(body);
+  });
+
+  document.getElementById('useGps').addEventListener('click', () => {
+    if (!navigator.geolocation) return;
+    navigator.geolocation.getCurrentPosition(pos => {
+      const lat = pos.coords.latitude.toFixed(5);
+      const lng = pos.coords.longitude.toFixed(5);
+      document.getElementById('lat').value = lat;
+      document.getElementById('lng').value = lng;
+      document.getElementById('location').value = `${lat}, ${lng}`;
+    });
+  });
+
+  loadMoreBtn.addEventListener('click', () => loadComplaints(false));
+
+  loadProfile();
+  loadDepartments().then(() => loadComplaints(true));
+})();
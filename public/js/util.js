@@ -0,0 +1,13 @@
+// Helpers shared by the page scripts (loaded by the layout before them)
+
+/**
+ * Escape text for HTML content and quoted attribute values
+ */
+function escapeHtml(value) {
+  return (value == null ? '' : String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,70 @@
+// Ward management: upload GeoJSON boundaries, edit area weights (admin)
+(function () {
+  const form = document.getElementById('importForm');
+  const message = document.getElementById('wardMessage');
+  const tbody = document.querySelector('#wardsTable tbody');
+
+  function showMessage(text, type) {
+    message.className = 'alert alert-' + type;
+    message.textContent = text;
+    message.style.display = 'block';
+  }
+
+  function renderRow(w) {
+    return `
+      <tr data-id="${escapeHtml(w._id)}">
+        <td>${escapeHtml(w.code)}</td>
+        <td><input class="form-control form-control-sm" name="name" value="${escapeHtml(w.name)}"></td>
+        <td><input class="form-control form-control-sm" name="areaWeight" type="number" min="0" max="100" value="${escapeHtml(w.areaWeight)}" style="width: 90px;"></td>
+        <td><input class="form-check-input" name="active" type="checkbox" ${w.active ? 'checked' : ''}></td>
+        <td>${escapeHtml(w.openComplaints)}</td>
+        <td><button class="btn btn-sm btn-outline-primary" type="button" data-save>Save</button></td>
+      </tr>`;
+  }
+
+  async function loadWards() {
+    const res = await fetch('/api/wards', { credentials: 'same-origin' });
+    const data = await res.json();
+    if (!res.ok) {
+      tbody.innerHTML = `<tr><td colspan="6" class="text-danger">${escapeHtml(data.message)}</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = data.wards.length
+      ? data.wards.map(renderRow).join('')
+      : '<tr><td colspan="6" class="text-muted">No wards yet. Upload their boundaries above.</td></tr>';
+  }
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    showMessage('Uploading…', 'info');
+    const res = await fetch('/api/wards/import', { method: 'POST', body: new FormData(form), credentials: 'same-origin' });
+    const data = await res.json();
+    if (!res.ok) return showMessage(data.message || 'Upload failed', 'danger');
+
+    showMessage(`${data.created} ward(s) created, ${data.updated} updated; ${data.assignedComplaints} complaint(s) placed in a ward.`, 'success');
+    form.reset();
+    loadWards();
+  });
+
+  tbody.addEventListener('click', async e => {
+    if (!e.target.matches('[data-save]')) return;
+    const row = e.target.closest('tr');
+    const body = {
+      name: row.querySelector('[name="name"]').value,
+      areaWeight: Number(row.querySelector('[name="areaWeight"]').value),
+      active: row.querySelector('[name="active"]').checked
+    };
+
+    const res = await fetch('/api/wards/' + row.dataset.id, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      credentials: 'same-origin'
+    });
+    const data = await res.json();
+    showMessage(res.ok ? `Saved ${data.ward.code}.` : (data.message || 'Save failed'), res.ok ? 'success' : 'danger');
+    if (res.ok) loadWards();
+  });
+
+  loadWards();
+})();
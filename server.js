@@ -4,7 +4,11 @@
  * This file initializes the application by:
  * 1. Loading environment variables from .env
  * 2. Connecting to MongoDB database
- * 3. Starting the Express server on port 3000
+ * 3. Running startup data migrations and seeding default data
+ * 4. Starting background jobs (SLA escalation, ...) and loading the
+ *    embedding vector index (in the background)
+ * 5. Starting the Express server on port 3000
+ * 6. Warming up the AI models (MODEL_WARMUP=true)
  * 
  * The server runs with or without database connection.
  * If DB is unavailable, complaints will not be saved but the app remains functional.
@@ -13,15 +17,29 @@
 require("dotenv").config();
 const app = require("./src/app");
 const connectToDB = require("./src/config/database");
+const runMigrations = require("./src/config/migrations");
+const seedDefaults = require("./src/config/seed");
+const { startJobs } = require("./src/jobs");
+const { warmUpModels } = require("./src/services/model.service");
+const { loadIndex } = require("./src/services/vector-index.service");
 
 // Connect to database and start server
-connectToDB().then((db) => {
+connectToDB().then(async (db) => {
+  if (db) {
+    await runMigrations();
+    await seedDefaults();
+    startJobs();
+    loadIndex();  // rebuilds from the database if there's no saved index
+  }
   app.listen(3000, () => {
     console.log("server is running on port 3000");
     if (!db) {
       console.log("Warning: MongoDB not available - complaints will not be saved");
     }
   });
+  if (process.env.MODEL_WARMUP === "true") {
+    warmUpModels();  // in the background; early requests share the same loads
+  }
 }).catch(err => {
   console.log("Server startup error:", err.message);
   // Start server anyway (without database functionality)
@@ -16,28 +16,40 @@ require("dotenv").config();
 // Import required modules
 const express = require("express");
 const app = express();
-const multer = require("multer");
 const path = require("path");
-const fs = require("fs");
 const ejsMate = require("ejs-mate");  // EJS template engine helper
 const mongoose = require("mongoose"); // MongoDB ODM (used for schema reference)
 const session = require("express-session");
 const flash = require("connect-flash");
 
-// ensure uploads directory exists
-const uploadsDir = path.join(__dirname, "..", "uploads");
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log("Created missing uploads directory:", uploadsDir);
-}
-
 // Import routes
 const authRouter = require("./routes/auth.routes");
 const complaintRouter = require("./routes/complaint.routes");
+const adminRouter = require("./routes/admin.routes");
+const departmentRouter = require("./routes/department.routes");
+const slaRouter = require("./routes/sla.routes");
+const categoryRouter = require("./routes/category.routes");
+const notificationRouter = require("./routes/notification.routes");
+const trackRouter = require("./routes/track.routes");
+const wardRouter = require("./routes/ward.routes");
+const analyticsRouter = require("./routes/analytics.routes");
+const healthRouter = require("./routes/health.routes");
+const jobRouter = require("./routes/job.routes");
 const cookieParser = require("cookie-parser");
 
+// File uploads (shared multer config)
+const { upload, uploadsDir, voiceDir } = require("./config/upload");
+
 // Import models
 const Complaint = require("./models/complaint");
+const Department = require("./models/department.model");
+
+// Import middleware
+const { STAFF_ROLES, attachUser, requireAuth, requireRole } = require("./middleware/auth.middleware");
+const { clearToken } = require("./services/auth.service");
+const { parseTicketNo, findByTicketNo, toPublicStatus } = require("./services/ticket.service");
+const { getCategories, getAllCategories } = require("./services/category.service");
+const { recordImageUpload } = require("./services/upload.service");
 
 // ============================================
 // MIDDLEWARE SETUP
@@ -47,9 +59,22 @@ const Complaint = require("./models/complaint");
 app.use(express.json());
 app.use(cookieParser());
 
+// Attach the logged-in user (if any) to req.user on every request
+app.use(attachUser);
+
 // Mount API routes
 app.use("/api/auth", authRouter);       // Authentication endpoints (register, login)
 app.use("/api/complaints", complaintRouter); // Complaint CRUD endpoints
+app.use("/api/admin", adminRouter);     // User management (admin only)
+app.use("/api/departments", departmentRouter); // Departments & category routing
+app.use("/api/sla-policies", slaRouter); // SLA deadlines per category/severity
+app.use("/api/categories", categoryRouter); // Complaint category taxonomy
+app.use("/api/notifications", notificationRouter); // In-app notifications
+app.use("/api/track", trackRouter);     // Public status by ticket number
+app.use("/api/wards", wardRouter);      // Ward boundaries (prabhags)
+app.use("/api/analytics", analyticsRouter); // Complaint statistics
+app.use("/api/health", healthRouter);   // Server, database & AI model status
+app.use("/api/jobs", jobRouter);         // Background jobs & dead letters (admin)
 
 // Configure EJS as the view engine
 app.engine("ejs", ejsMate);
@@ -78,20 +103,20 @@ app.use(flash());
 // FILE UPLOAD CONFIGURATION (Multer)
 // ============================================
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/"); // Save uploaded files to uploads/ directory
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp
-    cb(null, Date.now() + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({ storage });
+// Storage settings live in config/upload.js
 
-// Serve uploaded files statically
-app.use("/uploads", express.static("uploads"));
+// Serve uploaded files statically, except voice recordings
+// (private: GET /api/complaints/voice/:audio checks who is asking)
+app.use("/uploads", (req, res, next) => {
+  let file;
+  try {
+    file = path.join(uploadsDir, decodeURIComponent(req.path));
+  } catch {
+    return res.status(400).end();
+  }
+  if (file === voiceDir || file.startsWith(voiceDir + path.sep)) return res.status(404).end();
+  next();
+}, express.static(uploadsDir));
 
 // ============================================
 // PAGE ROUTES
@@ -126,18 +151,19 @@ app.get("/register", (req, res) => {
  * Route: GET /logout
  */
 app.get("/logout", (req, res) => {
-  res.clearCookie("token");
+  clearToken(res);
   res.redirect("/");
 });
 
 /**
  * Report issue page
  * Route: GET /report
- * Displays the complaint submission form
+ * Displays the complaint submission form (login required)
  */
-app.get("/report", (req, res) => {
+app.get("/report", requireAuth, async (req, res) => {
   res.render("pages/report", { 
     activePage: 'how-to',
+    categories: await getCategories(),
     error: req.flash("error")[0] || null,
     duplicate: req.flash("duplicate")[0] || null
   });
@@ -152,36 +178,67 @@ app.get("/report", (req, res) => {
  * 1. Upload image to uploads/ directory
  * 2. Send data to /api/complaints endpoint
  * 3. Handle duplicate detection response (409 status)
- * 4. Redirect to complaints page on success
+ * 4. Redirect to complaints page with the new ticket number on success
+ * 
+ * The duplicate warning can resubmit with `force=1` and the already
+ * uploaded `existingImage` to file the complaint anyway.
+ * `lat`/`lng` carry the browser's GPS fix, when it shared one.
+ * `audio` comes from a voice draft (POST /api/complaints/voice) whose
+ * corrected transcript is the description.
  */
-app.post("/report", upload.single("image"), async (req, res) => {
+app.post("/report", requireAuth, upload.single("image"), async (req, res) => {
   try {
-    const imageData = req.file ? req.file.filename : undefined;
+    // The API only accepts an existingImage this user uploaded
+    const imageData = req.file
+      ? await recordImageUpload(req.file, req.user)
+      : (req.body.existingImage ? path.basename(req.body.existingImage) : undefined);
 
-    // Call the AI complaint API
+    // Call the AI complaint API, forwarding the auth cookie
     const response = await fetch(`http://localhost:${process.env.PORT || 3000}/api/complaints`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: {
+        "Content-Type": "application/json",
+        Cookie: req.headers.cookie || ""
+      },
       body: JSON.stringify({
         category: req.body.category,
+        subcategory: req.body.subcategory || undefined,
         description: req.body.description,
         location: req.body.location,
+        lat: req.body.lat || undefined,
+        lng: req.body.lng || undefined,
         image: imageData,
-        createdBy: "Vanshika", // TODO: Replace with actual logged-in user
+        audio: req.body.audio || undefined,
+        onDuplicate: req.body.force ? "submit" : undefined,
       }),
     });
 
     const data = await response.json();
 
-    if (response.ok) {
-      // Complaint submitted successfully
+    if (response.ok && data.ticketNo) {
+      // Complaint submitted successfully - show its ticket number
+      res.redirect(`/complaints?submitted=${encodeURIComponent(data.ticketNo)}`);
+    } else if (response.ok) {
+      // Supported an existing complaint instead
       res.redirect("/complaints");
-    } else if (response.status === 409) {
-      // Duplicate detected - show warning with details
+    } else if (response.status === 409 && data.matchingComplaint) {
+      // Duplicate detected - show warning with "me too" / submit anyway options
       req.flash("duplicate", {
         message: data.message,
         similarity: data.similarity,
-        matchingComplaint: data.matchingComplaint
+        explanation: data.explanation,
+        signals: data.signals || [],
+        matchingComplaint: data.matchingComplaint,
+        submission: {
+          category: req.body.category,
+          subcategory: req.body.subcategory || "",
+          description: req.body.description,
+          location: req.body.location,
+          lat: req.body.lat || "",
+          lng: req.body.lng || "",
+          image: imageData || null,
+          audio: req.body.audio || ""
+        }
       });
       res.redirect("/report");
     } else {
@@ -196,19 +253,165 @@ app.post("/report", upload.single("image"), async (req, res) => {
   }
 });
 
+/**
+ * Support an existing complaint ("me too")
+ * Route: POST /report/support/:id
+ * One-click action from the duplicate warning on the report page;
+ * attaches the citizen (and their photo) to the existing complaint.
+ */
+app.post("/report/support/:id", requireAuth, async (req, res) => {
+  try {
+    const response = await fetch(`http://localhost:${process.env.PORT || 3000}/api/complaints/${encodeURIComponent(req.params.id)}/support`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Cookie: req.headers.cookie || ""
+      },
+      body: JSON.stringify({
+        image: req.body.image || undefined
+      }),
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      res.redirect("/complaints");
+    } else {
+      req.flash("error", data.message || "Error supporting complaint");
+      res.redirect("/report");
+    }
+  } catch (error) {
+    console.error("Support Submission Error:", error);
+    req.flash("error", "Error supporting complaint");
+    res.redirect("/report");
+  }
+});
+
+// Complaints by others: staff only, one page at a time, card fields only
+const OTHER_COMPLAINTS_PER_PAGE = 24;
+const OTHER_COMPLAINT_FIELDS = "ticketNo image category subcategory description location status statusHistory " +
+  "resolution.photos priorityScore priorityBreakdown aiSeverityLevel textClassification.confidence analysis.state " +
+  "aiDuplicateCheck.isDuplicate aiDuplicateCheck.similarity mergedInto deadline escalationLevel createdAt";
+
 /**
  * View all complaints
  * Route: GET /complaints
- * Displays user's complaints and others' complaints
+ * Displays the logged-in user's complaints; staff also see others'
+ * complaints (their department's, unless admin), newest first
+ *
+ * @query {number} page - Page of others' complaints (staff)
  */
-app.get("/complaints", async (req, res) => {
-  // TODO: Replace 'Vanshika' with actual logged-in user from auth
-  const myComplaints = await Complaint.find({ createdBy: "Vanshika" });
-  const otherComplaints = await Complaint.find({ createdBy: { $ne: "Vanshika" } });
+app.get("/complaints", requireAuth, async (req, res) => {
+  const myComplaints = await Complaint.find({ createdBy: req.user._id }).select("-embedding -imageFingerprint");
+
+  let otherComplaints = null;
+  let otherPage = 1;
+  let otherPages = 0;
+
+  // Citizens only view their own complaints
+  if (STAFF_ROLES.includes(req.user.role)) {
+    const filter = { createdBy: { $ne: req.user._id }, mergedInto: null };
+    if (req.user.role !== "admin" && req.user.department) {
+      filter.department = req.user.department;
+    }
+
+    otherPages = Math.ceil(await Complaint.countDocuments(filter) / OTHER_COMPLAINTS_PER_PAGE);
+    otherPage = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), Math.max(otherPages, 1));
+    otherComplaints = await Complaint.find(filter)
+      .select(OTHER_COMPLAINT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((otherPage - 1) * OTHER_COMPLAINTS_PER_PAGE)
+      .limit(OTHER_COMPLAINTS_PER_PAGE)
+      .lean();
+  }
+
+  const categoryIcons = Object.fromEntries((await getAllCategories()).map(c => [c.name, c.icon]));
   res.render("pages/complaint", {
     myComplaints,
     otherComplaints,
-    activePage: 'complaints'
+    otherPage,
+    otherPages,
+    categoryIcons,
+    activePage: 'complaints',
+    error: req.flash("error")[0] || null,
+    submitted: parseTicketNo(req.query.submitted)
+  });
+});
+
+/**
+ * Confirm or reopen a resolved complaint
+ * Route: POST /complaints/:id/status
+ * Used by the confirm / reopen buttons on completed complaints
+ * 
+ * @body {string} status - "Closed" (confirm the fix) or "Reopened"
+ * @body {string} remark - Reason, required to reopen
+ */
+app.post("/complaints/:id/status", requireAuth, async (req, res) => {
+  try {
+    const response = await fetch(`http://localhost:${process.env.PORT || 3000}/api/complaints/${encodeURIComponent(req.params.id)}/status`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        Cookie: req.headers.cookie || ""
+      },
+      body: JSON.stringify({
+        status: req.body.status,
+        remark: req.body.remark
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      req.flash("error", data.message || "Error updating complaint");
+    }
+  } catch (error) {
+    console.error("Complaint Status Page Error:", error);
+    req.flash("error", "Error updating complaint");
+  }
+
+  res.redirect("/complaints");
+});
+
+/**
+ * Public complaint tracking
+ * Route: GET /track?ticketNo=JST-2026-000123
+ * Shows the lookup form, or forwards a submitted ticket number
+ */
+app.get("/track", (req, res) => {
+  if (req.query.ticketNo) {
+    return res.redirect(`/track/${encodeURIComponent(String(req.query.ticketNo).trim())}`);
+  }
+  res.render("pages/track", { activePage: 'track', ticketNo: null, ticket: null, error: null });
+});
+
+/**
+ * Public status of one complaint
+ * Route: GET /track/:ticketNo
+ * No login needed; personal details are left out (see ticket.service.js)
+ */
+app.get("/track/:ticketNo", async (req, res) => {
+  const ticketNo = parseTicketNo(req.params.ticketNo);
+  let ticket = null;
+  let error = null;
+
+  if (!ticketNo) {
+    error = "Ticket numbers look like JST-2026-000123";
+  } else {
+    try {
+      const complaint = await findByTicketNo(ticketNo);
+      if (complaint) ticket = toPublicStatus(complaint);
+      else error = "No complaint found with this ticket number";
+    } catch (err) {
+      console.error("Track Page Error:", err);
+      error = "Could not look up this ticket right now";
+    }
+  }
+
+  res.status(ticket ? 200 : (ticketNo ? 404 : 400)).render("pages/track", {
+    activePage: 'track',
+    ticketNo: ticketNo || req.params.ticketNo,
+    ticket,
+    error
   });
 });
 
@@ -220,9 +423,67 @@ app.get("/faq", (req, res) => {
   res.render("pages/faq", { activePage: "faq" });
 });
 
-// app.get("/staff/dashboard", (req, res) => {
-//     res.render("muncipal/home", { activePage: 'home' });
-// });
+/**
+ * Dashboard
+ * Route: GET /dashboard
+ * Citizens get their own dashboard; staff go to the department dashboard
+ */
+app.get("/dashboard", requireAuth, async (req, res) => {
+  if (STAFF_ROLES.includes(req.user.role)) {
+    return res.redirect("/department/dashboard");
+  }
+  res.render("pages/user-dashboard", { activePage: 'dashboard', categories: await getCategories() });
+});
+
+/**
+ * Department dashboard
+ * Route: GET /department/dashboard
+ * Access: officer, department_head, admin
+ */
+app.get("/department/dashboard", requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  const department = req.user.department ? await Department.findById(req.user.department) : null;
+  res.render("pages/department-dashboard", { activePage: 'dashboard', department });
+});
+
+/**
+ * Analytics dashboard
+ * Route: GET /analytics
+ * Access: officer, department_head, admin
+ */
+app.get("/analytics", requireAuth, requireRole(...STAFF_ROLES), (req, res) => {
+  res.render("pages/analytics", { activePage: 'analytics' });
+});
+
+/**
+ * Classifier accuracy and category corrections
+ * Route: GET /analytics/classifiers
+ * Access: officer, department_head, admin
+ */
+app.get("/analytics/classifiers", requireAuth, requireRole(...STAFF_ROLES), (req, res) => {
+  res.render("pages/classifiers", { activePage: 'analytics', canEditKeywords: req.user.role === "admin" });
+});
+
+/**
+ * Complaint heatmap
+ * Route: GET /heatmap
+ * Access: officer, department_head, admin
+ */
+app.get("/heatmap", requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  res.render("pages/heatmap", {
+    activePage: 'analytics',
+    categories: await getAllCategories(),
+    mapsApiKey: process.env.GOOGLE_MAPS_API_KEY || ""
+  });
+});
+
+/**
+ * Ward (prabhag) management
+ * Route: GET /wards
+ * Access: admin
+ */
+app.get("/wards", requireAuth, requireRole("admin"), (req, res) => {
+  res.render("pages/wards", { activePage: 'wards' });
+});
 
 // Export app for server.js
 module.exports = app
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Startup Data Migrations
+ *
+ * Small, idempotent fixes for documents written by older versions
+ * of the app. Safe to run on every boot.
+ */
+
+const Complaint = require("../models/complaint");
+const { DEFAULT_RESOLUTION_HOURS } = require("../services/sla.service");
+const { OPEN_STATUSES } = require("../services/status.service");
+const { RESOLUTION_CONFIRM_DAYS } = require("../services/resolution.service");
+const { nextTicketNo } = require("../services/ticket.service");
+const { parseCoordinates, toPoint } = require("../services/geo.service");
+
+/**
+ * Complaints used to store the reporter as a free-text `createdBy`
+ * string (e.g. "Vanshika"). Move that text to `reporterName` and
+ * clear `createdBy` so it can hold a user reference.
+ */
+async function migrateLegacyReporters() {
+  const result = await Complaint.collection.updateMany(
+    { createdBy: { $type: "string" } },
+    [{ $set: { reporterName: "$createdBy", createdBy: null } }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Migrated ${result.modifiedCount} complaints with free-text reporters`);
+  }
+}
+
+/**
+ * Complaints created before the status workflow have no timeline.
+ * Seed one entry from their current status and creation date.
+ */
+async function backfillStatusHistory() {
+  const result = await Complaint.collection.updateMany(
+    { statusHistory: { $exists: false } },
+    [{
+      $set: {
+        statusHistory: [{
+          from: null,
+          to: "$status",
+          actor: null,
+          actorRole: null,
+          remark: "Complaint submitted",
+          at: "$createdAt"
+        }]
+      }
+    }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Backfilled status history for ${result.modifiedCount} complaints`);
+  }
+}
+
+/**
+ * Open complaints created before SLA deadlines existed get one
+ * from the default resolution hours for their severity.
+ */
+async function backfillDeadlines() {
+  const hoursBySeverity = {
+    $switch: {
+      branches: Object.entries(DEFAULT_RESOLUTION_HOURS).map(([severity, hours]) => ({
+        case: { $eq: ["$aiSeverityLevel", severity] },
+        then: hours
+      })),
+      default: DEFAULT_RESOLUTION_HOURS.medium
+    }
+  };
+
+  const result = await Complaint.collection.updateMany(
+    { status: { $in: OPEN_STATUSES }, deadline: { $in: [null] } },
+    [{
+      $set: {
+        slaHours: hoursBySeverity,
+        deadline: { $add: ["$createdAt", { $multiply: [hoursBySeverity, 60 * 60 * 1000] }] },
+        escalationLevel: { $ifNull: ["$escalationLevel", 0] },
+        escalations: { $ifNull: ["$escalations", []] }
+      }
+    }]
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Backfilled SLA deadlines for ${result.modifiedCount} complaints`);
+  }
+}
+
+/**
+ * Complaints completed before resolution proof existed have no
+ * confirmation window. Give their reporters a full one from now
+ * before they auto-close.
+ */
+async function backfillConfirmWindows() {
+  const confirmBy = new Date(Date.now() + RESOLUTION_CONFIRM_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await Complaint.collection.updateMany(
+    { status: "Completed", "resolution.confirmBy": { $in: [null] } },
+    { $set: { "resolution.confirmBy": confirmBy } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Opened confirmation windows for ${result.modifiedCount} completed complaints`);
+  }
+}
+
+/**
+ * Complaints filed before ticket numbers existed get one, in filing
+ * order, from the sequence of the year they were filed in.
+ */
+async function backfillTicketNumbers() {
+  const cursor = Complaint.collection
+    .find({ ticketNo: { $exists: false } }, { projection: { createdAt: 1 } })
+    .sort({ createdAt: 1, _id: 1 });
+
+  let issued = 0;
+  for await (const doc of cursor) {
+    const ticketNo = await nextTicketNo(doc.createdAt || doc._id.getTimestamp());
+    await Complaint.collection.updateOne({ _id: doc._id }, { $set: { ticketNo } });
+    issued++;
+  }
+
+  if (issued > 0) {
+    console.log(`Issued ticket numbers to ${issued} existing complaints`);
+  }
+}
+
+/**
+ * The 2dsphere index used to sit on `embedding`, which holds vectors,
+ * not coordinates. It now lives on `geoLocation`; drop the old one.
+ */
+async function dropEmbeddingGeoIndex() {
+  if (await Complaint.collection.indexExists("embedding_2dsphere")) {
+    await Complaint.collection.dropIndex("embedding_2dsphere");
+    console.log("Dropped the 2dsphere index on complaint embeddings");
+  }
+}
+
+/**
+ * Complaints whose location text is a "lat, lng" pair (the dashboard's
+ * "Use my location" used to write that) get a geoLocation from it.
+ */
+async function backfillGeoLocations() {
+  const cursor = Complaint.collection.find(
+    { geoLocation: { $exists: false }, location: /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/ },
+    { projection: { location: 1 } }
+  );
+
+  let located = 0;
+  for await (const doc of cursor) {
+    const [lat, lng] = doc.location.split(",");
+    let coordinates;
+    try {
+      coordinates = parseCoordinates(lat.trim(), lng.trim());
+    } catch {
+      continue;  // out of range: not coordinates after all
+    }
+
+    await Complaint.collection.updateOne({ _id: doc._id }, { $set: { geoLocation: toPoint(coordinates) } });
+    located++;
+  }
+
+  if (located > 0) {
+    console.log(`Added GPS coordinates to ${located} complaints from their location text`);
+  }
+}
+
+/**
+ * Complaints saved before locationKey existed get it from their
+ * location text (the priority score counts same-place complaints by it)
+ */
+async function backfillLocationKeys() {
+  const cursor = Complaint.collection.find({ locationKey: { $exists: false } }, { projection: { location: 1 } });
+
+  let keyed = 0;
+  for await (const doc of cursor) {
+    await Complaint.collection.updateOne({ _id: doc._id }, { $set: { locationKey: Complaint.toLocationKey(doc.location) } });
+    keyed++;
+  }
+
+  if (keyed > 0) {
+    console.log(`Added location keys to ${keyed} complaints`);
+  }
+}
+
+/**
+ * Run all migrations
+ */
+async function runMigrations() {
+  try {
+    await migrateLegacyReporters();
+    await backfillStatusHistory();
+    await backfillDeadlines();
+    await backfillConfirmWindows();
+    await backfillTicketNumbers();
+    await dropEmbeddingGeoIndex();
+    await backfillGeoLocations();
+    await backfillLocationKeys();
+  } catch (error) {
+    console.error("Migration Error:", error.message);
+  }
+}
+
+module.exports = runMigrations;
@@ -0,0 +1,23 @@
+/**
+ * Default Data
+ *
+ * Creates the reference data the app needs (categories, departments, ...)
+ * when the database is empty. Safe to run on every boot.
+ */
+
+const { ensureDefaultCategories } = require("../services/category.service");
+const { ensureDefaultDepartments } = require("../services/routing.service");
+
+/**
+ * Seed all default data
+ */
+async function seedDefaults() {
+  try {
+    await ensureDefaultCategories();
+    await ensureDefaultDepartments();
+  } catch (error) {
+    console.error("Seeding Error:", error.message);
+  }
+}
+
+module.exports = seedDefaults;
@@ -0,0 +1,93 @@
+/**
+ * File Upload Configuration (Multer)
+ *
+ * Shared by the page routes in app.js and the API routes.
+ * Files are saved to uploads/ with a timestamped name and served
+ * statically from /uploads.
+ *
+ * Data files that are only read once (e.g. ward GeoJSON) stay in memory.
+ * Voice recordings go to uploads/voice/ (see services/audio.service.js).
+ */
+
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const { httpError } = require("../utils/http-error");
+
+const uploadsDir = path.join(__dirname, "..", "..", "uploads");
+const voiceDir = path.join(uploadsDir, "voice");
+
+// Ensure uploads directories exist
+for (const dir of [uploadsDir, voiceDir]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log("Created missing uploads directory:", dir);
+  }
+}
+
+/**
+ * Unique filename with timestamp (plus a suffix, for multi-file uploads)
+ */
+function uniqueFilename(req, file, cb) {
+  cb(null, Date.now() + "-" + Math.round(Math.random() * 1e6) + path.extname(file.originalname));
+}
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadsDir); // Save uploaded files to uploads/ directory
+  },
+  filename: uniqueFilename
+});
+
+const upload = multer({ storage });
+
+// Largest voice recording accepted (about 3 minutes of 44.1 kHz stereo WAV)
+const MAX_AUDIO_BYTES = 32 * 1024 * 1024;
+
+const audioUpload = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      cb(null, voiceDir);
+    },
+    filename: uniqueFilename
+  }),
+  limits: { fileSize: MAX_AUDIO_BYTES },
+  fileFilter: function (req, file, cb) {
+    // Browsers label MediaRecorder's WebM audio as audio/webm or video/webm
+    if (file.mimetype.startsWith("audio/") || file.mimetype === "video/webm") {
+      return cb(null, true);
+    }
+    cb(httpError("Only audio recordings can be uploaded", 415));
+  }
+});
+
+// Largest data file accepted in memory
+const MAX_DATA_FILE_BYTES = 5 * 1024 * 1024;
+
+const dataUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DATA_FILE_BYTES }
+});
+
+/**
+ * Delete the files multer saved for this request when the response
+ * turns out to be an error, so rejected uploads don't pile up.
+ */
+function discardUploadsOnError(req, res, next) {
+  res.on("finish", () => {
+    if (res.statusCode < 400) return;
+
+    const files = [req.file, ...(req.files || [])].filter(Boolean);
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  });
+  next();
+}
+
+module.exports = {
+  uploadsDir,
+  voiceDir,
+  upload,
+  dataUpload,
+  audioUpload,
+  discardUploadsOnError
+};
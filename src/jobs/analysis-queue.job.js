@@ -0,0 +1,31 @@
+/**
+ * Analysis Queue Job
+ *
+ * Works through the job queue (see services/queue.service.js): the AI
+ * analysis of new complaints (services/analysis.service.js), with retries
+ * and a dead-letter list. Runs due jobs one at a time, at most
+ * QUEUE_BATCH_SIZE per tick, so model inference doesn't starve requests.
+ *
+ * Config:
+ * - QUEUE_POLL_SECONDS (default 5)
+ * - QUEUE_BATCH_SIZE (default 10)
+ * - QUEUE_MAX_ATTEMPTS (default 3)
+ * - ANALYSIS_QUEUE_ENABLED=false to turn off (e.g. on web-only instances)
+ */
+
+require("../services/analysis.service");  // registers the complaint-analysis handler
+const { processQueue } = require("../services/queue.service");
+
+module.exports = {
+  name: "analysis-queue",
+  enabled: process.env.ANALYSIS_QUEUE_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.QUEUE_POLL_SECONDS, 10) || 5) * 1000,
+
+  async run() {
+    const batchSize = parseInt(process.env.QUEUE_BATCH_SIZE, 10) || 10;
+    const { completed, retried, dead } = await processQueue(batchSize);
+    if (completed + retried + dead > 0) {
+      console.log(`Analysis queue: ${completed} done, ${retried} to retry, ${dead} dead`);
+    }
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Analysis Sweep Job
+ *
+ * Re-queues complaints stuck in "analysing" without a live analysis job,
+ * e.g. when queueing failed at submission (see requeueStalledAnalyses in
+ * services/analysis.service.js). Also runs on instances with the
+ * analysis queue turned off, so a worker elsewhere picks the jobs up.
+ *
+ * Config:
+ * - ANALYSIS_SWEEP_INTERVAL_MINUTES (default 10)
+ * - ANALYSIS_STALLED_MINUTES (default 15)
+ * - ANALYSIS_SWEEP_ENABLED=false to turn off
+ */
+
+const { requeueStalledAnalyses } = require("../services/analysis.service");
+
+module.exports = {
+  name: "analysis-sweep",
+  enabled: process.env.ANALYSIS_SWEEP_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.ANALYSIS_SWEEP_INTERVAL_MINUTES, 10) || 10) * 60 * 1000,
+
+  async run() {
+    const { requeued, failed } = await requeueStalledAnalyses();
+    if (requeued + failed > 0) {
+      console.log(`Analysis sweep: ${requeued} re-queued, ${failed} marked failed`);
+    }
+  }
+};
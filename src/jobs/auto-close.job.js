@@ -0,0 +1,26 @@
+/**
+ * Auto-close Job
+ *
+ * Closes Completed complaints whose reporter neither confirmed the fix
+ * nor reopened it within RESOLUTION_CONFIRM_DAYS
+ * (see services/resolution.service.js).
+ *
+ * Config:
+ * - AUTO_CLOSE_INTERVAL_MINUTES (default 60)
+ * - AUTO_CLOSE_ENABLED=false to turn off
+ */
+
+const { autoCloseUnconfirmed } = require("../services/resolution.service");
+
+module.exports = {
+  name: "auto-close",
+  enabled: process.env.AUTO_CLOSE_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+
+  async run() {
+    const closed = await autoCloseUnconfirmed();
+    if (closed > 0) {
+      console.log(`Auto-close: closed ${closed} unconfirmed complaints`);
+    }
+  }
+};
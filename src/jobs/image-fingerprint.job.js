@@ -0,0 +1,28 @@
+/**
+ * Image Fingerprint Job
+ *
+ * Fingerprints the photos of older complaints (uploaded before photo
+ * fingerprints existed) a batch at a time, so their photos can be
+ * matched by the duplicate check (see services/fingerprint.service.js).
+ *
+ * Config:
+ * - IMAGE_FINGERPRINT_INTERVAL_MINUTES (default 10)
+ * - IMAGE_FINGERPRINT_BATCH_SIZE (default 20)
+ * - IMAGE_FINGERPRINT_ENABLED=false to turn off
+ */
+
+const { fingerprintStoredImages } = require("../services/ai.service");
+
+module.exports = {
+  name: "image-fingerprint",
+  enabled: process.env.IMAGE_FINGERPRINT_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.IMAGE_FINGERPRINT_INTERVAL_MINUTES, 10) || 10) * 60 * 1000,
+
+  async run() {
+    const batchSize = parseInt(process.env.IMAGE_FINGERPRINT_BATCH_SIZE, 10) || 20;
+    const fingerprinted = await fingerprintStoredImages(batchSize);
+    if (fingerprinted > 0) {
+      console.log(`Image fingerprint: fingerprinted ${fingerprinted} complaint photos`);
+    }
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Background Jobs
+ *
+ * Simple in-process scheduler. Each job runs on a fixed interval;
+ * a run is skipped if the previous one is still going.
+ * Started from server.js once the database is connected.
+ */
+
+const slaEscalationJob = require("./sla-escalation.job");
+const priorityRescoreJob = require("./priority-rescore.job");
+const autoCloseJob = require("./auto-close.job");
+const imageFingerprintJob = require("./image-fingerprint.job");
+const analysisQueueJob = require("./analysis-queue.job");
+const analysisSweepJob = require("./analysis-sweep.job");
+const voiceCleanupJob = require("./voice-cleanup.job");
+
+const JOBS = [
+  slaEscalationJob,
+  priorityRescoreJob,
+  autoCloseJob,
+  imageFingerprintJob,
+  analysisQueueJob,
+  analysisSweepJob,
+  voiceCleanupJob
+];
+
+/**
+ * Wrap a job so runs never overlap and errors never crash the server
+ */
+function createRunner(job) {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`Job "${job.name}" failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+}
+
+/**
+ * Start all enabled jobs
+ */
+function startJobs() {
+  for (const job of JOBS) {
+    if (!job.enabled) {
+      console.log(`Job "${job.name}" disabled`);
+      continue;
+    }
+
+    const runner = createRunner(job);
+    setInterval(runner, job.intervalMs).unref();
+    setTimeout(runner, 5000).unref();  // first run shortly after startup
+
+    const every = job.intervalMs < 60000 ? `${Math.round(job.intervalMs / 1000)} s` : `${Math.round(job.intervalMs / 60000)} min`;
+    console.log(`Job "${job.name}" scheduled every ${every}`);
+  }
+}
+
+module.exports = { startJobs };
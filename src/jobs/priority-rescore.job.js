@@ -0,0 +1,26 @@
+/**
+ * Priority Re-scoring Job
+ *
+ * Recomputes priorityScore, priorityBreakdown and aiSeverityLevel of
+ * open complaints from their real age and current same-location
+ * counts (see services/priority.service.js).
+ *
+ * Config:
+ * - PRIORITY_RESCORE_INTERVAL_MINUTES (default 60)
+ * - PRIORITY_RESCORE_ENABLED=false to turn off
+ */
+
+const { rescoreOpenComplaints } = require("../services/priority.service");
+
+module.exports = {
+  name: "priority-rescore",
+  enabled: process.env.PRIORITY_RESCORE_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.PRIORITY_RESCORE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000,
+
+  async run() {
+    const { checked, updated } = await rescoreOpenComplaints();
+    if (updated > 0) {
+      console.log(`Priority re-score: updated ${updated} of ${checked} open complaints`);
+    }
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * SLA Escalation Job
+ *
+ * Finds open complaints past their deadline and escalates them
+ * to the next authority level (see services/sla.service.js).
+ *
+ * Config:
+ * - SLA_CHECK_INTERVAL_MINUTES (default 15)
+ * - SLA_ESCALATION_ENABLED=false to turn off
+ */
+
+const { escalateOverdueComplaints } = require("../services/sla.service");
+
+module.exports = {
+  name: "sla-escalation",
+  enabled: process.env.SLA_ESCALATION_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+
+  async run() {
+    const escalated = await escalateOverdueComplaints();
+    if (escalated > 0) {
+      console.log(`SLA escalation: escalated ${escalated} overdue complaints`);
+    }
+  }
+};
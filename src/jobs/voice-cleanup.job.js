@@ -0,0 +1,29 @@
+/**
+ * Voice Cleanup Job
+ *
+ * Deletes voice recordings uploaded for drafts (POST /api/complaints/voice)
+ * that no complaint kept within VOICE_DRAFT_HOURS
+ * (see services/audio.service.js).
+ *
+ * Config:
+ * - VOICE_CLEANUP_INTERVAL_MINUTES (default 360)
+ * - VOICE_DRAFT_HOURS (default 24)
+ * - VOICE_CLEANUP_ENABLED=false to turn off
+ */
+
+const { removeUnusedRecordings } = require("../services/audio.service");
+
+const VOICE_DRAFT_HOURS = parseInt(process.env.VOICE_DRAFT_HOURS, 10) || 24;
+
+module.exports = {
+  name: "voice-cleanup",
+  enabled: process.env.VOICE_CLEANUP_ENABLED !== "false",
+  intervalMs: (parseInt(process.env.VOICE_CLEANUP_INTERVAL_MINUTES, 10) || 360) * 60 * 1000,
+
+  async run() {
+    const removed = await removeUnusedRecordings(VOICE_DRAFT_HOURS);
+    if (removed > 0) {
+      console.log(`Voice cleanup: deleted ${removed} unused recordings`);
+    }
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * Role-based access control for the complaint API:
+ * - citizen: submit complaints, view their own
+ * - officer: update complaints assigned to them
+ * - department_head: view and assign complaints
+ * - admin: manage users and categories
+ */
+
+const userModel = require("../models/user.model");
+const Complaint = require("../models/complaint");
+const { issueToken, verifyToken, shouldRefresh, clearToken } = require("../services/auth.service");
+
+const { STAFF_ROLES } = userModel;
+
+/**
+ * API requests get JSON errors; page requests get redirects
+ */
+function isApiRequest(req) {
+  return req.originalUrl.startsWith("/api/");
+}
+
+/**
+ * Read the JWT (from the `token` cookie or a Bearer header) on every
+ * request and attach the user document to req.user and
+ * res.locals.currentUser. Tokens in the second half of their lifetime
+ * are re-issued (sliding session). Never blocks the request.
+ */
+async function attachUser(req, res, next) {
+  req.user = null;
+  res.locals.currentUser = null;
+
+  const header = req.headers.authorization || "";
+  const token = req.cookies?.token || (header.startsWith("Bearer ") ? header.slice(7) : null);
+
+  if (!token) return next();
+
+  try {
+    const decoded = verifyToken(token);
+    const user = await userModel.findById(decoded.id).select("-password");
+
+    if (!user) {
+      clearToken(res);
+      return next();
+    }
+
+    if (req.cookies?.token && shouldRefresh(decoded)) {
+      issueToken(res, user);
+    }
+
+    req.user = user;
+    res.locals.currentUser = user;
+  } catch (error) {
+    // Expired or tampered token - drop it and continue as a guest
+    clearToken(res);
+  }
+
+  next();
+}
+
+/**
+ * Require a logged-in user (use after attachUser)
+ * API requests get 401; pages redirect to /login
+ */
+function requireAuth(req, res, next) {
+  if (req.user) return next();
+
+  if (isApiRequest(req)) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+/**
+ * Allow only the given roles (use after requireAuth)
+ * API requests get 403; pages redirect home
+ *
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      if (!isApiRequest(req)) {
+        return res.redirect("/");
+      }
+      return res.status(403).json({ message: "You are not allowed to perform this action" });
+    }
+    next();
+  };
+}
+
+/**
+ * Load the complaint from :id into req.complaint
+ */
+async function loadComplaint(req, res, next) {
+  try {
+    const complaint = await Complaint.findById(req.params.id);
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" });
+    }
+
+    req.complaint = complaint;
+    next();
+  } catch (error) {
+    return res.status(400).json({ message: "Invalid complaint id" });
+  }
+}
+
+/**
+ * Check whether a user may view a complaint
+ * Citizens only see their own; staff see all
+ */
+function canViewComplaint(user, complaint) {
+  if (STAFF_ROLES.includes(user.role)) return true;
+  return String(complaint.createdBy) === String(user._id);
+}
+
+/**
+ * Check whether a user may change a complaint
+ * Officers only change complaints assigned to them;
+ * department heads change complaints of their department
+ * (or any, if they have none set); admins change any complaint
+ */
+function canModifyComplaint(user, complaint) {
+  if (user.role === "admin") return true;
+  if (user.role === "department_head") {
+    return !user.department || String(user.department) === String(complaint.department);
+  }
+  if (user.role === "officer") {
+    return !!complaint.assignedTo && String(complaint.assignedTo) === String(user._id);
+  }
+  return false;
+}
+
+/**
+ * Guard for routes that read req.complaint (use after loadComplaint)
+ */
+function requireComplaintViewer(req, res, next) {
+  if (!canViewComplaint(req.user, req.complaint)) {
+    return res.status(403).json({ message: "You can only view your own complaints" });
+  }
+  next();
+}
+
+/**
+ * Guard for routes that change req.complaint (use after loadComplaint)
+ */
+function requireComplaintEditor(req, res, next) {
+  if (!canModifyComplaint(req.user, req.complaint)) {
+    return res.status(403).json({ message: "Only the assigned officer can change this complaint" });
+  }
+  next();
+}
+
+module.exports = {
+  STAFF_ROLES,
+  attachUser,
+  requireAuth,
+  requireRole,
+  loadComplaint,
+  canViewComplaint,
+  canModifyComplaint,
+  requireComplaintViewer,
+  requireComplaintEditor
+};
@@ -0,0 +1,89 @@
+/**
+ * Category Model
+ *
+ * The civic issue types complaints are filed under, managed by admins
+ * (see services/category.service.js). Each category carries what the
+ * classifiers and pages need:
+ * - imageKeywords: words matched against MobileNet labels
+ * - textKeywords: words the keyword classifier looks for when BART is unavailable
+ * - devanagariKeywords / transliteratedKeywords: the same for Hindi and
+ *   Marathi, in Devanagari and typed in Latin script ("kachra", "gaddha")
+ * - zeroShotLabel: phrasing offered to the BART zero-shot classifier
+ * - priorityMultiplier: weight of the category in the priority score
+ * - label / icon: how the report form and complaint lists show it
+ *
+ * The name is what complaints, departments and SLA policies store, so it
+ * can't be changed once created; retire a category with active: false.
+ */
+
+const mongoose = require("mongoose");
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    default: ""  // display name on the report form; the name when empty
+  },
+  icon: {
+    type: String,
+    default: "📋"  // emoji shown on cards and badges
+  },
+  subcategories: {
+    type: [String],
+    default: []
+  },
+  imageKeywords: {
+    type: [String],
+    default: []
+  },
+  textKeywords: {
+    type: [String],
+    default: []
+  },
+  devanagariKeywords: {
+    type: [String],
+    default: []
+  },
+  transliteratedKeywords: {
+    type: [String],
+    default: []  // matched as whole words
+  },
+  zeroShotLabel: {
+    type: String,
+    default: ""  // the name when empty
+  },
+  priorityMultiplier: {
+    type: Number,
+    default: 1,
+    min: 0.5,
+    max: 3
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+categorySchema.pre("save", function () {
+  this.updatedAt = Date.now();
+});
+
+module.exports = mongoose.model("Category", categorySchema);
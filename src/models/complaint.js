@@ -10,21 +10,194 @@
  */
 
 const mongoose = require("mongoose");
+const { isKnownCategory } = require("../services/category.service");
+const { LANGUAGES, SCRIPTS } = require("../services/language.service");
+
+// Complaint lifecycle statuses (transitions live in services/status.service.js)
+const STATUSES = ["Assigned", "In Progress", "Completed", "Rejected", "Reopened", "Closed"];
+
+// How textClassification was produced: BART, the multilingual model or keywords
+const TEXT_METHODS = ["zero-shot", "multilingual", "keywords"];
+
+/**
+ * Normalise location text so the same address typed differently
+ * ("MG Road,  Pune" / "mg road pune") matches exactly
+ */
+function toLocationKey(location) {
+  return String(location || "").toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Status timeline entry
+ * One entry per status change, including the initial submission
+ */
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  actorRole: { type: String, default: null },
+  remark: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * "Me too" supporter: a citizen who reported the same issue
+ */
+const supporterSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  image: { type: String, default: null },  // optional extra photo (filename)
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Priority re-score entry
+ */
+const priorityHistorySchema = new mongoose.Schema({
+  score: { type: Number, required: true },
+  previousScore: { type: Number, default: null },
+  severityLevel: { type: String, default: null },
+  breakdown: {
+    complaintCountScore: Number,
+    timePendingScore: Number,
+    areaWeightScore: Number,
+    categoryMultiplier: Number
+  },
+  reason: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * SLA escalation entry
+ */
+const escalationSchema = new mongoose.Schema({
+  level: { type: Number, required: true },
+  role: { type: String, required: true },   // authority the complaint went to
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  previousDeadline: { type: Date, default: null },
+  reason: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Department reassignment entry
+ */
+const departmentHistorySchema = new mongoose.Schema({
+  from: { type: mongoose.Schema.Types.ObjectId, ref: "Department", default: null },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: "Department", default: null },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  reason: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Category correction by staff, logged with what the classifiers had
+ * predicted so their accuracy can be measured (see evaluation.service.js)
+ */
+const categoryCorrectionSchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  actorRole: { type: String, default: null },
+  reason: { type: String, default: "" },
+  textClassification: {
+    predictedCategory: String,
+    confidence: Number,
+    method: String
+  },
+  imageClassification: {
+    predictedLabel: String,
+    mappedCategory: String,
+    confidence: Number
+  },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Resolution proof: "after" photos uploaded when an officer marks the
+ * complaint Completed, and the citizen's confirmation window
+ */
+const resolutionSchema = new mongoose.Schema({
+  photos: { type: [String], default: [] },  // filenames in uploads/
+  note: { type: String, default: "" },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  resolvedAt: { type: Date, default: null },
+  confirmBy: { type: Date, default: null },  // auto-closes after this
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+  confirmedAt: { type: Date, default: null },
+  autoClosed: { type: Boolean, default: false }
+}, { _id: false });
+
+/**
+ * One signal of the duplicate check and how much it added to the score
+ * (see services/duplicate.service.js)
+ */
+const duplicateSignalSchema = new mongoose.Schema({
+  name: { type: String, enum: ["location", "text", "image", "category"], required: true },
+  score: Number,         // 0-1
+  weight: Number,        // share of the combined score
+  contribution: Number,  // score × weight
+  detail: String
+}, { _id: false });
+
+/**
+ * GeoJSON Point for the GPS fix: coordinates are [longitude, latitude]
+ * (see services/geo.service.js)
+ */
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ["Point"], required: true },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: c => c.length === 2 && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90,
+      message: "coordinates must be [lng, lat]"
+    }
+  }
+}, { _id: false });
+
+/**
+ * Background AI analysis of a new complaint (see services/analysis.service.js)
+ * state: "analysing" until the queued job finishes, then "complete";
+ * "failed" once the job has used up its retries
+ */
+const ANALYSIS_STATES = ["analysing", "complete", "failed"];
+
+const analysisSchema = new mongoose.Schema({
+  state: { type: String, enum: ANALYSIS_STATES, default: "analysing" },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+  queuedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
 
 /**
  * Complaint Schema
  * 
  * Core Fields:
+ * - ticketNo: Public tracking number, e.g. JST-2026-000123
  * - image: Filename of uploaded photo
- * - category: Type of issue (water leakage, garbage, etc.)
+ * - voice: Voice recording the description was dictated from, with Whisper's transcript
+ * - category: Type of issue, one of the admin-managed categories or "Other"
+ * - subcategory: Finer issue type within the category (optional)
  * - description: Detailed description from citizen
- * - location: Address or GPS location
- * - status: Current status (Assigned → In Progress → Completed)
- * - createdBy: Username of complainant
+ * - location: Address or GPS location (text)
+ * - locationKey: location normalised for exact "same place" matching
+ * - geoLocation: GPS fix as a GeoJSON Point, when the reporter shared one
+ * - status: Current status (see services/status.service.js for allowed moves)
+ * - statusHistory: Timeline of status changes with actor and remark
+ * - createdBy: Reference to the citizen (user) who reported it
+ * - assignedTo: Field officer responsible for it
+ * - department: Department the complaint is routed to
+ * - ward: Ward (prabhag) containing geoLocation, if any
+ * - mergedInto: Master complaint, when merged as a duplicate
+ * - resolution: "After" photos and the citizen's confirmation
  * 
  * AI-Generated Fields:
+ * - analysis: State of the background AI analysis (unset: analysed at submission)
  * - imageClassification: MobileNet prediction results
+ * - imageFingerprint: Photo hashes/features for near-duplicate photos
  * - textClassification: BART zero-shot classification
+ * - detectedLanguage: Language of the description (English, Hindi, Marathi)
  * - embedding: Sentence transformer vector for duplicate detection
  * - priorityScore: Calculated priority score (0-100)
  * - priorityBreakdown: Component scores for transparency
@@ -35,21 +208,42 @@ const complaintSchema = new mongoose.Schema({
   // CORE FIELDS
   // ============================================
   
+  /**
+   * Public tracking number (see services/ticket.service.js)
+   */
+  ticketNo: {
+    type: String  // unset until issued, hence the sparse index
+  },
+
   image: {
     type: String,
     default: null  // stores filename only
   },
+
+  /**
+   * Voice complaint (see POST /api/complaints/voice): the recording and
+   * the machine transcript the citizen corrected into the description
+   */
+  voice: {
+    type: {
+      audio: String,           // filename in uploads/voice/
+      transcript: String,
+      spokenLanguage: String,  // detected language code of the transcript
+      _id: false
+    },
+    default: undefined
+  },
   category: {
     type: String,
     required: true,
-    enum: [
-      "Garbage",
-      "Road Damage", 
-      "Streetlight Issue",
-      "Water Leakage",
-      "Drainage",
-      "Other"
-    ]
+    validate: {
+      validator: isKnownCategory,  // managed in the categories collection
+      message: props => `"${props.value}" is not a complaint category`
+    }
+  },
+  subcategory: {
+    type: String,
+    default: null  // one of the category's subcategories, when the citizen picked one
   },
   description: {
     type: String,
@@ -59,14 +253,121 @@ const complaintSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  locationKey: {
+    type: String  // set from location on save
+  },
+  geoLocation: {
+    type: pointSchema,
+    default: undefined  // unset without a GPS fix
+  },
   status: {
     type: String,
     default: "Assigned",
-    enum: ["Assigned", "In Progress", "Completed"]
+    enum: STATUSES
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  resolution: {
+    type: resolutionSchema,
+    default: () => ({})
   },
   createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    default: null
+  },
+  reporterName: {
     type: String,
-    default: "Anonymous"
+    default: null  // free-text reporter from before user references existed
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    default: null
+  },
+
+  // ============================================
+  // DEPARTMENT ROUTING
+  // ============================================
+
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null
+  },
+  ward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ward",
+    default: null  // set from geoLocation (see services/ward.service.js)
+  },
+
+  /**
+   * How the department was chosen
+   * source: 'text' / 'image' (AI classifier) or 'citizen' (form category)
+   */
+  routing: {
+    category: { type: String, default: null },
+    source: { type: String, default: null },
+    confidence: { type: Number, default: 0 }
+  },
+
+  /**
+   * Manual reassignments by department staff
+   */
+  departmentHistory: {
+    type: [departmentHistorySchema],
+    default: []
+  },
+
+  /**
+   * Category corrections by staff (PATCH /api/complaints/:id/category)
+   */
+  categoryCorrections: {
+    type: [categoryCorrectionSchema],
+    default: []
+  },
+
+  // ============================================
+  // SLA & ESCALATION
+  // ============================================
+
+  /**
+   * Resolution deadline from the matching SLA policy
+   */
+  deadline: {
+    type: Date,
+    default: null
+  },
+  slaHours: {
+    type: Number,
+    default: null
+  },
+  slaBreachedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * 0 = field officer, 1 = department head, 2 = admin
+   */
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalations: {
+    type: [escalationSchema],
+    default: []
+  },
+
+  /**
+   * Background analysis: the AI fields below hold quick keyword-based
+   * results until analysis.state is "complete"
+   */
+  analysis: {
+    type: analysisSchema,
+    default: undefined
   },
 
   // ============================================
@@ -86,6 +387,20 @@ const complaintSchema = new mongoose.Schema({
     }]
   },
 
+  /**
+   * Photo fingerprint (see fingerprint.service.js): file SHA-256,
+   * perceptual hash and MobileNet feature vector
+   */
+  imageFingerprint: {
+    type: {
+      sha256: String,
+      hash: String,
+      vector: [Number],
+      _id: false
+    },
+    default: undefined
+  },
+
   // ============================================
   // 2️⃣ TEXT CLASSIFICATION (BART Zero-shot)
   // ============================================
@@ -97,12 +412,26 @@ const complaintSchema = new mongoose.Schema({
     predictedCategory: { type: String, default: null },
     confidence: { type: Number, default: 0 },
     scores: {
-      Garbage: { type: Number, default: 0 },
-      "Road Damage": { type: Number, default: 0 },
-      "Streetlight Issue": { type: Number, default: 0 },
-      "Water Leakage": { type: Number, default: 0 },
-      Drainage: { type: Number, default: 0 }
-    }
+      type: mongoose.Schema.Types.Mixed,  // category name → score
+      default: {}
+    },
+    method: { type: String, enum: [...TEXT_METHODS, null], default: null }
+  },
+
+  /**
+   * Language of the description (see services/language.service.js).
+   * Not called `language`: MongoDB's text index reads a field of that
+   * name as the stemming language and rejects "hi" / "mr".
+   */
+  detectedLanguage: {
+    type: {
+      code: { type: String, enum: [...LANGUAGES, null] },
+      script: { type: String, enum: [...SCRIPTS, null] },
+      transliterated: Boolean,  // Hindi/Marathi typed in Latin script
+      confidence: Number,
+      _id: false
+    },
+    default: undefined  // complaints from before detection
   },
 
   // ============================================
@@ -117,14 +446,49 @@ const complaintSchema = new mongoose.Schema({
     default: null
   },
 
+  /**
+   * Citizens who attached themselves to this complaint instead of
+   * filing a duplicate. Counted in priorityBreakdown.complaintCountScore.
+   */
+  supporters: {
+    type: [supporterSchema],
+    default: []
+  },
+  supporterCount: {
+    type: Number,
+    default: 0
+  },
+
   /**
    * Duplicate detection results
    */
   aiDuplicateCheck: {
     isDuplicate: { type: Boolean, default: false },
-    similarity: { type: Number, default: 0 },
+    similarity: { type: Number, default: 0 },  // combined score, 0-100
     matchingComplaintId: { type: mongoose.Schema.Types.ObjectId, ref: "Complaint", default: null },
-    matchedField: { type: String, default: null }  // 'image', 'text', or 'both'
+    matchedField: { type: String, default: null },  // 'image', 'text', or 'both'
+    signals: { type: [duplicateSignalSchema], default: [] },
+    explanation: { type: String, default: null }
+  },
+
+  /**
+   * Master complaint this one was merged into by an officer.
+   * Merged complaints keep their reporter and photos, follow the
+   * master's status and are left out of work lists.
+   */
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Complaint",
+    default: null
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    default: null
   },
 
   // ============================================
@@ -170,6 +534,18 @@ const complaintSchema = new mongoose.Schema({
     default: ""
   },
 
+  /**
+   * Score changes over time (initial score + periodic re-scores)
+   */
+  priorityHistory: {
+    type: [priorityHistorySchema],
+    default: []
+  },
+  priorityUpdatedAt: {
+    type: Date,
+    default: null
+  },
+
   // ============================================
   // TIMESTAMPS
   // ============================================
@@ -187,11 +563,36 @@ const complaintSchema = new mongoose.Schema({
 // Update the updatedAt field on save
 complaintSchema.pre("save", function() {
   this.updatedAt = Date.now();
+  if (this.isModified("location")) this.locationKey = toLocationKey(this.location);
 });
 
-// Index for efficient duplicate search
-complaintSchema.index({ embedding: "2dsphere" });
+// Geospatial index for nearby complaints and the duplicate check
+complaintSchema.index({ geoLocation: "2dsphere" });
 complaintSchema.index({ createdAt: -1 });
 complaintSchema.index({ category: 1, status: 1 });
+complaintSchema.index({ createdBy: 1 });
+complaintSchema.index({ assignedTo: 1 });
+complaintSchema.index({ department: 1, status: 1 });
+complaintSchema.index({ ward: 1, status: 1 });
+complaintSchema.index({ locationKey: 1, status: 1 });
+complaintSchema.index({ status: 1, deadline: 1 });
+complaintSchema.index({ mergedInto: 1 });
+complaintSchema.index({ "imageFingerprint.sha256": 1 }, { sparse: true });
+complaintSchema.index({ "analysis.state": 1 }, { sparse: true });
+complaintSchema.index({ "categoryCorrections.at": -1 });
+complaintSchema.index({ ticketNo: 1 }, { unique: true, sparse: true });
+
+// Full-text search (see services/search.service.js)
+complaintSchema.index(
+  { description: "text", location: "text", ticketNo: "text" },
+  { name: "complaint_text_search", weights: { ticketNo: 10, description: 5, location: 3 } }
+);
+
+const Complaint = mongoose.model("Complaint", complaintSchema);
+
+Complaint.STATUSES = STATUSES;
+Complaint.toLocationKey = toLocationKey;
+Complaint.ANALYSIS_STATES = ANALYSIS_STATES;
+Complaint.TEXT_METHODS = TEXT_METHODS;
 
-module.exports = mongoose.model("Complaint", complaintSchema);
\ No newline at end of file
+module.exports = Complaint;
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Counter Model
+ *
+ * Named sequences incremented atomically, e.g. one per year for
+ * complaint ticket numbers ("ticket-2026" → 123 → JST-2026-000123).
+ */
+
+const mongoose = require("mongoose");
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,  // sequence name
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Increment a sequence and return its new value
+ * The first call for a name returns 1.
+ *
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next value
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
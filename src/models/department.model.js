@@ -0,0 +1,61 @@
+/**
+ * Department Model
+ *
+ * Municipal departments that complaints are routed to.
+ * Each department lists the complaint categories it handles,
+ * e.g. Drainage → Sewerage Dept, Streetlight Issue → Electrical Dept.
+ */
+
+const mongoose = require("mongoose");
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+
+  /**
+   * Complaint categories routed to this department
+   * A category should belong to at most one active department
+   */
+  categories: {
+    type: [String],
+    default: []
+  },
+
+  /**
+   * Department head (user with role department_head)
+   */
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    default: null
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+departmentSchema.index({ categories: 1 });
+
+module.exports = mongoose.model("Department", departmentSchema);
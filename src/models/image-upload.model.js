@@ -0,0 +1,35 @@
+/**
+ * Image Upload Model
+ *
+ * A photo saved to uploads/ and not yet attached to a complaint or a
+ * "me too" support. Clients resend the filename (e.g. after the duplicate
+ * warning), so the upload is tied to the user who made it and
+ * services/upload.service.js only accepts it from them. Removed once the
+ * photo is attached, or by MongoDB once it expires.
+ */
+
+const mongoose = require("mongoose");
+
+// Uploads that can be attached this long after they were made
+const IMAGE_UPLOAD_HOURS = parseInt(process.env.IMAGE_UPLOAD_HOURS, 10) || 24;
+
+const imageUploadSchema = new mongoose.Schema({
+  image: {
+    type: String,  // filename in uploads/
+    required: true,
+    unique: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IMAGE_UPLOAD_HOURS * 60 * 60 * 1000)
+  }
+});
+
+imageUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ImageUpload", imageUploadSchema);
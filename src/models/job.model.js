@@ -0,0 +1,105 @@
+/**
+ * Job Model
+ *
+ * Background work queued in MongoDB (see services/queue.service.js),
+ * e.g. the AI analysis of a new complaint. Jobs survive restarts:
+ * a job whose worker died is picked up again once its lock expires.
+ *
+ * Lifecycle: queued → running → completed
+ *                        ↓ (error)
+ *            queued again after a back-off, until maxAttempts → dead
+ *
+ * Dead jobs form the dead-letter list; admins can re-queue them.
+ * Completed jobs are deleted after a week.
+ */
+
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+// Completed jobs kept for this long
+const COMPLETED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * One failed attempt
+ */
+const jobErrorSchema = new mongoose.Schema({
+  attempt: { type: Number, required: true },
+  message: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: "queued"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now  // not picked up before this time (retry back-off)
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null  // host:pid of the worker running it
+  },
+  errorLog: {
+    type: [jobErrorSchema],
+    default: []
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null  // when it went to the dead-letter list
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+jobSchema.pre("save", function () {
+  this.updatedAt = Date.now();
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: COMPLETED_TTL_SECONDS });
+
+const Job = mongoose.model("Job", jobSchema);
+
+Job.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = Job;
@@ -0,0 +1,42 @@
+/**
+ * Notification Model
+ *
+ * In-app notifications for citizens, e.g. when a complaint they
+ * reported or support changes status.
+ */
+
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Complaint",
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ["status_change"],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
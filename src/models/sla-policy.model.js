@@ -0,0 +1,57 @@
+/**
+ * SLA Policy Model
+ *
+ * How long a complaint may stay open before it breaches its SLA,
+ * keyed on category and AI severity level. "*" matches any value;
+ * the most specific active policy wins (see services/sla.service.js).
+ */
+
+const mongoose = require("mongoose");
+
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    default: "*"
+  },
+  severity: {
+    type: String,
+    enum: ["*", "low", "medium", "high", "critical"],
+    default: "*"
+  },
+
+  /**
+   * Hours from submission to the resolution deadline
+   */
+  resolutionHours: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  /**
+   * Extra hours each escalation level gets before escalating again
+   */
+  escalationHours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slaPolicySchema.pre("save", function() {
+  this.updatedAt = Date.now();
+});
+
+slaPolicySchema.index({ category: 1, severity: 1 }, { unique: true });
+
+module.exports = mongoose.model("SlaPolicy", slaPolicySchema);
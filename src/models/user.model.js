@@ -1,14 +1,50 @@
 const mongoose = require("mongoose")
 
+/**
+ * User roles, from least to most privileged
+ * - citizen: submits complaints and views their own
+ * - officer: field officer working on complaints assigned to them
+ * - department_head: manages officers and complaints of a department
+ * - admin: manages users and categories
+ */
+const ROLES = ["citizen", "officer", "department_head", "admin"]
+
+// Roles that work on complaints (municipal side)
+const STAFF_ROLES = ["officer", "department_head", "admin"]
+
 const userSchema = new mongoose.Schema({
     name: String,
     email: {
         type:String,
+        lowercase: true,
+        trim: true,
         unique: [true, "with this email user account already exists"]
     },
     password: String,
+    role: {
+        type: String,
+        enum: ROLES,
+        default: "citizen"
+    },
+    // department an officer or department head works in
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+        default: null
+    },
+})
+
+// never send password hashes in JSON responses
+userSchema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.password
+        return ret
+    }
 })
 
 const userModel = mongoose.model("users", userSchema)
 
-module.exports = userModel
\ No newline at end of file
+userModel.ROLES = ROLES
+userModel.STAFF_ROLES = STAFF_ROLES
+
+module.exports = userModel
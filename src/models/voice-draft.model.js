@@ -0,0 +1,44 @@
+/**
+ * Voice Draft Model
+ *
+ * A recording transcribed by POST /api/complaints/voice and not yet
+ * submitted. Keeps Whisper's transcript on the server, tied to the
+ * citizen who uploaded it, so POST /api/complaints only attaches
+ * recordings (and transcripts) that are really theirs. Removed when the
+ * complaint is filed, or by MongoDB once it expires; the recording file
+ * itself is deleted by jobs/voice-cleanup.job.js.
+ */
+
+const mongoose = require("mongoose");
+
+// Drafts kept this long (as the recordings, see voice-cleanup.job.js)
+const VOICE_DRAFT_HOURS = parseInt(process.env.VOICE_DRAFT_HOURS, 10) || 24;
+
+const voiceDraftSchema = new mongoose.Schema({
+  audio: {
+    type: String,  // filename in uploads/voice/
+    required: true,
+    unique: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  transcript: {
+    type: String,
+    required: true
+  },
+  spokenLanguage: {
+    type: String,  // detected language code of the transcript
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + VOICE_DRAFT_HOURS * 60 * 60 * 1000)
+  }
+});
+
+voiceDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("VoiceDraft", voiceDraftSchema);
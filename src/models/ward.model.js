@@ -0,0 +1,69 @@
+/**
+ * Ward Model
+ *
+ * Municipal wards (prabhags) with their boundaries, uploaded by admins
+ * as GeoJSON. Complaints with GPS coordinates are assigned to the ward
+ * whose boundary contains them (see services/ward.service.js).
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * GeoJSON Polygon or MultiPolygon, coordinates in [lng, lat] order
+ */
+const boundarySchema = new mongoose.Schema({
+  type: { type: String, enum: ["Polygon", "MultiPolygon"], required: true },
+  coordinates: { type: Array, required: true }
+}, { _id: false });
+
+const wardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  boundary: {
+    type: boundarySchema,
+    required: true
+  },
+
+  /**
+   * Area weight (0-100) used as areaWeightScore in priority scoring,
+   * e.g. higher for dense or high-footfall wards
+   */
+  areaWeight: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+wardSchema.pre("save", function() {
+  this.updatedAt = Date.now();
+});
+
+wardSchema.index({ boundary: "2dsphere" });
+
+module.exports = mongoose.model("Ward", wardSchema);
@@ -0,0 +1,142 @@
+/**
+ * Admin API Routes
+ *
+ * User management for administrators.
+ *
+ * Endpoints:
+ * - GET /api/admin/users            : List users (optionally by role)
+ * - PATCH /api/admin/users/:id/role : Change a user's role
+ * - PATCH /api/admin/users/:id/department : Place staff in a department
+ * - DELETE /api/admin/users/:id     : Delete a user
+ *
+ * All endpoints require the admin role.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const userModel = require("../models/user.model");
+const Department = require("../models/department.model");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * List users
+ * Route: GET /api/admin/users
+ *
+ * @query {string} role - Filter by role
+ * @returns {Object} Users without password hashes
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const { role } = req.query;
+    const query = role ? { role } : {};
+
+    const users = await userModel.find(query).select("-password").sort({ name: 1 });
+
+    res.json({ total: users.length, users });
+  } catch (error) {
+    console.error("List Users Error:", error);
+    res.status(500).json({ message: "Error fetching users", error: error.message });
+  }
+});
+
+/**
+ * Change a user's role
+ * Route: PATCH /api/admin/users/:id/role
+ *
+ * @body {string} role - citizen, officer, department_head or admin
+ * @returns {Object} Updated user
+ */
+router.patch("/users/:id/role", async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!userModel.ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${userModel.ROLES.join(", ")}` });
+    }
+
+    if (String(req.user._id) === req.params.id && role !== "admin") {
+      return res.status(400).json({ message: "You cannot remove your own admin role" });
+    }
+
+    const user = await userModel.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { returnDocument: "after", runValidators: true }
+    ).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ message: "Role updated", user });
+  } catch (error) {
+    console.error("Update Role Error:", error);
+    res.status(500).json({ message: "Error updating role", error: error.message });
+  }
+});
+
+/**
+ * Place an officer or department head in a department
+ * Route: PATCH /api/admin/users/:id/department
+ *
+ * @body {string|null} departmentId - Department, or null to remove
+ * @returns {Object} Updated user
+ */
+router.patch("/users/:id/department", async (req, res) => {
+  try {
+    const { departmentId } = req.body;
+
+    if (departmentId !== null) {
+      const department = isValidObjectId(departmentId) ? await Department.findById(departmentId) : null;
+      if (!department) {
+        return res.status(400).json({ message: "departmentId must be an existing department (or null)" });
+      }
+    }
+
+    const user = isValidObjectId(req.params.id) ? await userModel.findById(req.params.id) : null;
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (departmentId !== null && !["officer", "department_head"].includes(user.role)) {
+      return res.status(400).json({ message: "Only officers and department heads belong to a department" });
+    }
+
+    user.department = departmentId;
+    await user.save();
+
+    res.json({ message: "Department updated", user });
+  } catch (error) {
+    console.error("Update User Department Error:", error);
+    res.status(500).json({ message: "Error updating department", error: error.message });
+  }
+});
+
+/**
+ * Delete a user
+ * Route: DELETE /api/admin/users/:id
+ */
+router.delete("/users/:id", async (req, res) => {
+  try {
+    if (String(req.user._id) === req.params.id) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    const user = await userModel.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({ message: "User deleted" });
+  } catch (error) {
+    console.error("Delete User Error:", error);
+    res.status(500).json({ message: "Error deleting user", error: error.message });
+  }
+});
+
+module.exports = router;
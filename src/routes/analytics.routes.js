@@ -0,0 +1,154 @@
+/**
+ * Analytics API Routes
+ *
+ * Complaint statistics for the analytics dashboard.
+ *
+ * Endpoints:
+ * - GET /api/analytics/summary : Counts by status, severity, category,
+ *                                department and ward; duplicates; resolution times (staff)
+ * - GET /api/analytics/heatmap : Priority-weighted complaint locations, gridded or as points (staff)
+ * - GET /api/analytics/classifiers : Precision, recall and confusion matrix of each classifier (staff)
+ * - GET /api/analytics/classifiers/keywords : Fallback keywords suggested from corrections (staff)
+ * - GET /api/analytics/corrections : Recent category corrections (staff)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { STAFF_ROLES, requireAuth, requireRole } = require("../middleware/auth.middleware");
+const { getSummary } = require("../services/analytics.service");
+const { getHeatmap, toGeoJson } = require("../services/heatmap.service");
+const { evaluateClassifiers, suggestKeywords, listCorrections } = require("../services/evaluation.service");
+
+router.use(requireAuth, requireRole(...STAFF_ROLES));
+
+/**
+ * Complaint statistics
+ * Route: GET /api/analytics/summary
+ * Access: staff (scoped to their department unless admin)
+ *
+ * @query {string} ward - Ward id, or "none" for complaints outside any ward
+ * @query {string} from - Filed on or after (ISO date)
+ * @query {string} to - Filed on or before (ISO date)
+ * @query {string} status, category, severity, department - As for GET /api/complaints
+ * @returns {Object} Summary (see analytics.service.js)
+ */
+router.get("/summary", async (req, res) => {
+  try {
+    res.json(await getSummary(req.user, req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Analytics Summary Error:", error);
+    res.status(500).json({ message: "Error computing analytics", error: error.message });
+  }
+});
+
+/**
+ * Heatmap data
+ * Route: GET /api/analytics/heatmap
+ * Access: staff (scoped to their department unless admin)
+ *
+ * Points carry lat, lng, weight (sum of priority scores / 100) and count.
+ * Grid mode aggregates on the server, so the response size depends on the
+ * cell size and area, not on the number of complaints.
+ *
+ * @query {string} mode - "grid" (default) or "points" (one per complaint, max 5000)
+ * @query {number} cell - Grid cell size in degrees (default 0.005, 0.0005-1)
+ * @query {string} bbox - minLng,minLat,maxLng,maxLat: only this area
+ * @query {string} category, status, ward, from, to, ... - As for GET /api/complaints
+ * @query {string} format - "geojson" for a FeatureCollection of Points
+ * @query {boolean} download - With format=geojson, send as a file
+ * @returns {Object} { mode, cell, total, truncated, points } or GeoJSON
+ */
+router.get("/heatmap", async (req, res) => {
+  try {
+    const heatmap = await getHeatmap(req.user, req.query);
+
+    if (req.query.format !== "geojson") {
+      return res.json(heatmap);
+    }
+
+    if (req.query.download === "true") {
+      res.attachment(`complaints-heatmap-${new Date().toISOString().slice(0, 10)}.geojson`);
+    }
+    res.type("application/geo+json").send(JSON.stringify(toGeoJson(heatmap)));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Heatmap Error:", error);
+    res.status(500).json({ message: "Error computing heatmap", error: error.message });
+  }
+});
+
+/**
+ * Classifier accuracy
+ * Route: GET /api/analytics/classifiers
+ * Access: staff (scoped to their department unless admin)
+ *
+ * Scores the text models (zero-shot, multilingual), the image model and
+ * the keyword fallback against complaints staff corrected or resolved
+ * (see evaluation.service.js).
+ *
+ * @query {string} from, to, ward, category, department - As for /summary
+ * @returns {Object} { verified, corrected, truncated, classifiers }
+ */
+router.get("/classifiers", async (req, res) => {
+  try {
+    res.json(await evaluateClassifiers(req.user, req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Classifier Evaluation Error:", error);
+    res.status(500).json({ message: "Error evaluating classifiers", error: error.message });
+  }
+});
+
+/**
+ * Suggested fallback keywords
+ * Route: GET /api/analytics/classifiers/keywords
+ * Access: staff (scoped to their department unless admin)
+ *
+ * Words from descriptions the current keywords misclassify. Admins add
+ * them with PATCH /api/categories/:id.
+ *
+ * @query {number} minCount - Missed complaints a word must appear in (default 2)
+ * @query {string} from, to, ward, category, department - As for /summary
+ * @returns {Object} { verified, truncated, minCount, categories }
+ */
+router.get("/classifiers/keywords", async (req, res) => {
+  try {
+    res.json(await suggestKeywords(req.user, req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Keyword Suggestion Error:", error);
+    res.status(500).json({ message: "Error suggesting keywords", error: error.message });
+  }
+});
+
+/**
+ * Recent category corrections
+ * Route: GET /api/analytics/corrections
+ * Access: staff (scoped to their department unless admin)
+ *
+ * @query {number} limit - Corrections returned (default 50, max 200)
+ * @query {string} from, to, ward, category, department - As for /summary
+ * @returns {Object} { corrections }
+ */
+router.get("/corrections", async (req, res) => {
+  try {
+    res.json({ corrections: await listCorrections(req.user, req.query) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Corrections List Error:", error);
+    res.status(500).json({ message: "Error listing corrections", error: error.message });
+  }
+});
+
+module.exports = router;
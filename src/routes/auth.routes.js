@@ -1,13 +1,25 @@
 const express = require("express")
 const userModel = require("../models/user.model")
-const jwt = require("jsonwebtoken")
+const { issueToken, hashPassword, verifyPassword } = require("../services/auth.service")
+const { requireAuth } = require("../middleware/auth.middleware")
 
 const authRouter = express.Router()
-const crypto = require("crypto")
+
+// emails are stored trimmed and lower-cased, so "Admin@City.gov" is "admin@city.gov"
+function normalizeEmail(email) {
+    return email == null ? "" : String(email).trim().toLowerCase()
+}
 
 // /api/auth/register
 authRouter.post("/register", async (req, res) => {
-    const { email, name, password } = req.body
+    const { name, password } = req.body
+    const email = normalizeEmail(req.body.email)
+
+    if(!email || !password){
+        return res.status(400).json({
+            message: "email and password are required"
+        })
+    }
 
     const isUserAlreadyExists = await userModel.findOne({email})
 
@@ -17,21 +29,19 @@ authRouter.post("/register", async (req, res) => {
         })
     }
 
-    const hash = crypto.createHash("md5").update(password).digest("hex")
+    const hash = await hashPassword(password)
+
+    // Everyone registers as a citizen; while there is no admin yet, an
+    // email listed in ADMIN_EMAILS bootstraps one. Other roles are granted by an admin.
+    const adminEmails = (process.env.ADMIN_EMAILS || "").split(",").map(normalizeEmail).filter(Boolean)
+    const isBootstrapAdmin = adminEmails.includes(email) && !(await userModel.exists({ role: "admin" }))
+    const role = isBootstrapAdmin ? "admin" : "citizen"
 
     const user = await userModel.create({
-        email, password:hash, name
+        email, password:hash, name, role
     })
 
-    const token = jwt.sign(
-        {
-             id: user._id,
-            email: user.email
-        },
-        process.env.JWT_SECRET
-  )
-
-  res.cookie("token", token)
+    const token = issueToken(res, user)
 
     res.status(201).json({
         message: "user registerd",
@@ -44,24 +54,40 @@ authRouter.post("/register", async (req, res) => {
 
 //api/auth/protected
 
-authRouter.post("/protected", (req, res) => {
-    console.log("cookies",req.cookies);
-
+authRouter.post("/protected", requireAuth, (req, res) => {
     res.status(200).json({
         message: "this is a protected route",
-        token: req.cookies.token
+        user: req.user
+    })
+})
+
+// /api/auth/refresh
+// issues a fresh token for a still-valid session
+
+authRouter.post("/refresh", requireAuth, (req, res) => {
+    issueToken(res, req.user)
+
+    res.status(200).json({
+        message: "token refreshed",
+        user: req.user
     })
 })
 
+// /api/auth/me
+
+authRouter.get("/me", requireAuth, (req, res) => {
+    res.status(200).json({ user: req.user })
+})
+
 // Post/api/auth/login
 
 
 //controller for login route
 
 authRouter.post("/login",async(req, res) => {
-    const {email, password} = req.body
+    const {password} = req.body
 
-    const user = await userModel.findOne({email})
+    const user = await userModel.findOne({email: normalizeEmail(req.body.email)})
 
     if(!user) {
         return res.status(404).json({
@@ -69,20 +95,22 @@ authRouter.post("/login",async(req, res) => {
         })
     }
     
-    const isPasswordMatched = user.password === crypto.createHash("md5").update(password).digest("hex")
+    const { matched, needsRehash } = await verifyPassword(password, user.password)
 
-    if(!isPasswordMatched){
+    if(!matched){
         return res.status(401).json({
             message: "Invaild password"
 
         })
     }
 
-    const token = jwt.sign({
-        id: user._id,
-    },process.env.JWT_SECRET)
+    // upgrade legacy MD5 (or weaker bcrypt) hashes on successful login
+    if(needsRehash){
+        user.password = await hashPassword(password)
+        await user.save()
+    }
 
-    res.cookie("token", token)
+    issueToken(res, user)
 
     res.status(200).json({
         message: "login successfull",
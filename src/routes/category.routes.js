@@ -0,0 +1,213 @@
+/**
+ * Category API Routes
+ *
+ * The complaint category taxonomy: what the report form offers and what
+ * the classifiers and priority scoring use (see category.service.js).
+ *
+ * Endpoints:
+ * - GET /api/categories        : List active categories (admins: ?all=true for retired ones too)
+ * - POST /api/categories       : Create a category (admin)
+ * - PATCH /api/categories/:id  : Update keywords, labels, multiplier, icon or active flag (admin)
+ * - DELETE /api/categories/:id : Delete an unused category (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const Category = require("../models/category.model");
+const Complaint = require("../models/complaint");
+const Department = require("../models/department.model");
+const SlaPolicy = require("../models/sla-policy.model");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+const {
+  OTHER_CATEGORY,
+  getAllCategories,
+  getCategories,
+  invalidateCategories
+} = require("../services/category.service");
+
+router.use(requireAuth);
+
+const LIST_FIELDS = ["subcategories", "imageKeywords", "textKeywords", "devanagariKeywords", "transliteratedKeywords"];
+const TEXT_FIELDS = ["label", "icon", "zeroShotLabel"];
+
+/**
+ * Read the editable fields from a request body
+ * Lists may be arrays or comma separated text.
+ *
+ * @returns {Object} { fields, error }
+ */
+function readFields(body) {
+  const fields = {};
+
+  for (const name of LIST_FIELDS) {
+    if (body[name] === undefined) continue;
+    const values = Array.isArray(body[name]) ? body[name] : String(body[name]).split(",");
+    fields[name] = [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+  }
+
+  for (const name of TEXT_FIELDS) {
+    if (body[name] !== undefined) fields[name] = String(body[name]).trim();
+  }
+
+  if (body.priorityMultiplier !== undefined) {
+    const multiplier = Number(body.priorityMultiplier);
+    if (!(multiplier >= 0.5 && multiplier <= 3)) {
+      return { error: "priorityMultiplier must be between 0.5 and 3" };
+    }
+    fields.priorityMultiplier = multiplier;
+  }
+
+  if (body.sortOrder !== undefined) {
+    const sortOrder = Number(body.sortOrder);
+    if (!Number.isFinite(sortOrder)) {
+      return { error: "sortOrder must be a number" };
+    }
+    fields.sortOrder = sortOrder;
+  }
+
+  if (body.active !== undefined) fields.active = body.active === true || body.active === "true";
+
+  return { fields };
+}
+
+/**
+ * List categories
+ * Route: GET /api/categories
+ *
+ * @query {boolean} all - Include retired categories (admin)
+ * @returns {Object} Categories in display order
+ */
+router.get("/", async (req, res) => {
+  try {
+    const all = req.query.all === "true" && req.user.role === "admin";
+    const categories = all ? await getAllCategories() : await getCategories();
+
+    res.json({ total: categories.length, other: OTHER_CATEGORY, categories });
+  } catch (error) {
+    console.error("List Categories Error:", error);
+    res.status(500).json({ message: "Error fetching categories", error: error.message });
+  }
+});
+
+/**
+ * Create a category
+ * Route: POST /api/categories
+ * Access: admin
+ *
+ * Route it by adding it to a department's categories.
+ *
+ * @body {string} name - Category name stored on complaints, e.g. "Stray Animals" (can't be changed later)
+ * @body {string} label - Display name on the report form (default: name)
+ * @body {string} icon - Emoji for cards and badges
+ * @body {string[]} subcategories - Finer issue types citizens can pick
+ * @body {string[]} imageKeywords - Words matched against MobileNet labels
+ * @body {string[]} textKeywords - Words the keyword classifier looks for
+ * @body {string[]} devanagariKeywords - Hindi/Marathi words in Devanagari, e.g. "कचरा"
+ * @body {string[]} transliteratedKeywords - Hindi/Marathi words typed in Latin script, e.g. "kachra"
+ * @body {string} zeroShotLabel - Phrasing given to the zero-shot classifier (default: name)
+ * @body {number} priorityMultiplier - 0.5 to 3 (default 1)
+ * @body {number} sortOrder - Position on the report form
+ * @returns {Object} Created category
+ */
+router.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+
+    if (!name) {
+      return res.status(400).json({ message: "name is required" });
+    }
+    if (name === OTHER_CATEGORY) {
+      return res.status(400).json({ message: `"${OTHER_CATEGORY}" is built in` });
+    }
+
+    const { fields, error } = readFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await Category.exists({ name })) {
+      return res.status(409).json({ message: `Category "${name}" already exists` });
+    }
+
+    const category = await Category.create({ ...fields, name });
+    invalidateCategories();
+
+    res.status(201).json({ message: "Category created", category });
+  } catch (error) {
+    console.error("Create Category Error:", error);
+    res.status(500).json({ message: "Error creating category", error: error.message });
+  }
+});
+
+/**
+ * Update a category
+ * Route: PATCH /api/categories/:id
+ * Access: admin
+ *
+ * The name can't change (complaints store it); set active: false to
+ * retire a category. Retired categories disappear from the report form
+ * and the classifiers but their complaints keep them.
+ *
+ * @body Any of the POST fields except name, plus {boolean} active
+ * @returns {Object} Updated category
+ */
+router.patch("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const category = isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    if (req.body.name !== undefined && req.body.name !== category.name) {
+      return res.status(400).json({ message: "A category can't be renamed; change its label instead" });
+    }
+
+    const { fields, error } = readFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    Object.assign(category, fields);
+    await category.save();
+    invalidateCategories();
+
+    res.json({ message: "Category updated", category });
+  } catch (error) {
+    console.error("Update Category Error:", error);
+    res.status(500).json({ message: "Error updating category", error: error.message });
+  }
+});
+
+/**
+ * Delete a category nothing uses yet
+ * Route: DELETE /api/categories/:id
+ * Access: admin
+ */
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const category = isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const [complaint, department, policy] = await Promise.all([
+      Complaint.exists({ category: category.name }),
+      Department.exists({ categories: category.name }),
+      SlaPolicy.exists({ category: category.name })
+    ]);
+    if (complaint || department || policy) {
+      return res.status(409).json({ message: "Category is in use; set active to false to retire it" });
+    }
+
+    await category.deleteOne();
+    invalidateCategories();
+
+    res.json({ message: "Category deleted" });
+  } catch (error) {
+    console.error("Delete Category Error:", error);
+    res.status(500).json({ message: "Error deleting category", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,105 +5,340 @@
  * Integrates with AI service for:
  * - Image classification (MobileNet)
  * - Text classification (BART zero-shot)
- * - Duplicate detection (Sentence Transformers)
+ * - Duplicate detection (location, text, photo and category signals)
  * - Priority scoring (Rule-based)
  * 
  * Endpoints:
- * - POST /api/complaints       : Create new complaint with AI analysis
- * - GET /api/complaints/priority : Get complaints sorted by priority
+ * - POST /api/complaints       : Create new complaint and queue its AI analysis
+ * - POST /api/complaints/voice : Transcribe a voice recording into a complaint draft
+ * - GET /api/complaints        : List complaints (filters, sorting, pagination)
+ * - GET /api/complaints/search : Ranked text or semantic search
+ * - GET /api/complaints/mine   : Get the logged-in citizen's complaints
+ * - GET /api/complaints/nearby : Complaints near a GPS point, nearest first
+ * - GET /api/complaints/export : Download filtered complaints as CSV or JSON (staff)
+ * - GET /api/complaints/priority : Get complaints sorted by priority (staff)
  * - POST /api/complaints/classify : Classify image/text
  * - POST /api/complaints/duplicate-check : Check for duplicates
+ * - GET /api/complaints/:id    : Get a single complaint
+ * - GET /api/complaints/:id/analysis : AI analysis state and results
+ * - GET /api/complaints/:id/analysis/stream : The same as Server-Sent Events until analysis ends
+ * - PATCH /api/complaints/:id/assign : Assign a field officer
+ * - PATCH /api/complaints/:id/status : Move a complaint through its workflow
+ * - PATCH /api/complaints/:id/department : Reassign to another department
+ * - PATCH /api/complaints/:id/category : Correct the category the AI picked (staff)
+ * - GET /api/complaints/:id/priority-history : Priority score changes (staff)
+ * - POST /api/complaints/:id/support : "Me too" - support an existing complaint
+ * - GET /api/complaints/duplicates : Suspected duplicate pairs to review (staff)
+ * - POST /api/complaints/:id/merge : Merge duplicates into this master (staff)
+ * - POST /api/complaints/:id/unmerge : Undo a merge (staff)
+ * - GET /api/complaints/:id/merged : Complaints merged into this one
+ *
+ * All endpoints require authentication (see auth.middleware.js)
  */
 
 const express = require("express");
 const router = express.Router();
+const { isValidObjectId } = require("mongoose");
 const Complaint = require("../models/complaint");
+const userModel = require("../models/user.model");
+const Department = require("../models/department.model");
+const VoiceDraft = require("../models/voice-draft.model");
 const path = require("path");
+const fs = require("fs");
 const {
+  STAFF_ROLES,
+  requireAuth,
+  requireRole,
+  loadComplaint,
+  canViewComplaint,
+  canModifyComplaint,
+  requireComplaintViewer
+} = require("../middleware/auth.middleware");
+const {
+  getTransitionRoles,
+  getNextStatuses,
+  applyTransition
+} = require("../services/status.service");
+const {
+  chooseRoutingCategory,
+  findDepartmentForCategory
+} = require("../services/routing.service");
+const { computeDeadline } = require("../services/sla.service");
+const { nextTicketNo } = require("../services/ticket.service");
+const { buildFilter, listComplaints } = require("../services/listing.service");
+const {
+  NEARBY_DEFAULT_LIMIT,
+  NEARBY_MAX_LIMIT,
+  parseCoordinates,
+  parseRadius,
+  toPoint,
+  formatCoordinates,
+  findNearby
+} = require("../services/geo.service");
+const { DEFAULT_AREA_WEIGHT, findWardForPoint } = require("../services/ward.service");
+const {
+  exportCursor,
+  csvHeader,
+  toCsvRow,
+  toExportRecord
+} = require("../services/analytics.service");
+const { searchComplaints } = require("../services/search.service");
+const { rescoreComplaint } = require("../services/priority.service");
+const { notifyStatusChange } = require("../services/notification.service");
+const { indexComplaint } = require("../services/vector-index.service");
+const { recordImageUpload, findOwnImage, releaseImage } = require("../services/upload.service");
+const {
+  MAX_RESOLUTION_PHOTOS,
+  recordResolution,
+  recordConfirmation
+} = require("../services/resolution.service");
+const { upload, audioUpload, voiceDir, discardUploadsOnError } = require("../config/upload");
+const {
+  findSuspectedDuplicates,
+  mergeComplaints,
+  unmergeComplaint,
+  cascadeStatus
+} = require("../services/merge.service");
+const {
+  analyzeImage,
   classifyImage,
   classifyText,
   detectDuplicate,
-  generateEmbedding,
-  calculatePriority
+  calculatePriority,
+  transcribeAudio,
+  fallbackTextClassification
 } = require("../services/ai.service");
+const { fileSha256 } = require("../services/fingerprint.service");
+const { OTHER_CATEGORY, getCategories, isActiveCategory } = require("../services/category.service");
+const { LANGUAGES, detectLanguage } = require("../services/language.service");
+const { analysisEvents, queueAnalysis, toAnalysisView } = require("../services/analysis.service");
+
+// Every complaint endpoint needs a logged-in user
+router.use(requireAuth);
+
+/**
+ * Complaint document as sent in responses: without the embedding and
+ * photo fingerprint (internal, and large)
+ */
+function toComplaintView(complaint) {
+  const view = complaint.toObject();
+  delete view.embedding;
+  delete view.imageFingerprint;
+  return view;
+}
 
 /**
- * Create new complaint with full AI analysis
+ * Attach a citizen to an existing complaint as a "me too" supporter,
+ * then re-score it so the extra support raises its priority (saves)
+ *
+ * The supporter is added in one update guarded on membership, so two
+ * requests at once can't add them twice or miscount supporterCount.
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {Object} user - Supporting user
+ * @param {string} image - Optional filename of the user's photo (see findOwnImage)
+ * @returns {Promise<Object>} { error } message, or { complaint } updated
+ */
+async function addSupporter(complaint, user, image) {
+  if (String(complaint.createdBy) === String(user._id)) {
+    return { error: "You reported this complaint" };
+  }
+  
+  const updated = await Complaint.findOneAndUpdate(
+    { _id: complaint._id, "supporters.user": { $ne: user._id } },
+    {
+      $push: { supporters: { user: user._id, image: image || null } },
+      $inc: { supporterCount: 1 }
+    },
+    { returnDocument: "after" }
+  ).select("-embedding -imageFingerprint");
+  
+  if (!updated) {
+    return { error: "You already support this complaint" };
+  }
+  
+  if (image) await releaseImage(image);
+  await rescoreComplaint(updated, `New supporter (${updated.supporterCount} total)`);
+  await updated.save();
+  
+  return { complaint: updated };
+}
+
+/**
+ * Create new complaint and queue its AI analysis
  * Route: POST /api/complaints
  * 
- * Process:
+ * Process (quick, no models):
  * 1. Receive complaint data with optional image
- * 2. Classify image (if provided) using MobileNet
- * 3. Classify text using BART zero-shot
- * 4. Check for duplicates using Sentence Transformers
+ * 2. Hash the photo file (if provided)
+ * 3. Detect the language (English, Hindi, Marathi) and classify text by keywords
+ * 4. Check for duplicates (location, keywords, identical photo, category)
  * 5. Calculate priority score
- * 6. Save to database with all AI insights
+ * 6. Route to a department, stamp the SLA deadline, issue a ticket number
+ *    and save with analysis.state "analysing"
+ * 7. Queue the model analysis (see analysis.service.js)
  * 
- * @body {string} category - Issue type (optional, can be AI-determined)
+ * The response carries the preliminary results; poll statusUrl or open
+ * streamUrl (Server-Sent Events) for the final ones.
+ * 
+ * @body {string} category - Issue type (optional, can be AI-determined): an active category or "Other"
+ * @body {string} subcategory - One of the category's subcategories (optional)
  * @body {string} description - Detailed description
- * @body {string} location - Address/GPS
- * @body {string} image - Uploaded filename
- * @body {string} createdBy - Username
- * @returns {Object} Created complaint with full AI analysis
+ * @body {string} location - Address/landmark (optional when lat/lng are sent)
+ * @body {number} lat - GPS latitude (optional, with lng)
+ * @body {number} lng - GPS longitude (optional, with lat)
+ * @body {string|File} image - Filename of a photo this user uploaded (e.g. the one the
+ *   duplicate warning returned), or the photo itself (multipart/form-data)
+ * @body {string} audio - Voice draft's `audio` (from POST /voice by the same user), to keep
+ *   the recording and its transcript (optional)
+ * @body {string} onDuplicate - "support" to join a detected duplicate instead of
+ *                              getting 409, "submit" to file it anyway
+ * @returns {Object} Ticket number and created complaint with full AI analysis
  */
-router.post("/", async (req, res) => {
+router.post("/", upload.single("image"), async (req, res) => {
   try {
-    const { category, description, location, image, createdBy } = req.body;
+    const { category, description, onDuplicate } = req.body;
+    // A new upload, or one of the user's earlier ones resent by name
+    const image = req.file
+      ? await recordImageUpload(req.file, req.user)
+      : (req.body.image ? await findOwnImage(req.body.image, req.user) : null);
+    const coordinates = parseCoordinates(req.body.lat, req.body.lng);
+    const location = req.body.location || (coordinates ? formatCoordinates(coordinates) : "");
+
+    if (!location) {
+      return res.status(400).json({ message: "Location or GPS coordinates (lat, lng) required" });
+    }
+
+    // Voice complaints too: the description is the corrected transcript
+    if (typeof description !== "string" || !description.trim()) {
+      return res.status(400).json({ message: "Description required" });
+    }
+
+    const categories = await getCategories();
+    const chosenCategory = categories.find(c => c.name === category);
+    if (category && !chosenCategory && category !== OTHER_CATEGORY) {
+      return res.status(400).json({ message: `category must be one of ${[...categories.map(c => c.name), OTHER_CATEGORY].join(", ")}` });
+    }
+
+    const subcategory = req.body.subcategory || null;
+    if (subcategory && !(chosenCategory && chosenCategory.subcategories.includes(subcategory))) {
+      return res.status(400).json({ message: "subcategory must be one of the category's subcategories" });
+    }
+
+    // A confirmed voice draft of this user: keep the recording and the
+    // transcript Whisper made of it (stored by POST /voice)
+    let voice = null;
+    let voiceDraft = null;
+    if (req.body.audio) {
+      const audio = path.basename(String(req.body.audio));
+      voiceDraft = await VoiceDraft.findOne({ audio, uploadedBy: req.user._id });
+      if (!voiceDraft || !fs.existsSync(path.join(voiceDir, audio))) {
+        return res.status(400).json({ message: "audio must be a recording you uploaded to /api/complaints/voice" });
+      }
+      if (await Complaint.exists({ "voice.audio": audio })) {
+        return res.status(409).json({ message: "This recording already belongs to a complaint" });
+      }
+      voice = { audio, transcript: voiceDraft.transcript, spokenLanguage: voiceDraft.spokenLanguage };
+    }
 
     // ============================================
-    // STEP 1: IMAGE CLASSIFICATION (MobileNet)
+    // STEP 1: PHOTO FILE HASH
     // ============================================
     
-    let imageClassification = {
+    // Classified and fingerprinted by the analysis job
+    const imageClassification = {
       predictedLabel: null,
       confidence: 0,
       mappedCategory: null,
       allPredictions: []
     };
+    let imageFingerprint = null;
 
     if (image) {
-      const imagePath = path.join(__dirname, "../../uploads", image);
-      imageClassification = await classifyImage(imagePath);
+      const imagePath = path.join(__dirname, "../../uploads", path.basename(image));
+      const sha256 = await fileSha256(imagePath).catch(() => null);
+      if (sha256) imageFingerprint = { sha256 };
     }
 
     // ============================================
-    // STEP 2: TEXT CLASSIFICATION (BART Zero-shot)
+    // STEP 2: TEXT CLASSIFICATION (keywords)
     // ============================================
     
-    const textClassification = await classifyText(description);
+    // Replaced by the zero-shot result once the analysis job runs
+    const language = detectLanguage(description);
+    const textClassification = fallbackTextClassification(description, categories, language);
 
     // ============================================
-    // STEP 3: DUPLICATE DETECTION (Sentence Transformers)
+    // STEP 3: DUPLICATE DETECTION (location + keywords + photo + category)
     // ============================================
     
-    const duplicateCheck = await detectDuplicate({ description, location });
+    // No embedding yet: compared by keywords, re-checked by the analysis job
+    const duplicateCheck = await detectDuplicate({
+      description,
+      embedding: null,
+      location,
+      coordinates,
+      category: category || textClassification.predictedCategory,
+      image,
+      imageClassification,
+      imageFingerprint
+    });
 
     // ============================================
     // STEP 4: PRIORITY SCORING (Rule-based)
     // ============================================
     
+    // The ward containing the GPS fix sets the area weight
+    const ward = await findWardForPoint(coordinates);
+    
     const priorityResult = await calculatePriority({
       category: category || textClassification.predictedCategory,
       description,
-      location
-    });
+      location,
+      coordinates
+    }, { hoursPending: 0, areaWeight: ward ? ward.areaWeight : DEFAULT_AREA_WEIGHT });
 
     // ============================================
-    // STEP 5: GENERATE EMBEDDING
+    // STEP 5: CHECK DUPLICATE THRESHOLD
     // ============================================
     
-    const embedding = await generateEmbedding({ description });
-
-    // ============================================
-    // STEP 6: CHECK DUPLICATE THRESHOLD
-    // ============================================
+    // If a duplicate was detected, offer "me too" support
+    const existing = duplicateCheck.isDuplicate && onDuplicate !== "submit"
+      ? await Complaint.findById(duplicateCheck.matchingComplaint)
+      : null;
+    
+    if (existing && onDuplicate === "support") {
+      const { error, complaint: supported } = await addSupporter(existing, req.user, image);
+      
+      if (error) {
+        return res.status(409).json({ message: error });
+      }
+      
+      return res.status(200).json({
+        message: "Added your support to the existing complaint",
+        supported: true,
+        complaintId: supported._id,
+        supporterCount: supported.supporterCount
+      });
+    }
     
-    // If duplicate detected with >85% similarity, return warning
-    if (duplicateCheck.isDuplicate && duplicateCheck.similarity > 0.85) {
+    if (existing) {
       return res.status(409).json({
         message: "Potential duplicate complaint detected",
         similarity: Math.round(duplicateCheck.similarity * 100),
-        matchingComplaint: duplicateCheck.matchingComplaint,
+        matchedField: duplicateCheck.matchedField,
+        explanation: duplicateCheck.explanation,
+        signals: duplicateCheck.signals,
+        matchingComplaint: {
+          _id: existing._id,
+          category: existing.category,
+          description: existing.description,
+          location: existing.location,
+          status: existing.status,
+          supporterCount: existing.supporterCount
+        },
+        supportUrl: `/api/complaints/${existing._id}/support`,
+        image: image || null,  // resend as `image` with onDuplicate instead of uploading again
         aiInsights: {
           imageClassification,
           textClassification,
@@ -113,18 +348,38 @@ router.post("/", async (req, res) => {
     }
 
     // ============================================
-    // STEP 7: CREATE COMPLAINT
+    // STEP 6: CREATE COMPLAINT
     // ============================================
     
     // Use AI-determined category if user didn't specify
     const finalCategory = category || textClassification.predictedCategory || "Other";
 
+    // Route to a department (confident AI category wins over the form's)
+    const routing = chooseRoutingCategory(finalCategory, textClassification, imageClassification);
+    const department = await findDepartmentForCategory(routing.category);
+
+    // SLA deadline from category + severity
+    const sla = await computeDeadline(finalCategory, priorityResult.severityLevel);
+
     const complaint = await Complaint.create({
+      ticketNo: await nextTicketNo(),
       image,
+      voice: voice || undefined,
       category: finalCategory,
+      subcategory,
       description,
       location,
-      createdBy: createdBy || "Anonymous",
+      geoLocation: coordinates ? toPoint(coordinates) : undefined,
+      ward: ward ? ward._id : null,
+      createdBy: req.user._id,
+      
+      // Department routing
+      department: department?._id || null,
+      routing,
+      
+      // SLA
+      deadline: sla.deadline,
+      slaHours: sla.slaHours,
       
       // Image classification results
       imageClassification: {
@@ -133,65 +388,437 @@ router.post("/", async (req, res) => {
         mappedCategory: imageClassification.mappedCategory,
         allPredictions: imageClassification.allPredictions
       },
+      imageFingerprint: imageFingerprint || undefined,
       
       // Text classification results
       textClassification: {
         predictedCategory: textClassification.predictedCategory,
         confidence: textClassification.confidence,
-        scores: textClassification.scores
+        scores: textClassification.scores,
+        method: textClassification.method
       },
+      detectedLanguage: language,
       
-      // Embedding for future duplicate detection
-      embedding,
+      // Embedding for future duplicate detection (set by the analysis job)
+      embedding: null,
+      analysis: { state: "analysing" },
       
       // Duplicate check results
       aiDuplicateCheck: {
         isDuplicate: duplicateCheck.isDuplicate,
         similarity: Math.round(duplicateCheck.similarity * 100),
         matchingComplaintId: duplicateCheck.matchingComplaint,
-        matchedField: duplicateCheck.matchedField
+        matchedField: duplicateCheck.matchedField,
+        signals: duplicateCheck.signals,
+        explanation: duplicateCheck.explanation
       },
       
       // Priority scoring
       priorityScore: priorityResult.score,
       priorityBreakdown: priorityResult.breakdown,
       aiSeverityLevel: priorityResult.severityLevel,
-      aiReasoning: priorityResult.reasoning
+      aiReasoning: priorityResult.reasoning,
+      priorityHistory: [{
+        score: priorityResult.score,
+        severityLevel: priorityResult.severityLevel,
+        breakdown: priorityResult.breakdown,
+        reason: "Initial score at submission"
+      }],
+      
+      // First timeline entry
+      statusHistory: [{
+        from: null,
+        to: "Assigned",
+        actor: req.user._id,
+        actorRole: req.user.role,
+        remark: "Complaint submitted"
+      }]
     });
 
+    // The draft's recording and transcript, and the photo, now live on the complaint
+    if (voiceDraft) await voiceDraft.deleteOne();
+    if (image) await releaseImage(image);
+
+    // ============================================
+    // STEP 7: QUEUE AI ANALYSIS
+    // ============================================
+    
+    await queueAnalysis(complaint, category || null);
+
     res.status(201).json({
       message: "Complaint submitted successfully",
-      complaint,
+      ticketNo: complaint.ticketNo,
+      trackUrl: `/track/${complaint.ticketNo}`,
+      complaint: toComplaintView(complaint),
+      analysis: {
+        state: complaint.analysis.state,
+        statusUrl: `/api/complaints/${complaint._id}/analysis`,
+        streamUrl: `/api/complaints/${complaint._id}/analysis/stream`
+      },
+      // Preliminary: keyword classification and duplicate check
       aiInsights: {
         imageClassification,
         textClassification,
         duplicateCheck: {
           isDuplicate: duplicateCheck.isDuplicate,
-          similarity: Math.round(duplicateCheck.similarity * 100)
+          similarity: Math.round(duplicateCheck.similarity * 100),
+          matchedField: duplicateCheck.matchedField,
+          explanation: duplicateCheck.explanation,
+          signals: duplicateCheck.signals
         },
         priority: priorityResult
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Complaint Creation Error:", error);
     res.status(500).json({ message: "Error creating complaint", error: error.message });
   }
 });
 
+/**
+ * Accept a voice recording as the `audio` file (multipart/form-data)
+ */
+function receiveAudio(req, res, next) {
+  audioUpload.single("audio")(req, res, err => {
+    if (err) {
+      const status = err.statusCode || (err.code === "LIMIT_FILE_SIZE" ? 413 : 400);
+      return res.status(status).json({ message: `Upload failed: ${err.message}` });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "audio file required" });
+    }
+    next();
+  });
+}
+
+/**
+ * Transcribe a voice complaint into a draft
+ * Route: POST /api/complaints/voice
+ * 
+ * Whisper transcribes the recording on this server; the transcript then
+ * goes through text classification, the duplicate check and priority
+ * scoring like a typed description. Nothing is filed yet: the citizen
+ * corrects the transcript and submits it with POST /api/complaints
+ * (description, plus the draft's `audio` to keep the recording and
+ * transcript, which are stored as a VoiceDraft of the uploader).
+ * Recordings never submitted are deleted after a day
+ * (jobs/voice-cleanup.job.js).
+ * 
+ * @body {File} audio - Recording: WAV, or any format ffmpeg reads when it is installed
+ * @body {string} language - Spoken language hint: en, hi or mr (optional, detected otherwise)
+ * @body {string} location - Address/landmark (optional): with lat/lng, enables
+ *   the duplicate check and priority preview
+ * @body {number} lat - GPS latitude (optional, with lng)
+ * @body {number} lng - GPS longitude (optional, with lat)
+ * @body {string} category - Category picked on the form (optional)
+ * @returns {Object} Draft: transcript, detected language, audio filename and AI insights
+ */
+router.post("/voice", discardUploadsOnError, receiveAudio, async (req, res) => {
+  try {
+    const language = LANGUAGES.includes(req.body.language) ? req.body.language : undefined;
+    const transcription = await transcribeAudio(req.file.path, { language });
+
+    if (transcription.text === null) {
+      return res.status(503).json({ message: "Speech-to-text is unavailable, please type your complaint", error: transcription.error });
+    }
+    if (!transcription.text) {
+      return res.status(422).json({ message: "No speech was recognised in the recording" });
+    }
+
+    const transcript = transcription.text;
+    await VoiceDraft.create({
+      audio: req.file.filename,
+      uploadedBy: req.user._id,
+      transcript,
+      spokenLanguage: transcription.language.code
+    });
+
+    const coordinates = parseCoordinates(req.body.lat, req.body.lng);
+    const location = req.body.location || (coordinates ? formatCoordinates(coordinates) : "");
+
+    const textClassification = await classifyText(transcript);
+    const category = req.body.category || textClassification.predictedCategory;
+
+    // Duplicates and priority depend on where the issue is
+    let duplicateCheck = null;
+    let priority = null;
+    if (location) {
+      const result = await detectDuplicate({ description: transcript, location, coordinates, category });
+      duplicateCheck = {
+        isDuplicate: result.isDuplicate,
+        similarity: Math.round(result.similarity * 100),
+        matchingComplaintId: result.matchingComplaint,
+        matchedField: result.matchedField,
+        explanation: result.explanation,
+        signals: result.signals
+      };
+
+      const ward = await findWardForPoint(coordinates);
+      priority = await calculatePriority(
+        { category, description: transcript, location, coordinates },
+        { hoursPending: 0, areaWeight: ward ? ward.areaWeight : DEFAULT_AREA_WEIGHT }
+      );
+    }
+
+    res.json({
+      transcript,
+      language: transcription.language,
+      durationSeconds: transcription.durationSeconds,
+      audio: req.file.filename,
+      audioUrl: `/api/complaints/voice/${req.file.filename}`,
+      suggestedCategory: textClassification.predictedCategory,
+      aiInsights: {
+        textClassification,
+        duplicateCheck,
+        priority
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Voice Complaint Error:", error);
+    res.status(500).json({ message: "Error transcribing voice complaint", error: error.message });
+  }
+});
+
+/**
+ * Play a voice recording
+ * Route: GET /api/complaints/voice/:audio
+ * Access: the citizen who recorded it (draft or complaint), staff
+ * 
+ * Recordings are not served from /uploads: they stay private to the
+ * person who recorded them and the staff working the complaint.
+ * 
+ * @param {string} audio - Recording filename (`audio` from POST /voice)
+ * @returns {File} The recording
+ */
+router.get("/voice/:audio", async (req, res) => {
+  try {
+    const audio = path.basename(req.params.audio);
+    const complaint = await Complaint.findOne({ "voice.audio": audio }).select("createdBy");
+    const allowed = complaint
+      ? canViewComplaint(req.user, complaint)
+      : await VoiceDraft.exists({ audio, uploadedBy: req.user._id });
+    
+    // Someone else's recording looks the same as a missing one
+    if (!allowed) {
+      return res.status(404).json({ message: "Recording not found" });
+    }
+    
+    res.sendFile(path.join(voiceDir, audio), error => {
+      if (error && !res.headersSent) res.status(404).json({ message: "Recording not found" });
+    });
+  } catch (error) {
+    console.error("Voice Recording Error:", error);
+    res.status(500).json({ message: "Error fetching recording", error: error.message });
+  }
+});
+
+/**
+ * List complaints
+ * Route: GET /api/complaints
+ * Access: citizens get their own complaints, staff their department's (admins all)
+ * 
+ * @query {string} status - One or more statuses, comma separated
+ * @query {string} category - One or more categories, comma separated
+ * @query {string} severity - low / medium / high / critical, comma separated
+ * @query {string} department - Department id, or "none" for unrouted ones
+ * @query {string} assignedTo - Officer id, or "me"
+ * @query {string} reporter - Reporting user id (staff only)
+ * @query {string} from - Filed on or after (ISO date)
+ * @query {string} to - Filed on or before (ISO date)
+ * @query {boolean} includeMerged - Include merged duplicates (staff)
+ * @query {string} sort - createdAt, updatedAt, priorityScore or deadline; "-" prefix for descending (default -createdAt)
+ * @query {string} fields - Comma separated fields to return (default: all but the embedding)
+ * @query {number} limit - Page size (default 20, max 100)
+ * @query {number} page - Page number (page mode, default)
+ * @query {string} cursor - nextCursor from the previous response; send it empty to start cursor mode
+ * @returns {Object} items plus page info (page, pages, total) or nextCursor
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await listComplaints(req.user, req.query);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("List Complaints Error:", error);
+    res.status(500).json({ message: "Error fetching complaints", error: error.message });
+  }
+});
+
+/**
+ * Search complaints
+ * Route: GET /api/complaints/search
+ * Access: citizens search their own complaints, staff their department's (admins all)
+ * 
+ * Text mode matches words in the description, location and ticket number,
+ * ranked by relevance. Semantic mode finds complaints that mean the same
+ * as the query using the stored MiniLM embeddings.
+ * 
+ * @query {string} q - Search text (or a ticket number)
+ * @query {string} mode - "text" (default) or "semantic"
+ * @query {number} limit - Max results (default 20, max 50)
+ * @query {string} status, category, severity, department, ... - Same filters as GET /api/complaints
+ * @returns {Object} Ranked items with `score` and HTML `highlights` (<mark>)
+ */
+router.get("/search", async (req, res) => {
+  try {
+    const result = await searchComplaints(req.user, req.query);
+    
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Search Complaints Error:", error);
+    res.status(500).json({ message: "Error searching complaints", error: error.message });
+  }
+});
+
+/**
+ * Get the logged-in user's own complaints
+ * Route: GET /api/complaints/mine
+ * 
+ * @returns {Object} Complaints reported by req.user, newest first
+ */
+router.get("/mine", async (req, res) => {
+  try {
+    const complaints = await Complaint.find({ createdBy: req.user._id })
+      .sort({ createdAt: -1 })
+      .select("-embedding -imageFingerprint");
+    
+    res.json({ total: complaints.length, complaints });
+  } catch (error) {
+    console.error("My Complaints Error:", error);
+    res.status(500).json({ message: "Error fetching complaints", error: error.message });
+  }
+});
+
+// Fields returned by /nearby: citizens see public details of everyone's complaints
+const NEARBY_PUBLIC_FIELDS = "ticketNo category description location status supporterCount createdAt";
+const NEARBY_STAFF_FIELDS = `${NEARBY_PUBLIC_FIELDS} priorityScore aiSeverityLevel department assignedTo deadline`;
+
+/**
+ * Complaints near a GPS point, nearest first
+ * Route: GET /api/complaints/nearby
+ * 
+ * Lets the report page show "already reported here" before submitting.
+ * Citizens get every reporter's complaints (public fields only, merged
+ * duplicates left out); staff get the usual listing scope.
+ * 
+ * @query {number} lat - Latitude
+ * @query {number} lng - Longitude
+ * @query {number} radius - Metres (default 200, max 5000)
+ * @query {number} limit - Most complaints returned (default 20, max 100)
+ * @query {string} status, category, severity, department, from, to - As for GET /api/complaints
+ * @returns {Object} { center, radius, total, items } — items carry `distance` in metres
+ */
+router.get("/nearby", async (req, res) => {
+  try {
+    const center = parseCoordinates(req.query.lat, req.query.lng);
+    if (!center) {
+      return res.status(400).json({ message: "lat and lng are required" });
+    }
+
+    const radius = parseRadius(req.query.radius);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || NEARBY_DEFAULT_LIMIT, 1), NEARBY_MAX_LIMIT);
+    const isCitizen = req.user.role === "citizen";
+    const filter = buildFilter(req.user, req.query, { everyone: isCitizen });
+
+    const items = await findNearby(center, {
+      radius,
+      filter,
+      limit,
+      select: isCitizen ? NEARBY_PUBLIC_FIELDS : NEARBY_STAFF_FIELDS
+    });
+
+    res.json({ center, radius, total: items.length, items });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Nearby Complaints Error:", error);
+    res.status(500).json({ message: "Error fetching nearby complaints", error: error.message });
+  }
+});
+
+/**
+ * Export complaints
+ * Route: GET /api/complaints/export
+ * Access: officer, department_head, admin (scoped to their department unless admin)
+ * 
+ * Streams up to 10,000 complaints, oldest first, one flat row each
+ * (ticket, dates, category, status, severity, department, ward, location,
+ * coordinates, supporters, description).
+ * 
+ * @query {string} format - "csv" (default) or "json"
+ * @query {string} ward, status, category, department, from, to, ... - As for GET /api/complaints
+ * @returns {File} complaints-YYYY-MM-DD.csv / .json
+ */
+router.get("/export", requireRole(...STAFF_ROLES), async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!["csv", "json"].includes(format)) {
+    return res.status(400).json({ message: "format must be \"csv\" or \"json\"" });
+  }
+
+  let cursor;
+  try {
+    cursor = exportCursor(req.user, req.query);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Export Complaints Error:", error);
+    return res.status(500).json({ message: "Error exporting complaints", error: error.message });
+  }
+
+  const filename = `complaints-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  res.type(format === "csv" ? "text/csv; charset=utf-8" : "application/json");
+
+  try {
+    let rows = 0;
+    res.write(format === "csv" ? csvHeader() : "[");
+
+    for await (const complaint of cursor) {
+      res.write(format === "csv"
+        ? toCsvRow(complaint)
+        : `${rows > 0 ? "," : ""}\n${JSON.stringify(toExportRecord(complaint))}`);
+      rows++;
+    }
+
+    res.end(format === "csv" ? "" : "\n]\n");
+  } catch (error) {
+    // Headers are gone; cut the download short so it is visibly incomplete
+    console.error("Export Complaints Error:", error);
+    res.destroy(error);
+  }
+});
+
 /**
  * Get complaints sorted by AI priority
  * Route: GET /api/complaints/priority
+ * Access: officer, department_head, admin
  * 
  * Returns complaints grouped by priority level
  * 
  * @query {string} level - Filter by specific priority level
  * @returns {Object} Complaints grouped by priority
  */
-router.get("/priority", async (req, res) => {
+router.get("/priority", requireRole(...STAFF_ROLES), async (req, res) => {
   try {
     const { level } = req.query;
     
-    let query = {};
+    // Merged duplicates are worked through their master; staff other
+    // than admins see their department's complaints
+    let query = buildFilter(req.user, {});
     if (level) {
       // Filter by severity level
       const severityMap = {
@@ -208,7 +835,7 @@ router.get("/priority", async (req, res) => {
     
     const complaints = await Complaint.find(query)
       .sort({ priorityScore: -1, createdAt: -1 })
-      .select("-embedding");  // Exclude embeddings from response
+      .select("-embedding -imageFingerprint");  // Exclude embeddings from response
     
     // Group by severity
     const grouped = {
@@ -229,26 +856,53 @@ router.get("/priority", async (req, res) => {
   }
 });
 
+/**
+ * List suspected duplicate pairs for review
+ * Route: GET /api/complaints/duplicates
+ * Access: officer, department_head, admin
+ * 
+ * Complaints the duplicate check flagged (e.g. filed with "submit anyway")
+ * that are not merged yet, with the complaint they matched. Staff outside
+ * admin only see their own department's complaints.
+ * 
+ * @returns {Object} Pairs of { complaint, match, similarity, matchedField }
+ */
+router.get("/duplicates", requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const scope = req.user.role !== "admin" && req.user.department
+      ? { department: req.user.department }
+      : {};
+    
+    const pairs = await findSuspectedDuplicates(scope);
+    
+    res.json({ total: pairs.length, pairs });
+  } catch (error) {
+    console.error("Duplicate Review Error:", error);
+    res.status(500).json({ message: "Error fetching suspected duplicates", error: error.message });
+  }
+});
+
 /**
  * Classify image using MobileNet
  * Route: POST /api/complaints/classify/image
  * 
- * @body {string} image - Uploaded filename
+ * @body {string} image - Filename of a photo this user uploaded
  * @returns {Object} Image classification results
  */
 router.post("/classify/image", async (req, res) => {
   try {
-    const { image } = req.body;
-    
-    if (!image) {
+    if (!req.body.image) {
       return res.status(400).json({ message: "Image filename required" });
     }
     
-    const imagePath = path.join(__dirname, "../../uploads", image);
-    const result = await classifyImage(imagePath);
+    const image = await findOwnImage(req.body.image, req.user);
+    const result = await classifyImage(path.join(__dirname, "../../uploads", image));
     
     res.json(result);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Image Classification Error:", error);
     res.status(500).json({ message: "Error classifying image", error: error.message });
   }
@@ -284,25 +938,45 @@ router.post("/classify/text", async (req, res) => {
  * 
  * @body {string} description - Complaint description
  * @body {string} location - Complaint location
- * @returns {Object} Duplicate check results
+ * @body {string} category - Category (optional)
+ * @body {string} image - Filename of a photo this user uploaded (optional): also compare photos
+ * @body {number} lat - GPS latitude (optional, with lng): compare against nearby complaints
+ * @body {number} lng - GPS longitude (optional, with lat)
+ * @returns {Object} Duplicate check results with each signal's contribution
  */
 router.post("/duplicate-check", async (req, res) => {
   try {
-    const { description, location } = req.body;
+    const { description, location, category } = req.body;
     
     if (!description) {
       return res.status(400).json({ message: "Description required" });
     }
     
-    const result = await detectDuplicate({ description, location });
+    const coordinates = parseCoordinates(req.body.lat, req.body.lng);
+    const image = req.body.image ? await findOwnImage(req.body.image, req.user) : null;
+    const photo = image ? await analyzeImage(path.join(__dirname, "../../uploads", image)) : {};
+    const result = await detectDuplicate({
+      description,
+      location,
+      category,
+      coordinates,
+      image,
+      imageClassification: photo.classification,
+      imageFingerprint: photo.fingerprint
+    });
     
     res.json({
       isDuplicate: result.isDuplicate,
       similarity: Math.round(result.similarity * 100),
       matchingComplaintId: result.matchingComplaint,
-      matchedField: result.matchedField
+      matchedField: result.matchedField,
+      explanation: result.explanation,
+      signals: result.signals
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Duplicate Check Error:", error);
     res.status(500).json({ message: "Error checking for duplicates", error: error.message });
   }
@@ -311,21 +985,547 @@ router.post("/duplicate-check", async (req, res) => {
 /**
  * Calculate priority score for a complaint
  * Route: POST /api/complaints/priority/calculate
+ * Access: officer, department_head, admin
  * 
  * @body {Object} complaint - Complaint data
+ * @body {number} lat - GPS latitude (optional, with lng): use the ward's area weight and count nearby complaints
+ * @body {number} lng - GPS longitude (optional, with lat)
  * @returns {Object} Priority score with breakdown
  */
-router.post("/priority/calculate", async (req, res) => {
+router.post("/priority/calculate", requireRole(...STAFF_ROLES), async (req, res) => {
   try {
     const { category, description, location } = req.body;
+    const coordinates = parseCoordinates(req.body.lat, req.body.lng);
+    const ward = await findWardForPoint(coordinates);
     
-    const result = await calculatePriority({ category, description, location });
+    const result = await calculatePriority(
+      { category, description, location, coordinates },
+      { areaWeight: ward ? ward.areaWeight : DEFAULT_AREA_WEIGHT }
+    );
     
     res.json(result);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Priority Calculation Error:", error);
     res.status(500).json({ message: "Error calculating priority", error: error.message });
   }
 });
 
+/**
+ * Get a single complaint
+ * Route: GET /api/complaints/:id
+ * Access: the reporting citizen, or staff
+ * 
+ * @returns {Object} Complaint without its embedding
+ */
+router.get("/:id", loadComplaint, requireComplaintViewer, (req, res) => {
+  res.json(toComplaintView(req.complaint));
+});
+
+// SSE stream settings
+const ANALYSIS_POLL_MS = 5000;        // re-read the complaint (analysis may run in another process)
+const ANALYSIS_HEARTBEAT_MS = 15000;  // keeps proxies from closing an idle stream
+const ANALYSIS_STREAM_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Get the AI analysis state of a complaint
+ * Route: GET /api/complaints/:id/analysis
+ * Access: the reporting citizen, or staff
+ * 
+ * @returns {Object} state ("analysing", "complete" or "failed") and the AI results
+ */
+router.get("/:id/analysis", loadComplaint, requireComplaintViewer, (req, res) => {
+  res.json(toAnalysisView(req.complaint));
+});
+
+/**
+ * Follow the AI analysis of a complaint as Server-Sent Events
+ * Route: GET /api/complaints/:id/analysis/stream
+ * Access: the reporting citizen, or staff
+ * 
+ * Sends an "analysis" event with the current view straight away and
+ * again when the analysis ends, then closes. Streams give up after
+ * ANALYSIS_STREAM_MAX_MS; clients can fall back to polling.
+ */
+router.get("/:id/analysis/stream", loadComplaint, requireComplaintViewer, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  const eventName = `complaint:${req.complaint._id}`;
+  let poller = null;
+  let heartbeat = null;
+  let timeout = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    analysisEvents.off(eventName, send);
+    clearInterval(poller);
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+    res.end();
+  };
+
+  function send(view) {
+    if (closed) return;
+    res.write(`event: analysis\ndata: ${JSON.stringify(view)}\n\n`);
+    if (view.state !== "analysing") close();
+  }
+
+  send(toAnalysisView(req.complaint));
+  if (closed) return;
+
+  analysisEvents.on(eventName, send);
+
+  poller = setInterval(async () => {
+    try {
+      const complaint = await Complaint.findById(req.complaint._id).select("-embedding -imageFingerprint");
+      if (!complaint) return close();
+      if (complaint.analysis?.state !== "analysing") send(toAnalysisView(complaint));
+    } catch (error) {
+      console.error("Analysis Stream Error:", error.message);
+    }
+  }, ANALYSIS_POLL_MS);
+
+  heartbeat = setInterval(() => res.write(": keep-alive\n\n"), ANALYSIS_HEARTBEAT_MS);
+  timeout = setTimeout(close, ANALYSIS_STREAM_MAX_MS);
+
+  req.on("close", close);
+});
+
+/**
+ * Get the priority score history of a complaint
+ * Route: GET /api/complaints/:id/priority-history
+ * Access: officer, department_head, admin
+ * 
+ * @returns {Object} Current score and every recorded change, newest first
+ */
+router.get("/:id/priority-history", requireRole(...STAFF_ROLES), loadComplaint, (req, res) => {
+  const complaint = req.complaint;
+  
+  res.json({
+    priorityScore: complaint.priorityScore,
+    aiSeverityLevel: complaint.aiSeverityLevel,
+    priorityBreakdown: complaint.priorityBreakdown,
+    priorityUpdatedAt: complaint.priorityUpdatedAt,
+    history: complaint.priorityHistory.slice().reverse()
+  });
+});
+
+/**
+ * Support an existing complaint ("me too")
+ * Route: POST /api/complaints/:id/support
+ * 
+ * Citizens who hit the same issue join the existing complaint instead of
+ * filing a duplicate. Supporters raise its priority and are notified of
+ * status changes.
+ * 
+ * @body {string} image - Optional filename of a photo the supporter uploaded
+ * @returns {Object} New supporter count
+ */
+router.post("/:id/support", loadComplaint, async (req, res) => {
+  try {
+    const image = req.body.image ? await findOwnImage(req.body.image, req.user) : null;
+    const { error, complaint } = await addSupporter(req.complaint, req.user, image);
+    
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+    
+    res.json({
+      message: "Added your support to this complaint",
+      complaintId: complaint._id,
+      supporterCount: complaint.supporterCount,
+      priorityScore: complaint.priorityScore
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Support Complaint Error:", error);
+    res.status(500).json({ message: "Error supporting complaint", error: error.message });
+  }
+});
+
+/**
+ * List complaints merged into this one
+ * Route: GET /api/complaints/:id/merged
+ * Access: owner, staff
+ * 
+ * @returns {Object} Merged complaints with their reporters and photos
+ */
+router.get("/:id/merged", loadComplaint, requireComplaintViewer, async (req, res) => {
+  try {
+    const children = await Complaint.find({ mergedInto: req.complaint._id })
+      .sort({ mergedAt: 1 })
+      .select("category description location image status createdBy reporterName createdAt mergedAt mergedBy")
+      .populate("createdBy", "name");
+    
+    res.json({ total: children.length, complaints: children });
+  } catch (error) {
+    console.error("Merged Complaints Error:", error);
+    res.status(500).json({ message: "Error fetching merged complaints", error: error.message });
+  }
+});
+
+/**
+ * Merge duplicate complaints into a master
+ * Route: POST /api/complaints/:id/merge
+ * Access: staff who may modify the master and every merged complaint
+ * 
+ * Merged complaints keep their reporter and photos, take the master's
+ * status and follow every later status change of it.
+ * 
+ * @body {string[]} complaintIds - Complaints to merge into :id
+ * @returns {Object} Master id and the merged complaint ids
+ */
+router.post("/:id/merge", requireRole(...STAFF_ROLES), loadComplaint, async (req, res) => {
+  try {
+    const { complaintIds } = req.body;
+    const master = req.complaint;
+    
+    if (!Array.isArray(complaintIds) || complaintIds.length === 0 || !complaintIds.every(isValidObjectId)) {
+      return res.status(400).json({ message: "complaintIds must be a non-empty list of complaint ids" });
+    }
+    
+    const ids = [...new Set(complaintIds.map(String))];
+    const children = await Complaint.find({ _id: { $in: ids } });
+    
+    if (children.length !== ids.length) {
+      return res.status(404).json({ message: "One or more complaints to merge were not found" });
+    }
+    
+    if (![master, ...children].every(c => canModifyComplaint(req.user, c))) {
+      return res.status(403).json({ message: "You are not allowed to merge these complaints" });
+    }
+    
+    await mergeComplaints(master, children, req.user);
+    
+    res.json({
+      message: `Merged ${children.length} complaint(s)`,
+      masterId: master._id,
+      merged: children.map(c => c._id)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Merge Complaints Error:", error);
+    res.status(500).json({ message: "Error merging complaints", error: error.message });
+  }
+});
+
+/**
+ * Undo a merge
+ * Route: POST /api/complaints/:id/unmerge
+ * Access: staff who may modify the merged complaint
+ * 
+ * @returns {Object} The complaint, worked on its own again
+ */
+router.post("/:id/unmerge", requireRole(...STAFF_ROLES), loadComplaint, async (req, res) => {
+  try {
+    if (!canModifyComplaint(req.user, req.complaint)) {
+      return res.status(403).json({ message: "You are not allowed to unmerge this complaint" });
+    }
+    
+    const complaint = await unmergeComplaint(req.complaint, req.user);
+    
+    res.json({
+      message: "Complaint unmerged",
+      complaint: {
+        _id: complaint._id,
+        status: complaint.status,
+        deadline: complaint.deadline,
+        statusHistory: complaint.statusHistory
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Unmerge Complaint Error:", error);
+    res.status(500).json({ message: "Error unmerging complaint", error: error.message });
+  }
+});
+
+/**
+ * Assign a complaint to a field officer
+ * Route: PATCH /api/complaints/:id/assign
+ * Access: department_head (own department), admin
+ * 
+ * @body {string} officerId - User id of an officer
+ * @returns {Object} Updated complaint
+ */
+router.patch("/:id/assign", requireRole("department_head", "admin"), loadComplaint, async (req, res) => {
+  try {
+    const { officerId } = req.body;
+    
+    if (!canModifyComplaint(req.user, req.complaint)) {
+      return res.status(403).json({ message: "This complaint belongs to another department" });
+    }
+    
+    const officer = isValidObjectId(officerId) ? await userModel.findById(officerId) : null;
+    
+    if (!officer || officer.role !== "officer") {
+      return res.status(400).json({ message: "officerId must belong to a field officer" });
+    }
+    
+    if (officer.department && req.complaint.department &&
+        String(officer.department) !== String(req.complaint.department)) {
+      return res.status(400).json({ message: "Officer works in a different department" });
+    }
+    
+    req.complaint.assignedTo = officer._id;
+    await req.complaint.save();
+    
+    res.json({ message: "Complaint assigned", complaint: toComplaintView(req.complaint) });
+  } catch (error) {
+    console.error("Complaint Assignment Error:", error);
+    res.status(500).json({ message: "Error assigning complaint", error: error.message });
+  }
+});
+
+/**
+ * Change complaint status
+ * Route: PATCH /api/complaints/:id/status
+ * Access: depends on the transition (see status.service.js)
+ *   - staff moves need the assigned officer, a department head or an admin
+ *   - citizens may only confirm or reopen complaints they reported
+ * 
+ * Marking a complaint Completed needs proof: send the request as
+ * multipart/form-data with one or more "after" photos in `photos`.
+ * The reporter then confirms (Closed) or reopens it with a remark.
+ * 
+ * @body {string} status - New status
+ * @body {string} remark - Reason or note for the timeline
+ * @body {File[]} photos - "After" photos (required for Completed)
+ * @returns {Object} Updated complaint with its timeline
+ */
+router.patch("/:id/status", loadComplaint, discardUploadsOnError, upload.array("photos", MAX_RESOLUTION_PHOTOS), async (req, res) => {
+  try {
+    const { status, remark } = req.body;
+    const photos = req.files || [];
+    const complaint = req.complaint;
+    
+    if (complaint.mergedInto) {
+      return res.status(409).json({
+        message: "This complaint is merged; change the status of its master complaint",
+        masterId: complaint.mergedInto
+      });
+    }
+    
+    const roles = getTransitionRoles(complaint.status, status);
+    
+    if (!roles) {
+      return res.status(409).json({
+        message: `Cannot move complaint from "${complaint.status}" to "${status}"`,
+        allowed: getNextStatuses(complaint.status)
+      });
+    }
+    
+    const isAllowed = roles.includes(req.user.role) && (
+      req.user.role === "citizen"
+        ? canViewComplaint(req.user, complaint)
+        : canModifyComplaint(req.user, complaint)
+    );
+    
+    if (!isAllowed) {
+      return res.status(403).json({ message: "You are not allowed to make this status change" });
+    }
+    
+    if ((status === "Rejected" || status === "Reopened") && !remark) {
+      return res.status(400).json({ message: `A remark is required to mark a complaint ${status}` });
+    }
+    
+    if (status === "Completed" && photos.length === 0) {
+      return res.status(400).json({ message: "Upload at least one \"after\" photo (photos) to mark a complaint Completed" });
+    }
+    
+    if (status !== "Completed" && photos.length > 0) {
+      return res.status(400).json({ message: "Photos are only accepted when marking a complaint Completed" });
+    }
+    
+    const transition = applyTransition(complaint, status, req.user, remark);
+    
+    if (status === "Completed") {
+      recordResolution(complaint, photos, req.user, remark);
+    } else if (status === "Closed") {
+      recordConfirmation(complaint, req.user);
+    }
+    
+    // A reopened complaint starts a fresh SLA clock
+    if (status === "Reopened") {
+      const sla = await computeDeadline(complaint.category, complaint.aiSeverityLevel);
+      complaint.deadline = sla.deadline;
+      complaint.slaHours = sla.slaHours;
+      complaint.escalationLevel = 0;
+    }
+    
+    await complaint.save();
+    indexComplaint(complaint);
+    
+    // Tell the reporter and "me too" supporters
+    await notifyStatusChange(complaint, transition, req.user);
+    
+    // Merged duplicates follow their master
+    const cascaded = await cascadeStatus(complaint, transition, req.user);
+    
+    res.json({
+      message: `Complaint moved to ${status}`,
+      transition,
+      cascaded,
+      complaint: {
+        _id: complaint._id,
+        status: complaint.status,
+        statusHistory: complaint.statusHistory,
+        resolution: complaint.resolution
+      }
+    });
+  } catch (error) {
+    console.error("Status Update Error:", error);
+    res.status(500).json({ message: "Error updating status", error: error.message });
+  }
+});
+
+/**
+ * Reassign a complaint to another department
+ * Route: PATCH /api/complaints/:id/department
+ * Access: staff of the complaint's current department, or admin
+ * 
+ * Use when the AI routed the complaint to the wrong department.
+ * The assigned officer is cleared so the new department can pick one.
+ * 
+ * @body {string} departmentId - Target department
+ * @body {string} reason - Why it is being moved
+ * @returns {Object} Updated complaint
+ */
+router.patch("/:id/department", requireRole(...STAFF_ROLES), loadComplaint, async (req, res) => {
+  try {
+    const { departmentId, reason } = req.body;
+    const complaint = req.complaint;
+    
+    const isOwnDepartment = !!req.user.department &&
+      String(req.user.department) === String(complaint.department);
+    
+    if (req.user.role !== "admin" && complaint.department && !isOwnDepartment) {
+      return res.status(403).json({ message: "Only staff of the current department can reassign this complaint" });
+    }
+    
+    const target = isValidObjectId(departmentId) ? await Department.findById(departmentId) : null;
+    
+    if (!target || !target.active) {
+      return res.status(400).json({ message: "departmentId must be an active department" });
+    }
+    
+    if (String(target._id) === String(complaint.department)) {
+      return res.status(400).json({ message: "Complaint is already in this department" });
+    }
+    
+    complaint.departmentHistory.push({
+      from: complaint.department,
+      to: target._id,
+      actor: req.user._id,
+      reason: reason || ""
+    });
+    complaint.department = target._id;
+    complaint.assignedTo = null;
+    await complaint.save();
+    indexComplaint(complaint);
+    
+    res.json({ message: `Complaint moved to ${target.name}`, complaint: toComplaintView(complaint) });
+  } catch (error) {
+    console.error("Department Reassignment Error:", error);
+    res.status(500).json({ message: "Error reassigning complaint", error: error.message });
+  }
+});
+
+/**
+ * Correct a complaint's category
+ * Route: PATCH /api/complaints/:id/category
+ * Access: staff of the complaint's department, its assigned officer, or admin
+ * 
+ * Use when the classifiers (or the citizen) picked the wrong category.
+ * The correction is logged in categoryCorrections next to the text and
+ * image predictions, which GET /api/analytics/classifiers scores the
+ * models on. The department is not changed: when the new category belongs
+ * to another one it comes back as suggestedDepartment, for
+ * PATCH /api/complaints/:id/department.
+ * 
+ * @body {string} category - Active category
+ * @body {string} subcategory - One of its subcategories (optional)
+ * @body {string} reason - Why it is being corrected
+ * @returns {Object} Updated complaint and suggestedDepartment (or null)
+ */
+router.patch("/:id/category", requireRole(...STAFF_ROLES), loadComplaint, async (req, res) => {
+  try {
+    const { category, subcategory, reason } = req.body;
+    const complaint = req.complaint;
+    
+    const isOwnDepartment = !!req.user.department &&
+      String(req.user.department) === String(complaint.department);
+    
+    if (!canModifyComplaint(req.user, complaint) && !isOwnDepartment) {
+      return res.status(403).json({ message: "Only staff of the complaint's department can change its category" });
+    }
+    
+    if (typeof category !== "string" || !(await isActiveCategory(category))) {
+      return res.status(400).json({ message: "category must be an active category" });
+    }
+    
+    if (category === complaint.category) {
+      return res.status(400).json({ message: "Complaint is already in this category" });
+    }
+    
+    const definition = (await getCategories()).find(c => c.name === category);
+    if (subcategory && !(definition && definition.subcategories.includes(subcategory))) {
+      return res.status(400).json({ message: `"${subcategory}" is not a subcategory of ${category}` });
+    }
+    
+    const text = complaint.textClassification || {};
+    const image = complaint.imageClassification || {};
+    
+    complaint.categoryCorrections.push({
+      from: complaint.category,
+      to: category,
+      actor: req.user._id,
+      actorRole: req.user.role,
+      reason: reason || "",
+      textClassification: {
+        predictedCategory: text.predictedCategory,
+        confidence: text.confidence,
+        method: text.method
+      },
+      imageClassification: {
+        predictedLabel: image.predictedLabel,
+        mappedCategory: image.mappedCategory,
+        confidence: image.confidence
+      }
+    });
+    complaint.category = category;
+    complaint.subcategory = subcategory || null;
+    
+    // The new category's priority multiplier applies
+    await rescoreComplaint(complaint, `Category corrected to ${category}`);
+    await complaint.save();
+    indexComplaint(complaint);
+    
+    const department = await findDepartmentForCategory(category);
+    const suggestedDepartment = department && String(department._id) !== String(complaint.department)
+      ? { _id: department._id, name: department.name }
+      : null;
+    
+    res.json({ message: `Category changed to ${category}`, complaint: toComplaintView(complaint), suggestedDepartment });
+  } catch (error) {
+    console.error("Category Correction Error:", error);
+    res.status(500).json({ message: "Error changing category", error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Department API Routes
+ *
+ * Departments and their category mappings, used to route complaints.
+ *
+ * Endpoints:
+ * - GET /api/departments       : List departments
+ * - POST /api/departments      : Create a department (admin)
+ * - PATCH /api/departments/:id : Update name, categories, head or active flag (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const Department = require("../models/department.model");
+const userModel = require("../models/user.model");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+
+router.use(requireAuth);
+
+/**
+ * Make sure no other active department already handles these categories
+ *
+ * @returns {Promise<string|null>} Error message, or null if free
+ */
+async function findCategoryConflict(categories, excludeId = null) {
+  if (!Array.isArray(categories) || categories.length === 0) return null;
+
+  const conflict = await Department.findOne({
+    _id: { $ne: excludeId },
+    active: true,
+    categories: { $in: categories }
+  });
+
+  if (!conflict) return null;
+
+  const taken = conflict.categories.filter(c => categories.includes(c));
+  return `${taken.join(", ")} already routed to ${conflict.name}`;
+}
+
+/**
+ * List departments
+ * Route: GET /api/departments
+ *
+ * @returns {Object} Departments with their category mappings
+ */
+router.get("/", async (req, res) => {
+  try {
+    const departments = await Department.find()
+      .populate("head", "name email")
+      .sort({ name: 1 });
+
+    res.json({ total: departments.length, departments });
+  } catch (error) {
+    console.error("List Departments Error:", error);
+    res.status(500).json({ message: "Error fetching departments", error: error.message });
+  }
+});
+
+/**
+ * Create a department
+ * Route: POST /api/departments
+ * Access: admin
+ *
+ * @body {string} name - Display name, e.g. "Sewerage Dept"
+ * @body {string} code - Short unique code, e.g. "SEW"
+ * @body {string[]} categories - Complaint categories routed here
+ * @returns {Object} Created department
+ */
+router.post("/", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, code, description, categories = [] } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({ message: "name and code are required" });
+    }
+
+    const conflict = await findCategoryConflict(categories);
+    if (conflict) {
+      return res.status(409).json({ message: conflict });
+    }
+
+    const department = await Department.create({ name, code, description, categories });
+
+    res.status(201).json({ message: "Department created", department });
+  } catch (error) {
+    console.error("Create Department Error:", error);
+    res.status(500).json({ message: "Error creating department", error: error.message });
+  }
+});
+
+/**
+ * Update a department
+ * Route: PATCH /api/departments/:id
+ * Access: admin
+ *
+ * @body {string[]} categories - Replaces the category mapping
+ * @body {string} headId - User to make department head
+ * @body {boolean} active - Disable to stop routing to it
+ * @returns {Object} Updated department
+ */
+router.patch("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, description, categories, headId, active } = req.body;
+
+    const department = isValidObjectId(req.params.id) ? await Department.findById(req.params.id) : null;
+    if (!department) {
+      return res.status(404).json({ message: "Department not found" });
+    }
+
+    if (categories !== undefined) {
+      const conflict = await findCategoryConflict(categories, department._id);
+      if (conflict) {
+        return res.status(409).json({ message: conflict });
+      }
+      department.categories = categories;
+    }
+
+    if (headId !== undefined) {
+      const head = isValidObjectId(headId) ? await userModel.findById(headId) : null;
+      if (!head || head.role !== "department_head") {
+        return res.status(400).json({ message: "headId must belong to a department head" });
+      }
+      head.department = department._id;
+      await head.save();
+      department.head = head._id;
+    }
+
+    if (name !== undefined) department.name = name;
+    if (description !== undefined) department.description = description;
+    if (active !== undefined) department.active = !!active;
+
+    await department.save();
+
+    res.json({ message: "Department updated", department });
+  } catch (error) {
+    console.error("Update Department Error:", error);
+    res.status(500).json({ message: "Error updating department", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Health API Routes
+ *
+ * Liveness, AI model and vector index status, for monitoring and the admin.
+ * Public; admins also see why a model is in fallback mode.
+ *
+ * Endpoints:
+ * - GET /api/health : Server, database, model and vector index status
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { getModelStatus } = require("../services/model.service");
+const { getIndexStatus } = require("../services/vector-index.service");
+
+const DB_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+/**
+ * Server, database, model and vector index status
+ * Route: GET /api/health
+ *
+ * Models are "loaded", "loading", "not_loaded" (loads on first use)
+ * or "fallback" (switched off, not installed or failed to load:
+ * rule-based fallbacks answer instead). The vector index is "ready",
+ * "building" (duplicate checks use database queries meanwhile) or
+ * "not_loaded".
+ *
+ * @returns {Object} { status, uptimeSeconds, database, models, vectorIndex }
+ */
+router.get("/", (req, res) => {
+  const database = DB_STATES[mongoose.connection.readyState] || "unknown";
+  const models = getModelStatus({ details: req.user?.role === "admin" });
+
+  res.status(database === "connected" ? 200 : 503).json({
+    status: database === "connected" ? "ok" : "degraded",
+    uptimeSeconds: Math.round(process.uptime()),
+    database,
+    models,
+    vectorIndex: getIndexStatus()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Job Queue API Routes
+ *
+ * Background jobs (e.g. complaint AI analysis) and the dead-letter list.
+ *
+ * Endpoints:
+ * - GET /api/jobs            : List jobs with counts per status (admin)
+ * - POST /api/jobs/:id/retry : Re-queue a dead job (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+const { listJobs, retryJob } = require("../services/queue.service");
+
+router.use(requireAuth, requireRole("admin"));
+
+/**
+ * List jobs, newest first
+ * Route: GET /api/jobs
+ *
+ * @query {string} status - queued / running / completed / dead ("dead" is the dead-letter list)
+ * @query {string} type - Job type, e.g. complaint-analysis
+ * @query {number} limit - Most jobs to return (default 50, max 200)
+ * @returns {Object} { counts, items }
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listJobs(req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("List Jobs Error:", error);
+    res.status(500).json({ message: "Error fetching jobs", error: error.message });
+  }
+});
+
+/**
+ * Re-queue a dead job with a fresh set of attempts
+ * Route: POST /api/jobs/:id/retry
+ *
+ * @returns {Object} The re-queued job
+ */
+router.post("/:id/retry", async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const job = await retryJob(req.params.id);
+
+    res.json({ message: "Job re-queued", job });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Retry Job Error:", error);
+    res.status(500).json({ message: "Error retrying job", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Notification API Routes
+ *
+ * Endpoints:
+ * - GET /api/notifications           : Own notifications (newest first)
+ * - PATCH /api/notifications/read-all : Mark all as read
+ * - PATCH /api/notifications/:id/read : Mark one as read
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const Notification = require("../models/notification.model");
+const { requireAuth } = require("../middleware/auth.middleware");
+
+router.use(requireAuth);
+
+/**
+ * List own notifications
+ * Route: GET /api/notifications
+ *
+ * @query {boolean} unread - Only unread ones
+ * @returns {Object} Notifications and unread count
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.unread === "true") query.read = false;
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(50),
+      Notification.countDocuments({ user: req.user._id, read: false })
+    ]);
+
+    res.json({ unread, notifications });
+  } catch (error) {
+    console.error("List Notifications Error:", error);
+    res.status(500).json({ message: "Error fetching notifications", error: error.message });
+  }
+});
+
+/**
+ * Mark all notifications as read
+ * Route: PATCH /api/notifications/read-all
+ */
+router.patch("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
+
+    res.json({ message: "Notifications marked as read", updated: result.modifiedCount });
+  } catch (error) {
+    console.error("Read Notifications Error:", error);
+    res.status(500).json({ message: "Error updating notifications", error: error.message });
+  }
+});
+
+/**
+ * Mark one notification as read
+ * Route: PATCH /api/notifications/:id/read
+ */
+router.patch("/:id/read", async (req, res) => {
+  try {
+    const notification = isValidObjectId(req.params.id)
+      ? await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id },
+        { read: true },
+        { returnDocument: "after" }
+      )
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json({ message: "Notification marked as read", notification });
+  } catch (error) {
+    console.error("Read Notification Error:", error);
+    res.status(500).json({ message: "Error updating notification", error: error.message });
+  }
+});
+
+module.exports = router;
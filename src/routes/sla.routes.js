@@ -0,0 +1,90 @@
+/**
+ * SLA Policy API Routes
+ *
+ * Resolution deadlines per category and severity.
+ *
+ * Endpoints:
+ * - GET /api/sla-policies        : List policies and the built-in defaults (staff)
+ * - PUT /api/sla-policies        : Create or update the policy for a category + severity (admin)
+ * - DELETE /api/sla-policies/:id : Remove a policy (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const SlaPolicy = require("../models/sla-policy.model");
+const { STAFF_ROLES, requireAuth, requireRole } = require("../middleware/auth.middleware");
+const { DEFAULT_RESOLUTION_HOURS } = require("../services/sla.service");
+
+router.use(requireAuth, requireRole(...STAFF_ROLES));
+
+/**
+ * List SLA policies
+ * Route: GET /api/sla-policies
+ *
+ * @returns {Object} Configured policies plus defaults used when none match
+ */
+router.get("/", async (req, res) => {
+  try {
+    const policies = await SlaPolicy.find().sort({ category: 1, severity: 1 });
+
+    res.json({ defaults: DEFAULT_RESOLUTION_HOURS, policies });
+  } catch (error) {
+    console.error("List SLA Policies Error:", error);
+    res.status(500).json({ message: "Error fetching SLA policies", error: error.message });
+  }
+});
+
+/**
+ * Create or update a policy
+ * Route: PUT /api/sla-policies
+ * Access: admin
+ *
+ * @body {string} category - Category or "*" for any
+ * @body {string} severity - low / medium / high / critical or "*" for any
+ * @body {number} resolutionHours - Hours until the deadline
+ * @body {number} escalationHours - Hours each escalation level gets
+ * @returns {Object} Saved policy
+ */
+router.put("/", requireRole("admin"), async (req, res) => {
+  try {
+    const { category = "*", severity = "*", resolutionHours, escalationHours, active } = req.body;
+
+    if (!(resolutionHours > 0)) {
+      return res.status(400).json({ message: "resolutionHours must be a positive number" });
+    }
+
+    const policy = await SlaPolicy.findOne({ category, severity }) || new SlaPolicy({ category, severity });
+    policy.resolutionHours = resolutionHours;
+    if (escalationHours !== undefined) policy.escalationHours = escalationHours;
+    if (active !== undefined) policy.active = !!active;
+    await policy.save();
+
+    res.json({ message: "SLA policy saved", policy });
+  } catch (error) {
+    console.error("Save SLA Policy Error:", error);
+    res.status(500).json({ message: "Error saving SLA policy", error: error.message });
+  }
+});
+
+/**
+ * Delete a policy
+ * Route: DELETE /api/sla-policies/:id
+ * Access: admin
+ */
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const policy = isValidObjectId(req.params.id) ? await SlaPolicy.findByIdAndDelete(req.params.id) : null;
+
+    if (!policy) {
+      return res.status(404).json({ message: "SLA policy not found" });
+    }
+
+    res.json({ message: "SLA policy deleted" });
+  } catch (error) {
+    console.error("Delete SLA Policy Error:", error);
+    res.status(500).json({ message: "Error deleting SLA policy", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Public Tracking API Routes
+ *
+ * Lets anyone with a ticket number follow a complaint without logging in.
+ * Only status, timeline and department are returned; nothing that
+ * identifies the reporter.
+ *
+ * Endpoints:
+ * - GET /api/track/:ticketNo : Public status of a complaint
+ */
+
+const express = require("express");
+const router = express.Router();
+const { parseTicketNo, findByTicketNo, toPublicStatus } = require("../services/ticket.service");
+
+/**
+ * Get the public status of a complaint
+ * Route: GET /api/track/:ticketNo
+ *
+ * @returns {Object} Status, timeline and department
+ */
+router.get("/:ticketNo", async (req, res) => {
+  try {
+    const ticketNo = parseTicketNo(req.params.ticketNo);
+    if (!ticketNo) {
+      return res.status(400).json({ message: "Ticket numbers look like JST-2026-000123" });
+    }
+
+    const complaint = await findByTicketNo(ticketNo);
+    if (!complaint) {
+      return res.status(404).json({ message: "No complaint with this ticket number" });
+    }
+
+    res.json(toPublicStatus(complaint));
+  } catch (error) {
+    console.error("Track Complaint Error:", error);
+    res.status(500).json({ message: "Error fetching complaint status", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+/**
+ * Ward API Routes
+ *
+ * Ward (prabhag) boundaries used to place complaints and weight their priority.
+ *
+ * Endpoints:
+ * - GET /api/wards          : List wards (add ?boundary=true for polygons)
+ * - GET /api/wards/geojson  : Active wards as a GeoJSON FeatureCollection
+ * - POST /api/wards/import  : Create/update wards from a GeoJSON upload (admin)
+ * - PATCH /api/wards/:id    : Update name, area weight, boundary or active flag (admin)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { isValidObjectId } = require("mongoose");
+const Ward = require("../models/ward.model");
+const Complaint = require("../models/complaint");
+const { requireAuth, requireRole } = require("../middleware/auth.middleware");
+const { dataUpload } = require("../config/upload");
+const { OPEN_STATUSES } = require("../services/status.service");
+const {
+  validateBoundary,
+  parseAreaWeight,
+  importWards,
+  assignComplaintWards
+} = require("../services/ward.service");
+
+router.use(requireAuth);
+
+/**
+ * Accept the GeoJSON either as a `file` upload (multipart/form-data)
+ * or as the JSON request body; leaves it in req.geojson
+ */
+function receiveGeoJson(req, res, next) {
+  dataUpload.single("file")(req, res, err => {
+    if (err) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ message: `Upload failed: ${err.message}` });
+    }
+
+    if (!req.file) {
+      req.geojson = req.body;
+      return next();
+    }
+
+    try {
+      req.geojson = JSON.parse(req.file.buffer.toString("utf8"));
+      next();
+    } catch {
+      res.status(400).json({ message: "The uploaded file is not valid JSON" });
+    }
+  });
+}
+
+/**
+ * List wards
+ * Route: GET /api/wards
+ *
+ * @query {boolean} boundary - Include the polygons (default false)
+ * @returns {Object} Wards with their open complaint counts
+ */
+router.get("/", async (req, res) => {
+  try {
+    const [wards, openCounts] = await Promise.all([
+      Ward.find()
+        .select(req.query.boundary === "true" ? "" : "-boundary")
+        .sort({ code: 1 })
+        .lean(),
+      Complaint.aggregate([
+        { $match: { ward: { $ne: null }, status: { $in: OPEN_STATUSES }, mergedInto: null } },
+        { $group: { _id: "$ward", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(openCounts.map(c => [String(c._id), c.count]));
+    wards.forEach(ward => { ward.openComplaints = counts.get(String(ward._id)) || 0; });
+
+    res.json({ total: wards.length, wards });
+  } catch (error) {
+    console.error("List Wards Error:", error);
+    res.status(500).json({ message: "Error fetching wards", error: error.message });
+  }
+});
+
+/**
+ * Active ward boundaries for maps
+ * Route: GET /api/wards/geojson
+ *
+ * @returns {Object} GeoJSON FeatureCollection (properties: id, code, name, areaWeight)
+ */
+router.get("/geojson", async (req, res) => {
+  try {
+    const wards = await Ward.find({ active: true }).sort({ code: 1 }).lean();
+
+    res.json({
+      type: "FeatureCollection",
+      features: wards.map(ward => ({
+        type: "Feature",
+        geometry: ward.boundary,
+        properties: { id: ward._id, code: ward.code, name: ward.name, areaWeight: ward.areaWeight }
+      }))
+    });
+  } catch (error) {
+    console.error("Ward GeoJSON Error:", error);
+    res.status(500).json({ message: "Error fetching ward boundaries", error: error.message });
+  }
+});
+
+/**
+ * Import ward boundaries
+ * Route: POST /api/wards/import
+ * Access: admin
+ *
+ * Wards are matched by properties.code: existing ones get the new name,
+ * boundary and (if given) areaWeight, new codes are created. All complaints
+ * with coordinates are then re-assigned to the new boundaries.
+ *
+ * @body {File} file - .geojson FeatureCollection (multipart/form-data), or the
+ *                     FeatureCollection itself as the JSON body
+ * @returns {Object} { created, updated, assignedComplaints }
+ */
+router.post("/import", requireRole("admin"), receiveGeoJson, async (req, res) => {
+  try {
+    const result = await importWards(req.geojson);
+
+    res.status(201).json({ message: "Ward boundaries imported", ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Import Wards Error:", error);
+    res.status(500).json({ message: "Error importing wards", error: error.message });
+  }
+});
+
+/**
+ * Update a ward
+ * Route: PATCH /api/wards/:id
+ * Access: admin
+ *
+ * Changing the boundary or active flag re-assigns complaints; a new
+ * areaWeight applies from the next priority re-score.
+ *
+ * @body {string} name - Display name
+ * @body {number} areaWeight - 0-100
+ * @body {Object} boundary - GeoJSON Polygon or MultiPolygon
+ * @body {boolean} active - Disable to stop assigning complaints to it
+ * @returns {Object} Updated ward
+ */
+router.patch("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, areaWeight, boundary, active } = req.body;
+
+    const ward = isValidObjectId(req.params.id) ? await Ward.findById(req.params.id) : null;
+    if (!ward) {
+      return res.status(404).json({ message: "Ward not found" });
+    }
+
+    if (areaWeight !== undefined) {
+      const weight = parseAreaWeight(areaWeight);
+      if (weight === null || weight === undefined) {
+        return res.status(400).json({ message: "areaWeight must be between 0 and 100" });
+      }
+      ward.areaWeight = weight;
+    }
+
+    if (boundary !== undefined) {
+      const boundaryError = validateBoundary(boundary);
+      if (boundaryError) {
+        return res.status(400).json({ message: boundaryError });
+      }
+      ward.boundary = { type: boundary.type, coordinates: boundary.coordinates };
+    }
+
+    const reassign = boundary !== undefined || (active !== undefined && !!active !== ward.active);
+
+    if (name !== undefined) ward.name = name;
+    if (active !== undefined) ward.active = !!active;
+
+    await ward.save();
+
+    const assignedComplaints = reassign ? await assignComplaintWards() : undefined;
+
+    res.json({ message: "Ward updated", ward, assignedComplaints });
+  } catch (error) {
+    console.error("Update Ward Error:", error);
+    res.status(500).json({ message: "Error updating ward", error: error.message });
+  }
+});
+
+module.exports = router;
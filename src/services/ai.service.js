@@ -2,35 +2,41 @@
  * AI Service - Multi-Model MVP Implementation
  * 
  * Provides AI-powered features for complaint management:
- * 1. Image Classification - MobileNet pretrained model
- * 2. Text Classification - BART zero-shot classification
+ * 1. Image Classification - MobileNet pretrained model (plus photo fingerprints)
+ * 2. Text Classification - BART zero-shot classification (multilingual
+ *    model for Hindi and Marathi, see language.service.js)
  * 3. Duplicate Detection - Sentence Transformers with cosine similarity
  * 4. Priority Scoring - Rule-based formula
- * 5. Speech-to-Text - Whisper (Hindi support)
+ * 5. Speech-to-Text - Whisper (Hindi and Marathi support)
+ * 
+ * Models are loaded once and shared through the model registry
+ * (model.service.js), which also enforces inference timeouts.
  * 
  * Configuration:
  * - Set GEMINI_API_KEY in .env to enable Gemini features
- * - Without AI packages installed, uses fallback functions with basic rules
+ * - USE_TENSORFLOW / USE_TRANSFORMERS / USE_WHISPER=false switch models off
+ * - Without AI packages installed (or a model timing out), uses fallback
+ *   functions with basic rules
  */
 
 require("dotenv").config();
+const path = require("path");
 const Complaint = require("../models/complaint");
+const { cosineSimilarity, findDuplicate } = require("./duplicate.service");
+const { fileSha256, differenceHash, featureVector } = require("./fingerprint.service");
+const { optionalRequire, runInference } = require("./model.service");
+const { OTHER_CATEGORY, getAllCategories, getCategories, cachedCategories } = require("./category.service");
+const { detectLanguage } = require("./language.service");
+const { loadAudio } = require("./audio.service");
+const { OPEN_STATUSES } = require("./status.service");
+const { NEARBY_RADIUS_METERS, fromPoint, withinClause } = require("./geo.service");
+const { DEFAULT_RESOLUTION_HOURS } = require("./sla.service");
 
-// ============================================
-// CATEGORY MAPPING (Image → Civic Category)
-// ============================================
+// SLA assumed for the time-pending score before a deadline is set
+const DEFAULT_SLA_HOURS = DEFAULT_RESOLUTION_HOURS.medium;
 
-/**
- * Maps MobileNet predictions to civic categories
- * MobileNet predicts ~1000 ImageNet classes
- */
-const CATEGORY_MAPPING = {
-  "Garbage": ["garbage", "trash", "litter", "dumpster", "ashcan", "wastebin", "dustbin"],
-  "Road Damage": ["pothole", "road", "highway", "street", "asphalt", "concrete", "gravel"],
-  "Streetlight Issue": ["lamp", "light", "streetlight", "lantern", "torch", "flashlight"],
-  "Water Leakage": ["faucet", "tap", "water", "pipe", "plumbing", "hydrant"],
-  "Drainage": ["sewer", "drain", "sewage", "gutter", "storm", "drainage"]
-};
+// Categories, their keywords, zero-shot labels and priority multipliers
+// come from the category collection (category.service.js)
 
 // ============================================
 // FALLBACK FUNCTIONS (When AI models unavailable)
@@ -49,46 +55,43 @@ function fallbackImageClassification(imagePath) {
 }
 
 /**
- * Fallback text classification (keyword-based)
+ * Fallback text classification (each category's keywords)
+ * 
+ * English keywords are always matched (they turn up in Hindi and Marathi
+ * text too); Devanagari text adds the Devanagari keywords, Latin text the
+ * transliterated ones.
+ * 
+ * @param {string} text - Complaint description
+ * @param {Object[]} categories - Active categories (default: the last loaded)
+ * @param {Object} language - detectLanguage result (detected when left out)
  */
-function fallbackTextClassification(text) {
+function fallbackTextClassification(text, categories = cachedCategories(), language = detectLanguage(text)) {
   const lowerText = text.toLowerCase();
-  const scores = {
-    Garbage: 0,
-    "Road Damage": 0,
-    "Streetlight Issue": 0,
-    "Water Leakage": 0,
-    Drainage: 0
-  };
-  
-  // Simple keyword matching
-  const keywords = {
-    Garbage: ["garbage", "trash", "waste", "litter", "dirty", "smell"],
-    "Road Damage": ["pothole", "road", "crack", "broken", "damage", "hole"],
-    "Streetlight Issue": ["light", "streetlight", "dark", "lamp", "no light"],
-    "Water Leakage": ["water", "leak", "pipe", "tap", "overflow"],
-    "Drainage": ["drain", "sewer", "clog", "flood", "water logging"]
-  };
+  const scores = {};
   
   let maxScore = 0;
-  let maxCategory = "Other";
+  let maxCategory = OTHER_CATEGORY;
   
-  for (const [category, words] of Object.entries(keywords)) {
-    for (const word of words) {
-      if (lowerText.includes(word)) {
-        scores[category] += 0.2;
-      }
-    }
-    if (scores[category] > maxScore) {
-      maxScore = scores[category];
-      maxCategory = category;
+  // Simple keyword matching
+  for (const category of categories) {
+    const matches = category.textKeywords.filter(word => lowerText.includes(word.toLowerCase())).length +
+      (language.script === "devanagari"
+        ? category.devanagariKeywords.filter(word => text.includes(word)).length
+        : category.transliteratedKeywords.filter(word => hasWord(lowerText, word)).length);
+    
+    scores[category.name] = matches * 0.2;
+    if (scores[category.name] > maxScore) {
+      maxScore = scores[category.name];
+      maxCategory = category.name;
     }
   }
   
   return {
-    predictedCategory: maxScore > 0 ? maxCategory : "Other",
+    predictedCategory: maxScore > 0 ? maxCategory : OTHER_CATEGORY,
     confidence: Math.min(maxScore, 1),
-    scores
+    scores,
+    method: "keywords",
+    language
   };
 }
 
@@ -96,131 +99,194 @@ function fallbackTextClassification(text) {
  * Fallback duplicate detection (no embedding)
  */
 function fallbackDetectDuplicate() {
-  return { isDuplicate: false, similarity: 0, matchingComplaint: null, matchedField: null };
+  return { isDuplicate: false, similarity: 0, matchingComplaint: null, matchedField: null, signals: [], explanation: "Duplicate check unavailable" };
 }
 
 /**
- * Fallback priority scoring (simple rules)
+ * Fallback priority scoring: neutral (50) components times the
+ * category's priority multiplier
  */
 function fallbackCalculatePriority(complaint) {
-  const category = complaint.category?.toLowerCase() || "";
-  let score = 50;
-  let breakdown = {
+  const category = cachedCategories().find(c => c.name === complaint.category);
+  const breakdown = {
     complaintCountScore: 50,
     timePendingScore: 50,
     areaWeightScore: 50,
-    categoryMultiplier: 1
+    categoryMultiplier: category ? category.priorityMultiplier : 1
   };
-  
-  // Category-based adjustment
-  if (category.includes("drainage") || category.includes("sewage")) {
-    score = 85;
-    breakdown.categoryMultiplier = 1.5;
-  } else if (category.includes("garbage")) {
-    score = 70;
-    breakdown.categoryMultiplier = 1.2;
-  } else if (category.includes("water")) {
-    score = 65;
-    breakdown.categoryMultiplier = 1.1;
-  } else if (category.includes("road") || category.includes("pothole")) {
-    score = 60;
-    breakdown.categoryMultiplier = 1.0;
-  } else if (category.includes("light")) {
-    score = 55;
-    breakdown.categoryMultiplier = 0.9;
-  }
+  const score = Math.min(Math.round(50 * breakdown.categoryMultiplier), 100);
   
   return { score, breakdown };
 }
 
 // ============================================
-// HELPER: Safe require with fallback
+// HELPERS
 // ============================================
 
 /**
- * Try to require a module, return null if not available
+ * Escape user text for use inside a RegExp / $regex
  */
-function safeRequire(moduleName) {
-  try {
-    return require(moduleName);
-  } catch (error) {
-    if (error.code !== 'MODULE_NOT_FOUND') {
-      console.warn(`Warning: Failed to load ${moduleName}:`, error.message);
-    }
-    return null;
-  }
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether a transliterated keyword appears as a whole word
+ * ("nal" matches "nal tuta hai" but not "signal")
+ */
+function hasWord(lowerText, word) {
+  return new RegExp(`(^|[^a-z])${escapeRegex(word.toLowerCase())}([^a-z]|$)`).test(lowerText);
 }
 
 // ============================================
 // 1️⃣ IMAGE CLASSIFICATION (MobileNet)
 // ============================================
 
+// Longest side images are shrunk to before classification
+const MAX_IMAGE_SIDE = 512;
+
 /**
- * Classify complaint image using MobileNet
+ * Decode an image file into an RGB tensor [height, width, 3]
+ */
+async function decodeImage(tf, sharp, imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .rotate()  // apply EXIF orientation
+    .resize(MAX_IMAGE_SIDE, MAX_IMAGE_SIDE, { fit: "inside", withoutEnlargement: true })
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return tf.tensor3d(new Uint8Array(data), [info.height, info.width, info.channels], "int32");
+}
+
+/**
+ * Map MobileNet predictions (~1000 ImageNet classes) to a civic category
+ * through each category's image keywords
+ */
+function mapPredictions(predictions, categories = cachedCategories()) {
+  let bestMatch = { category: OTHER_CATEGORY, confidence: 0, label: predictions[0]?.className || "unknown" };
+  
+  for (const pred of predictions) {
+    const lowerLabel = pred.className.toLowerCase();
+    
+    for (const category of categories) {
+      for (const keyword of category.imageKeywords) {
+        if (lowerLabel.includes(keyword.toLowerCase())) {
+          if (pred.probability > bestMatch.confidence) {
+            bestMatch = {
+              category: category.name,
+              confidence: pred.probability,
+              label: pred.className
+            };
+          }
+          break;
+        }
+      }
+    }
+  }
+  
+  return {
+    predictedLabel: bestMatch.label,
+    confidence: bestMatch.confidence,
+    mappedCategory: bestMatch.category,
+    allPredictions: predictions.map(p => ({
+      label: p.className,
+      confidence: p.probability
+    }))
+  };
+}
+
+/**
+ * Classify and fingerprint a complaint image
  * 
  * Process:
- * 1. Load MobileNet model (pretrained on ImageNet)
- * 2. Preprocess image
- * 3. Get predictions
- * 4. Map to civic categories
+ * 1. Hash the file bytes (always)
+ * 2. Decode the image; MobileNet (pretrained on ImageNet) comes from the registry
+ * 3. Get predictions and map them to civic categories
+ * 4. Fingerprint: perceptual hash + MobileNet feature vector
+ *    (see fingerprint.service.js)
  * 
  * @param {string} imagePath - Path to uploaded image
- * @returns {Object} Classification results
+ * @returns {Object} { classification, fingerprint: { sha256, hash, vector } }
  */
-async function classifyImage(imagePath) {
+async function analyzeImage(imagePath) {
+  let fingerprint = null;
+  
   try {
-    // Check if TensorFlow.js and MobileNet are available
-    const tf = safeRequire("@tensorflow/tfjs");
-    const mobilenet = safeRequire("@tensorflow-models/mobilenet");
-    
-    if (!tf || !mobilenet) {
-      console.log("TensorFlow/MobileNet not installed, using fallback image classification");
-      return fallbackImageClassification(imagePath);
-    }
-    
-    // Load model (cached after first load)
-    const model = await mobilenet.load();
+    fingerprint = { sha256: await fileSha256(imagePath) };
     
-    // Classify image
-    const predictions = await model.classify(imagePath);
-    
-    // Map predictions to civic categories
-    let bestMatch = { category: "Other", confidence: 0, label: predictions[0]?.className || "unknown" };
-    
-    for (const pred of predictions) {
-      const lowerLabel = pred.className.toLowerCase();
+    const result = await runInference("mobilenet", async model => {
+      const sharp = optionalRequire("sharp");
+      if (!sharp) return null;
       
-      for (const [category, keywords] of Object.entries(CATEGORY_MAPPING)) {
-        for (const keyword of keywords) {
-          if (lowerLabel.includes(keyword)) {
-            if (pred.probability > bestMatch.confidence) {
-              bestMatch = {
-                category,
-                confidence: pred.probability,
-                label: pred.className
-              };
-            }
-            break;
-          }
-        }
+      const tf = require("@tensorflow/tfjs");
+      const image = await decodeImage(tf, sharp, imagePath);
+      
+      try {
+        return {
+          predictions: await model.classify(image),
+          hash: await differenceHash(tf, image),
+          vector: await featureVector(tf, model, image)
+        };
+      } finally {
+        image.dispose();
       }
+    });
+    
+    if (!result) {
+      console.log("MobileNet or image decoder (sharp) unavailable, using fallback image classification");
+      return { classification: fallbackImageClassification(imagePath), fingerprint };
     }
     
-    return {
-      predictedLabel: bestMatch.label,
-      confidence: bestMatch.confidence,
-      mappedCategory: bestMatch.category,
-      allPredictions: predictions.map(p => ({
-        label: p.className,
-        confidence: p.probability
-      }))
-    };
+    fingerprint.hash = result.hash;
+    fingerprint.vector = result.vector;
+    
+    return { classification: mapPredictions(result.predictions, await getCategories()), fingerprint };
   } catch (error) {
     console.error("Image Classification Error:", error.message);
-    return fallbackImageClassification(imagePath);
+    return { classification: fallbackImageClassification(imagePath), fingerprint };
   }
 }
 
+/**
+ * Fingerprint photos of complaints filed before fingerprints existed
+ * Complaints whose photo can't be read get an empty fingerprint so
+ * they aren't retried.
+ * 
+ * @param {number} limit - Most complaints to process
+ * @returns {Promise<number>} Complaints fingerprinted
+ */
+async function fingerprintStoredImages(limit = 20) {
+  const complaints = await Complaint.find({ image: { $nin: [null, ""] }, imageFingerprint: { $exists: false } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("image")
+    .lean();
+  
+  let fingerprinted = 0;
+  for (const complaint of complaints) {
+    const imagePath = path.join(__dirname, "../../uploads", path.basename(complaint.image));
+    const { fingerprint } = await analyzeImage(imagePath);
+    
+    await Complaint.updateOne({ _id: complaint._id }, { $set: { imageFingerprint: fingerprint || {} } });
+    if (fingerprint) fingerprinted++;
+  }
+  
+  return fingerprinted;
+}
+
+/**
+ * Classify complaint image using MobileNet
+ * 
+ * @param {string} imagePath - Path to uploaded image
+ * @returns {Object} Classification results
+ */
+async function classifyImage(imagePath) {
+  const { classification } = await analyzeImage(imagePath);
+  return classification;
+}
+
 // ============================================
 // 2️⃣ TEXT CLASSIFICATION (BART Zero-shot)
 // ============================================
@@ -229,53 +295,57 @@ async function classifyImage(imagePath) {
  * Classify complaint text using BART zero-shot
  * 
  * Process:
- * 1. Load BART model for zero-shot classification
- * 2. Send text with candidate labels
- * 3. Get probability scores for each category
+ * 1. Detect the language (English, Hindi or Marathi)
+ * 2. Get the zero-shot model from the registry: BART for English, the
+ *    multilingual (XNLI) model for Hindi and Marathi
+ * 3. Send text with each active category's zero-shot label
+ * 4. Get probability scores for each category
  * 
  * @param {string} text - Complaint description
- * @returns {Object} Classification with confidence scores
+ * @returns {Object} Classification with confidence scores (keyed by category name),
+ *   `method` ("zero-shot", "multilingual" or "keywords") and the detected `language`
  */
 async function classifyText(text) {
+  const categories = await getCategories();
+  const language = detectLanguage(text);
+  
   try {
-    // Check if transformers library is available
-    const transformers = safeRequire("xenova/transformers");
-    
-    if (!transformers) {
-      console.log("Transformers not installed, using fallback text classification");
-      return fallbackTextClassification(text);
+    if (categories.length === 0) {
+      return fallbackTextClassification(text, categories, language);
     }
     
-    const { pipeline } = transformers;
+    // Zero-shot label → category name
+    const byLabel = new Map(categories.map(c => [c.zeroShotLabel, c.name]));
+    const candidateLabels = [...byLabel.keys()];
     
-    // Zero-shot classification pipeline
-    const classifier = await pipeline("zero-shot-classification", "facebook/bart-large-mnli");
+    // BART only understands English
+    const method = language.code === "hi" || language.code === "mr" ? "multilingual" : "zero-shot";
+    const modelName = method === "multilingual" ? "multilingual" : "zeroShot";
     
-    const candidateLabels = [
-      "Garbage",
-      "Road Damage",
-      "Streetlight Issue",
-      "Water Leakage",
-      "Drainage"
-    ];
+    // Run classification (null when the model is unavailable)
+    const result = await runInference(modelName, classifier => classifier(text, candidateLabels));
     
-    // Run classification
-    const result = await classifier(text, candidateLabels);
+    if (!result) {
+      console.log(`${method === "multilingual" ? "Multilingual" : "Zero-shot"} model unavailable, using fallback text classification`);
+      return fallbackTextClassification(text, categories, language);
+    }
     
     // Format scores
     const scores = {};
     result.labels.forEach((label, i) => {
-      scores[label] = result.scores[i];
+      scores[byLabel.get(label)] = result.scores[i];
     });
     
     return {
-      predictedCategory: result.labels[0],
+      predictedCategory: byLabel.get(result.labels[0]),
       confidence: result.scores[0],
-      scores
+      scores,
+      method,
+      language
     };
   } catch (error) {
     console.error("Text Classification Error:", error.message);
-    return fallbackTextClassification(text);
+    return fallbackTextClassification(text, categories, language);
   }
 }
 
@@ -284,69 +354,36 @@ async function classifyText(text) {
 // ============================================
 
 /**
- * Detect duplicate complaints using Sentence Transformers
+ * Detect duplicate complaints
  * 
  * Process:
- * 1. Convert complaint text → embedding vector
- * 2. Store embedding in DB
- * 3. New complaint → cosine similarity compare
- * 4. If similarity > 0.85 → mark duplicate
+ * 1. Convert complaint text → embedding vector (Sentence Transformers)
+ * 2. Pick candidates: open complaints nearby (GPS), or matching text
+ * 3. Score each on location, text, photo and category
+ *    (see duplicate.service.js for weights and gates)
+ * 4. Best candidate above the threshold → mark duplicate
+ * 
+ * Without the embedding model, descriptions are compared by shared words.
  * 
  * @param {Object} newComplaint - Complaint to check
- * @returns {Object} Duplicate check results
+ * @param {string} newComplaint.description - Description
+ * @param {Array|null} newComplaint.embedding - Precomputed generateEmbedding result
+ *   (null: none available); computed here when left out
+ * @param {string} newComplaint.location - Location text
+ * @param {string} newComplaint.category - Category (chosen or predicted)
+ * @param {Object} newComplaint.coordinates - Optional { lat, lng }
+ * @param {string} newComplaint.image - Optional uploaded filename
+ * @param {Object} newComplaint.imageClassification - classifyImage result for the photo
+ * @param {Object} newComplaint.imageFingerprint - analyzeImage fingerprint of the photo
+ * @returns {Object} Duplicate check results, with each signal's contribution in `signals`
  */
 async function detectDuplicate(newComplaint) {
   try {
-    // Check if transformers library is available
-    const transformers = safeRequire("xenova/transformers");
-    
-    if (!transformers) {
-      console.log("Transformers not installed, using fallback duplicate detection");
-      return fallbackDetectDuplicate();
-    }
-    
-    const { pipeline } = transformers;
-    
-    // Load sentence transformer model
-    const extractor = await pipeline("feature-extraction", "all-MiniLM-L6-v2");
-    
-    // Generate embedding for new complaint
-    const newEmbedding = await extractor(newComplaint.description, {
-      pooling: "mean",
-      normalize: true
-    });
-    
-    // Get recent complaints (last 7 days, max 50)
-    const recentComplaints = await Complaint.find({
-      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-    }).limit(50);
-    
-    if (recentComplaints.length === 0) {
-      return { isDuplicate: false, similarity: 0, matchingComplaint: null, matchedField: null };
-    }
-    
-    // Calculate cosine similarity with each recent complaint
-    let bestMatch = { similarity: 0, complaint: null };
+    const embedding = newComplaint.embedding !== undefined
+      ? newComplaint.embedding
+      : await generateEmbedding(newComplaint);
     
-    for (const complaint of recentComplaints) {
-      if (!complaint.embedding || complaint.embedding.length === 0) continue;
-      
-      const similarity = cosineSimilarity(newEmbedding, complaint.embedding);
-      
-      if (similarity > bestMatch.similarity) {
-        bestMatch = { similarity, complaint };
-      }
-    }
-    
-    // Threshold for duplicate detection
-    const DUPLICATE_THRESHOLD = 0.85;
-    
-    return {
-      isDuplicate: bestMatch.similarity > DUPLICATE_THRESHOLD,
-      similarity: bestMatch.similarity,
-      matchingComplaint: bestMatch.complaint?._id || null,
-      matchedField: "text"
-    };
+    return await findDuplicate({ ...newComplaint, embedding });
   } catch (error) {
     console.error("Duplicate Detection Error:", error.message);
     return fallbackDetectDuplicate();
@@ -354,47 +391,20 @@ async function detectDuplicate(newComplaint) {
 }
 
 /**
- * Calculate cosine similarity between two vectors
- */
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-/**
- * Generate and store embedding for a complaint
+ * Generate the embedding of a complaint's description
+ * Compute it once per complaint and pass it on (see detectDuplicate).
  * 
- * @param {Object} complaint - Complaint document
- * @returns {Array} Embedding vector
+ * @param {Object} complaint - Complaint document (or { description })
+ * @returns {Array|null} Embedding vector, or null if the model is unavailable
  */
 async function generateEmbedding(complaint) {
   try {
-    const transformers = safeRequire("xenova/transformers");
-    
-    if (!transformers) {
-      return null;
-    }
-    
-    const { pipeline } = transformers;
-    const extractor = await pipeline("feature-extraction", "all-MiniLM-L6-v2");
-    
-    const embedding = await extractor(complaint.description, {
+    const embedding = await runInference("embedding", extractor => extractor(complaint.description, {
       pooling: "mean",
       normalize: true
-    });
+    }));
     
-    return Array.from(embedding);
+    return embedding ? Array.from(embedding.data) : null;
   } catch (error) {
     console.error("Embedding Generation Error:", error.message);
     return null;
@@ -411,8 +421,16 @@ async function generateEmbedding(complaint) {
  * Formula:
  * Priority Score = (ComplaintCount × 0.4) + (TimePending × 0.3) + (AreaWeight × 0.3)
  * 
- * @param {Object} complaint - Complaint to assess
+ * ComplaintCount counts open complaints within NEARBY_RADIUS_METERS of the
+ * GPS fix, or at the same address (locationKey) without one. TimePending
+ * grows with the share of the SLA used: 75 at the deadline, 100 at twice
+ * the SLA time.
+ * 
+ * @param {Object} complaint - Complaint to assess (document, or { category,
+ *   description, location, coordinates } before it is saved)
  * @param {Object} options - Additional options
+ * @param {number} options.hoursPending - Hours since the complaint was filed
+ * @param {number} options.areaWeight - Area weight score (0-100)
  * @returns {Object} Priority score with breakdown
  */
 async function calculatePriority(complaint, options = {}) {
@@ -425,32 +443,37 @@ async function calculatePriority(complaint, options = {}) {
     };
     
     // 1. Complaint Count Score (0-100)
-    // More complaints in same area = higher priority
-    const sameLocationCount = await Complaint.countDocuments({
-      location: { $regex: complaint.location, $options: "i" },
-      _id: { $ne: complaint._id }
-    });
-    
-    breakdown.complaintCountScore = Math.min(sameLocationCount * 10 + 50, 100);
+    // More open complaints in same area, and more "me too" supporters = higher priority
+    const coordinates = complaint.coordinates || fromPoint(complaint.geoLocation);
+    const locationKey = Complaint.toLocationKey(complaint.location);
+    const samePlace = coordinates
+      ? { geoLocation: withinClause(coordinates, NEARBY_RADIUS_METERS) }
+      : { locationKey };
+    const sameLocationCount = coordinates || locationKey
+      ? await Complaint.countDocuments({
+          ...samePlace,
+          _id: { $ne: complaint._id },
+          status: { $in: OPEN_STATUSES },
+          mergedInto: null
+        })
+      : 0;
+    
+    const supporterCount = complaint.supporterCount || 0;
+    breakdown.complaintCountScore = Math.min((sameLocationCount + supporterCount) * 10 + 50, 100);
     
     // 2. Time Pending Score (0-100)
-    // Older complaints = higher priority
+    // Older complaints = higher priority, relative to the time the SLA allows
     const hoursPending = options.hoursPending || 0;
-    breakdown.timePendingScore = Math.min(hoursPending * 2 + 50, 100);
+    const slaHours = complaint.slaHours || DEFAULT_SLA_HOURS;
+    breakdown.timePendingScore = Math.min(Math.round(50 + 25 * hoursPending / slaHours), 100);
     
     // 3. Area Weight Score (0-100)
-    // High-density areas = higher priority
-    breakdown.areaWeightScore = options.areaWeight || 50;
+    // From the complaint's ward (dense / high-footfall wards weigh more)
+    breakdown.areaWeightScore = options.areaWeight ?? 50;
     
-    // 4. Category Multiplier
-    const categoryMultipliers = {
-      "Drainage": 1.5,
-      "Garbage": 1.3,
-      "Water Leakage": 1.2,
-      "Road Damage": 1.1,
-      "Streetlight Issue": 1.0
-    };
-    breakdown.categoryMultiplier = categoryMultipliers[complaint.category] || 1.0;
+    // 4. Category Multiplier (set per category by admins; retired ones keep theirs)
+    const category = (await getAllCategories()).find(c => c.name === complaint.category);
+    breakdown.categoryMultiplier = category ? category.priorityMultiplier : 1.0;
     
     // Calculate final score
     const rawScore = (
@@ -470,6 +493,8 @@ async function calculatePriority(complaint, options = {}) {
     // Generate reasoning
     const reasoning = `Score: ${finalScore}/100. ` +
       `Location complaints: ${sameLocationCount}, ` +
+      `Supporters: ${supporterCount}, ` +
+      `Hours pending: ${Math.round(hoursPending)}, ` +
       `Category: ${complaint.category}, ` +
       `Multiplier: ${breakdown.categoryMultiplier}x`;
     
@@ -477,7 +502,9 @@ async function calculatePriority(complaint, options = {}) {
       score: finalScore,
       breakdown,
       severityLevel,
-      reasoning
+      reasoning,
+      sameLocationCount,
+      supporterCount
     };
   } catch (error) {
     console.error("Priority Calculation Error:", error.message);
@@ -497,35 +524,42 @@ async function calculatePriority(complaint, options = {}) {
 
 /**
  * Convert voice complaint to text using Whisper
- * Supports Hindi and English
+ * Supports Hindi, Marathi and English
+ * 
+ * The recording is decoded to 16 kHz mono first (audio.service.js);
+ * Whisper finds the spoken language itself unless one is given.
  * 
  * @param {string} audioPath - Path to audio file
- * @returns {Object} Transcription with language detection
+ * @param {Object} options
+ * @param {string} options.language - Spoken language hint: "en", "hi" or "mr" (optional)
+ * @returns {Object} { text, language (detectLanguage of the text), durationSeconds },
+ *   or { text: null, error } when Whisper is unavailable
+ * @throws {Error} With statusCode when the recording can't be used (format, length)
  */
-async function transcribeAudio(audioPath) {
+async function transcribeAudio(audioPath, { language } = {}) {
+  const { samples, durationSeconds } = await loadAudio(audioPath);
+  
   try {
-    const transformers = safeRequire("xenova/transformers");
+    const options = { task: "transcribe", chunk_length_s: 30, stride_length_s: 5 };
+    if (language) options.language = language;
     
-    if (!transformers) {
-      return { text: null, error: "Whisper not installed" };
-    }
+    // Transcribe audio (null when Whisper is unavailable)
+    const result = await runInference("whisper", transcriber => transcriber(samples, options));
     
-    const { pipeline } = transformers;
-    
-    // Load Whisper model
-    const transcriber = await pipeline("automatic-speech-recognition", "openai/whisper");
+    if (!result) {
+      return { text: null, error: "Whisper not available", durationSeconds };
+    }
     
-    // Transcribe audio
-    const result = await transcriber(audioPath);
+    const text = String(result.text || "").trim();
     
     return {
-      text: result.text,
-      language: result.language || "en",
-      confidence: result.confidence || 0
+      text,
+      language: detectLanguage(text),
+      durationSeconds
     };
   } catch (error) {
     console.error("Speech-to-Text Error:", error.message);
-    return { text: null, error: error.message };
+    return { text: null, error: error.message, durationSeconds };
   }
 }
 
@@ -535,7 +569,9 @@ async function transcribeAudio(audioPath) {
 
 module.exports = {
   // Classification
+  analyzeImage,
   classifyImage,
+  fingerprintStoredImages,
   classifyText,
   
   // Duplicate Detection
@@ -549,6 +585,9 @@ module.exports = {
   // Speech-to-Text
   transcribeAudio,
   
+  // Helpers
+  escapeRegex,
+  
   // Fallbacks
   fallbackImageClassification,
   fallbackTextClassification,
@@ -0,0 +1,325 @@
+/**
+ * Complaint Analysis Service
+ *
+ * New complaints are saved straight away with quick keyword-based results
+ * and analysis.state "analysing". A "complaint-analysis" job on the queue
+ * (queue.service.js) then runs the models and updates the complaint:
+ * 1. Image classification and fingerprint (MobileNet)
+ * 2. Language detection and text classification (BART zero-shot, or the
+ *    multilingual model for Hindi and Marathi)
+ * 3. Embedding (MiniLM) and a duplicate re-check against older complaints
+ * 4. Category, department and SLA deadline from the results, as long as
+ *    staff haven't started on the complaint
+ * 5. Priority re-score
+ *
+ * The complaint ends "complete", or "failed" when the job has used up its
+ * retries (it keeps the quick results). Each change is also emitted on
+ * analysisEvents so open SSE streams update at once.
+ */
+
+const EventEmitter = require("events");
+const path = require("path");
+const Complaint = require("../models/complaint");
+const Job = require("../models/job.model");
+const { analyzeImage, classifyText, generateEmbedding, detectDuplicate } = require("./ai.service");
+const { chooseRoutingCategory, findDepartmentForCategory } = require("./routing.service");
+const { computeDeadline } = require("./sla.service");
+const { rescoreComplaint } = require("./priority.service");
+const { fromPoint } = require("./geo.service");
+const { enqueue, registerHandler } = require("./queue.service");
+const { indexComplaint } = require("./vector-index.service");
+
+const ANALYSIS_JOB = "complaint-analysis";
+
+// Emits `complaint:<id>` with the analysis view when a complaint's analysis ends
+const analysisEvents = new EventEmitter();
+analysisEvents.setMaxListeners(0);
+
+// Complaints "analysing" this long without a live job are re-queued
+const STALLED_MINUTES = parseInt(process.env.ANALYSIS_STALLED_MINUTES, 10) || 15;
+
+// Most stalled complaints re-queued per sweep
+const STALLED_BATCH = 100;
+
+/**
+ * Queue the analysis of a saved complaint
+ *
+ * If the job can't be queued the complaint is marked "failed" and keeps
+ * its quick results; the complaint itself is already saved.
+ *
+ * @param {Object} complaint - Complaint document (analysis.state "analysing")
+ * @param {string|null} citizenCategory - Category picked on the form; kept over the AI's
+ * @returns {Promise<Object|null>} Job document, or null when queueing failed
+ */
+async function queueAnalysis(complaint, citizenCategory = null) {
+  let job;
+  try {
+    job = await enqueue(ANALYSIS_JOB, { complaintId: String(complaint._id), citizenCategory });
+  } catch (error) {
+    console.error(`Could not queue analysis of complaint ${complaint._id}:`, error.message);
+
+    Object.assign(complaint.analysis, {
+      state: "failed",
+      error: `Could not queue the analysis: ${error.message}`,
+      completedAt: new Date()
+    });
+    // If this fails too the complaint stays "analysing" and requeueStalledAnalyses picks it up
+    await Complaint.updateOne({ _id: complaint._id }, {
+      $set: {
+        "analysis.state": complaint.analysis.state,
+        "analysis.error": complaint.analysis.error,
+        "analysis.completedAt": complaint.analysis.completedAt
+      }
+    }).catch(updateError => console.error(`Could not mark analysis of complaint ${complaint._id} failed:`, updateError.message));
+
+    return null;
+  }
+
+  complaint.analysis.job = job._id;
+  await Complaint.updateOne({ _id: complaint._id }, { $set: { "analysis.job": job._id } });
+
+  return job;
+}
+
+/**
+ * Whether staff have started on a complaint (then category, routing and deadline stay)
+ */
+function isUntouched(complaint) {
+  return complaint.status === "Assigned" &&
+    complaint.departmentHistory.length === 0 &&
+    complaint.categoryCorrections.length === 0 &&
+    !complaint.mergedInto &&
+    !complaint.escalationLevel;
+}
+
+/**
+ * Analysis state and AI results of a complaint, for polling and SSE
+ *
+ * @param {Object} complaint - Complaint document or lean object
+ * @returns {Object} { complaintId, ticketNo, state, queuedAt, completedAt, error, category, aiInsights }
+ */
+function toAnalysisView(complaint) {
+  const analysis = complaint.analysis || {};
+  const duplicate = complaint.aiDuplicateCheck || {};
+
+  return {
+    complaintId: complaint._id,
+    ticketNo: complaint.ticketNo,
+    state: analysis.state || "complete",  // complaints from before the queue
+    queuedAt: analysis.queuedAt || null,
+    completedAt: analysis.completedAt || null,
+    error: analysis.error || null,
+    category: complaint.category,
+    department: complaint.department,
+    deadline: complaint.deadline,
+    aiInsights: {
+      imageClassification: complaint.imageClassification,
+      textClassification: complaint.textClassification,
+      language: complaint.detectedLanguage || null,
+      duplicateCheck: {
+        isDuplicate: duplicate.isDuplicate || false,
+        similarity: duplicate.similarity || 0,
+        matchingComplaintId: duplicate.matchingComplaintId || null,
+        matchedField: duplicate.matchedField || null,
+        explanation: duplicate.explanation || null,
+        signals: duplicate.signals || []
+      },
+      priority: {
+        score: complaint.priorityScore,
+        severityLevel: complaint.aiSeverityLevel,
+        breakdown: complaint.priorityBreakdown,
+        reasoning: complaint.aiReasoning
+      }
+    }
+  };
+}
+
+/**
+ * Tell listeners a complaint's analysis ended
+ */
+function emitAnalysis(complaint) {
+  analysisEvents.emit(`complaint:${complaint._id}`, toAnalysisView(complaint));
+}
+
+/**
+ * Run the AI analysis of one complaint (queue handler)
+ *
+ * @param {Object} job - Job with payload { complaintId, citizenCategory }
+ * @returns {Promise<Object>} Summary stored on the job
+ */
+async function analyseComplaint(job) {
+  const { complaintId, citizenCategory } = job.payload;
+  const complaint = await Complaint.findById(complaintId).select("-embedding").lean();
+
+  if (!complaint) {
+    return { skipped: "Complaint no longer exists" };
+  }
+
+  // 1. Photo
+  let imageClassification = complaint.imageClassification;
+  let imageFingerprint = complaint.imageFingerprint;
+  if (complaint.image) {
+    const photo = await analyzeImage(path.join(__dirname, "../../uploads", path.basename(complaint.image)));
+    imageClassification = photo.classification;
+    if (photo.fingerprint) imageFingerprint = photo.fingerprint;
+  }
+
+  // 2. Text
+  const textClassification = await classifyText(complaint.description);
+
+  // 3. Embedding and duplicate re-check
+  const embedding = await generateEmbedding(complaint);
+
+  const category = citizenCategory || textClassification.predictedCategory || "Other";
+  const duplicateCheck = await detectDuplicate({
+    _id: complaint._id,
+    createdAt: complaint.createdAt,
+    description: complaint.description,
+    embedding,
+    location: complaint.location,
+    coordinates: fromPoint(complaint.geoLocation),
+    category,
+    image: complaint.image,
+    imageClassification,
+    imageFingerprint
+  });
+
+  // Inference takes a while: apply the results to a fresh copy, so what
+  // staff did meanwhile (category correction, reassignment, merge,
+  // escalation) is kept. save() only writes the fields set below.
+  const current = await Complaint.findById(complaintId);
+
+  if (!current) {
+    return { skipped: "Complaint no longer exists" };
+  }
+
+  current.imageClassification = imageClassification;
+  current.imageFingerprint = imageFingerprint;
+  current.textClassification = textClassification;
+  current.detectedLanguage = textClassification.language;
+  current.embedding = embedding;
+  current.aiDuplicateCheck = {
+    isDuplicate: duplicateCheck.isDuplicate,
+    similarity: Math.round(duplicateCheck.similarity * 100),
+    matchingComplaintId: duplicateCheck.matchingComplaint,
+    matchedField: duplicateCheck.matchedField,
+    signals: duplicateCheck.signals,
+    explanation: duplicateCheck.explanation
+  };
+
+  // 4. Category, routing and deadline, unless staff already took over
+  const untouched = isUntouched(current);
+  if (untouched) {
+    current.category = category;
+
+    const routing = chooseRoutingCategory(category, textClassification, imageClassification);
+    const department = await findDepartmentForCategory(routing.category);
+    current.routing = routing;
+    current.department = department?._id || null;
+  }
+
+  // 5. Priority
+  await rescoreComplaint(current, "AI analysis complete");
+
+  if (untouched) {
+    const sla = await computeDeadline(current.category, current.aiSeverityLevel, current.createdAt);
+    current.deadline = sla.deadline;
+    current.slaHours = sla.slaHours;
+  }
+
+  current.analysis.state = "complete";
+  current.analysis.completedAt = new Date();
+  current.analysis.error = null;
+  await current.save();
+  indexComplaint(current);
+
+  emitAnalysis(current);
+
+  return {
+    category: current.category,
+    isDuplicate: duplicateCheck.isDuplicate,
+    priorityScore: current.priorityScore
+  };
+}
+
+/**
+ * Mark a complaint's analysis failed after its job's last attempt
+ */
+async function markAnalysisFailed(job, error) {
+  const complaint = await Complaint.findByIdAndUpdate(
+    job.payload.complaintId,
+    { $set: { "analysis.state": "failed", "analysis.error": error.message, "analysis.completedAt": new Date() } },
+    { returnDocument: "after" }
+  ).select("-embedding -imageFingerprint");
+
+  if (complaint) emitAnalysis(complaint);
+}
+
+/**
+ * Mark a complaint "analysing" again when an admin re-queues its dead job
+ */
+async function markAnalysisRetried(job) {
+  await Complaint.updateOne(
+    { _id: job.payload.complaintId },
+    { $set: { "analysis.state": "analysing", "analysis.error": null, "analysis.completedAt": null } }
+  );
+}
+
+/**
+ * Re-queue complaints left "analysing" without a live (queued or running)
+ * job: the enqueue or the failed-marking after it didn't reach the
+ * database, or the job was deleted. Complaints whose job is dead are
+ * marked failed, as its dead-letter hook would have.
+ *
+ * @param {number} olderThanMinutes - Only complaints queued this long ago
+ * @returns {Promise<Object>} { requeued, failed }
+ */
+async function requeueStalledAnalyses(olderThanMinutes = STALLED_MINUTES) {
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+  const stalled = await Complaint.find({ "analysis.state": "analysing", "analysis.queuedAt": { $lte: cutoff } })
+    .select("analysis")
+    .limit(STALLED_BATCH);
+
+  const jobs = await Job.find({ _id: { $in: stalled.map(c => c.analysis.job).filter(Boolean) } })
+    .select("status payload errorLog")
+    .lean();
+  const jobsById = new Map(jobs.map(j => [String(j._id), j]));
+
+  const counts = { requeued: 0, failed: 0 };
+
+  for (const complaint of stalled) {
+    const job = complaint.analysis.job ? jobsById.get(String(complaint.analysis.job)) : null;
+
+    if (job && (job.status === "queued" || job.status === "running")) continue;
+
+    if (job && job.status === "dead") {
+      const last = job.errorLog[job.errorLog.length - 1];
+      await markAnalysisFailed(job, new Error(last ? last.message : "Analysis job failed"));
+      counts.failed++;
+      continue;
+    }
+
+    // Restart the clock, so a complaint whose enqueue fails again waits for the next sweep
+    complaint.analysis.queuedAt = new Date();
+    await Complaint.updateOne({ _id: complaint._id }, { $set: { "analysis.queuedAt": complaint.analysis.queuedAt } });
+
+    // The citizen's category is only known from the old job
+    if (await queueAnalysis(complaint, job ? job.payload.citizenCategory || null : null)) counts.requeued++;
+  }
+
+  return counts;
+}
+
+registerHandler(ANALYSIS_JOB, {
+  run: analyseComplaint,
+  onDead: markAnalysisFailed,
+  onRetry: markAnalysisRetried
+});
+
+module.exports = {
+  ANALYSIS_JOB,
+  analysisEvents,
+  queueAnalysis,
+  requeueStalledAnalyses,
+  toAnalysisView
+};
@@ -0,0 +1,211 @@
+/**
+ * Analytics Service
+ *
+ * Complaint statistics for the analytics dashboard and CSV/JSON export.
+ * Both take the listing filters (status, category, department, ward,
+ * from/to, ...) from listing.service.js. Staff with a department (other
+ * than admins) only see their department.
+ */
+
+const Complaint = require("../models/complaint");
+const Department = require("../models/department.model");
+const Ward = require("../models/ward.model");
+const { buildFilter } = require("./listing.service");
+const { OPEN_STATUSES } = require("./status.service");
+const { fromPoint } = require("./geo.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Most rows in one export
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Filter for analytics/export, scoped to the user's department (see
+ * buildFilter) and cast so it can be used in aggregation pipelines
+ *
+ * @param {Object} user - req.user (staff)
+ * @param {Object} query - req.query
+ * @returns {Object} MongoDB filter
+ */
+function buildScopedFilter(user, query) {
+  const filter = buildFilter(user, query);
+
+  // Aggregations skip Mongoose casting (ids, dates)
+  return Complaint.find().cast(Complaint, filter);
+}
+
+/**
+ * Turn [{ _id, count }] into [{ key, label, count }] using a name lookup
+ */
+function labelGroups(groups, names) {
+  return groups.map(g => ({
+    key: g._id,
+    label: g._id ? (names.get(String(g._id)) || "Unknown") : "None",
+    count: g.count
+  }));
+}
+
+/**
+ * Complaint statistics
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - Listing filters
+ * @returns {Promise<Object>} totals, byStatus, bySeverity, byCategory,
+ *   byDepartment, byWard, duplicates and resolution times per category
+ */
+async function getSummary(user, query = {}) {
+  const filter = buildScopedFilter(user, query);
+  const countBy = field => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1 } }];
+
+  const [facets] = await Complaint.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            open: { $sum: { $cond: [{ $in: ["$status", OPEN_STATUSES] }, 1, 0] } },
+            overdue: {
+              $sum: {
+                $cond: [{ $and: [{ $in: ["$status", OPEN_STATUSES] }, { $lt: ["$deadline", new Date()] }, { $ne: ["$deadline", null] }] }, 1, 0]
+              }
+            },
+            flaggedDuplicates: { $sum: { $cond: ["$aiDuplicateCheck.isDuplicate", 1, 0] } },
+            supporters: { $sum: { $ifNull: ["$supporterCount", 0] } }
+          }
+        }],
+        byStatus: countBy("status"),
+        bySeverity: countBy("aiSeverityLevel"),
+        byCategory: countBy("category"),
+        byDepartment: countBy("department"),
+        byWard: countBy("ward"),
+        resolution: [
+          { $match: { "resolution.resolvedAt": { $ne: null } } },
+          {
+            $group: {
+              _id: "$category",
+              resolved: { $sum: 1 },
+              avgMs: { $avg: { $subtract: ["$resolution.resolvedAt", "$createdAt"] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Merged duplicates are hidden by the listing filter; count them separately
+  const { mergedInto, ...withoutMerge } = filter;
+  const merged = await Complaint.countDocuments({ ...withoutMerge, mergedInto: { $ne: null } });
+
+  const [departments, wards] = await Promise.all([
+    Department.find({ _id: { $in: facets.byDepartment.map(g => g._id).filter(Boolean) } }).select("name").lean(),
+    Ward.find({ _id: { $in: facets.byWard.map(g => g._id).filter(Boolean) } }).select("name code").lean()
+  ]);
+
+  const totals = facets.totals[0] || { total: 0, open: 0, overdue: 0, flaggedDuplicates: 0, supporters: 0 };
+  delete totals._id;
+
+  return {
+    totals,
+    byStatus: facets.byStatus.map(g => ({ key: g._id, label: g._id, count: g.count })),
+    bySeverity: facets.bySeverity.map(g => ({ key: g._id, label: g._id || "unscored", count: g.count })),
+    byCategory: facets.byCategory.map(g => ({ key: g._id, label: g._id, count: g.count })),
+    byDepartment: labelGroups(facets.byDepartment, new Map(departments.map(d => [String(d._id), d.name]))),
+    byWard: labelGroups(facets.byWard, new Map(wards.map(w => [String(w._id), `${w.code} · ${w.name}`]))),
+    duplicates: {
+      flagged: totals.flaggedDuplicates,
+      merged,
+      supporters: totals.supporters
+    },
+    resolution: facets.resolution.map(r => ({
+      category: r._id,
+      resolved: r.resolved,
+      avgHours: Math.round(r.avgMs / HOUR_MS * 10) / 10
+    }))
+  };
+}
+
+// Export columns: header → value from a populated, lean complaint
+const EXPORT_COLUMNS = [
+  ["ticketNo", c => c.ticketNo],
+  ["createdAt", c => c.createdAt && new Date(c.createdAt).toISOString()],
+  ["category", c => c.category],
+  ["status", c => c.status],
+  ["severity", c => c.aiSeverityLevel],
+  ["priorityScore", c => c.priorityScore],
+  ["department", c => c.department && c.department.name],
+  ["wardCode", c => c.ward && c.ward.code],
+  ["ward", c => c.ward && c.ward.name],
+  ["location", c => c.location],
+  ["lat", c => fromPoint(c.geoLocation)?.lat],
+  ["lng", c => fromPoint(c.geoLocation)?.lng],
+  ["deadline", c => c.deadline && new Date(c.deadline).toISOString()],
+  ["resolvedAt", c => c.resolution && c.resolution.resolvedAt && new Date(c.resolution.resolvedAt).toISOString()],
+  ["supporterCount", c => c.supporterCount],
+  ["description", c => c.description]
+];
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ * Values starting with = + - @ are prefixed with ' so spreadsheets
+ * don't run them as formulas.
+ */
+function csvValue(value) {
+  if (value === undefined || value === null) return "";
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === "string") text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Complaints to export, oldest first, as a cursor of lean, populated documents
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - Listing filters
+ * @returns {Object} Mongoose query cursor
+ */
+function exportCursor(user, query = {}) {
+  return Complaint.find(buildScopedFilter(user, query))
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(EXPORT_MAX_ROWS)
+    .select("-embedding -imageFingerprint -statusHistory -priorityHistory -supporters")
+    .populate("department", "name")
+    .populate("ward", "name code")
+    .lean()
+    .cursor();
+}
+
+/**
+ * CSV header line
+ */
+function csvHeader() {
+  return EXPORT_COLUMNS.map(([name]) => name).join(",") + "\r\n";
+}
+
+/**
+ * One complaint as a CSV line
+ */
+function toCsvRow(complaint) {
+  return EXPORT_COLUMNS.map(([, get]) => csvValue(get(complaint))).join(",") + "\r\n";
+}
+
+/**
+ * One complaint as a flat export record (JSON export)
+ */
+function toExportRecord(complaint) {
+  return Object.fromEntries(EXPORT_COLUMNS.map(([name, get]) => [name, get(complaint) ?? null]));
+}
+
+module.exports = {
+  EXPORT_MAX_ROWS,
+  buildScopedFilter,
+  getSummary,
+  exportCursor,
+  csvHeader,
+  toCsvRow,
+  toExportRecord
+};
@@ -0,0 +1,259 @@
+/**
+ * Audio Service
+ *
+ * Turns an uploaded voice recording into what Whisper expects: mono
+ * samples (Float32Array, -1..1) at 16 kHz. Node has no audio decoder, so:
+ * - WAV (PCM 8/16/24/32-bit or float) is decoded here; the report form
+ *   converts its recordings to WAV in the browser
+ * - Anything else (WebM/Opus, OGG, MP3, M4A) goes through ffmpeg
+ *   (FFMPEG_PATH, default "ffmpeg" on the PATH) when it is installed
+ *
+ * Errors carry a statusCode (415 unsupported format, 413 too long,
+ * 422 unreadable) for the route to answer with.
+ *
+ * Recordings live in uploads/voice/; those of drafts never submitted are
+ * removed by jobs/voice-cleanup.job.js.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { execFile } = require("child_process");
+const Complaint = require("../models/complaint");
+const { voiceDir } = require("../config/upload");
+const { httpError } = require("../utils/http-error");
+
+// Whisper's sample rate
+const SAMPLE_RATE = 16000;
+
+// Longest recording transcribed
+const MAX_AUDIO_SECONDS = parseInt(process.env.VOICE_MAX_SECONDS, 10) || 180;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+// WAV format codes
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Sample reader for a WAV sample format (returns -1..1)
+ */
+function sampleReader(audioFormat, bitsPerSample) {
+  if (audioFormat === WAVE_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: return (buf, at) => (buf.readUInt8(at) - 128) / 128;
+      case 16: return (buf, at) => buf.readInt16LE(at) / 32768;
+      case 24: return (buf, at) => buf.readIntLE(at, 3) / 8388608;
+      case 32: return (buf, at) => buf.readInt32LE(at) / 2147483648;
+    }
+  }
+  if (audioFormat === WAVE_FORMAT_FLOAT) {
+    if (bitsPerSample === 32) return (buf, at) => buf.readFloatLE(at);
+    if (bitsPerSample === 64) return (buf, at) => buf.readDoubleLE(at);
+  }
+  return null;
+}
+
+/**
+ * Whether a file's bytes are a RIFF/WAVE file
+ */
+function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WAVE";
+}
+
+/**
+ * Decode a WAV file to mono samples
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { samples: Float32Array, sampleRate }
+ */
+function decodeWav(buffer) {
+  if (!isWav(buffer)) {
+    throw httpError("Not a WAV file", 415);
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  // Walk the chunks: "fmt " describes the samples, "data" holds them
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === "fmt " && size >= 16) {
+      format = {
+        audioFormat: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+      if (format.audioFormat === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+        format.audioFormat = buffer.readUInt16LE(start + 24);  // first bytes of the sub-format GUID
+      }
+    } else if (id === "data") {
+      // Recorders that stream to disk may leave the size 0 or 0xFFFFFFFF
+      const end = size === 0 ? buffer.length : Math.min(start + size, buffer.length);
+      data = buffer.subarray(start, end);
+      break;
+    }
+
+    offset = start + size + (size % 2);  // chunks are padded to an even length
+  }
+
+  if (!format || !data) {
+    throw httpError("WAV file has no audio data", 422);
+  }
+
+  const read = sampleReader(format.audioFormat, format.bitsPerSample);
+  if (!read || format.channels < 1 || !format.sampleRate) {
+    throw httpError(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit)`, 415);
+  }
+
+  // Mix the channels down to mono
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameBytes = bytesPerSample * format.channels;
+  const frames = Math.floor(data.length / frameBytes);
+  const samples = new Float32Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < format.channels; c++) {
+      sum += read(data, i * frameBytes + c * bytesPerSample);
+    }
+    samples[i] = sum / format.channels;
+  }
+
+  return { samples, sampleRate: format.sampleRate };
+}
+
+/**
+ * Resample mono samples to another rate
+ * Downsampling averages the input samples each output sample covers
+ * (a crude low-pass, enough for speech); upsampling interpolates.
+ *
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate
+ * @param {number} toRate - Output sample rate (default 16 kHz)
+ * @returns {Float32Array}
+ */
+function resample(samples, fromRate, toRate = SAMPLE_RATE) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+
+    if (ratio > 1) {
+      const from = Math.floor(position);
+      const to = Math.min(Math.floor(position + ratio), samples.length);
+      let sum = 0;
+      for (let j = from; j < to; j++) sum += samples[j];
+      output[i] = sum / Math.max(to - from, 1);
+    } else {
+      const j = Math.floor(position);
+      const fraction = position - j;
+      const next = j + 1 < samples.length ? samples[j + 1] : samples[j];
+      output[i] = samples[j] * (1 - fraction) + next * fraction;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode any format ffmpeg reads straight to 16 kHz mono float samples
+ */
+function decodeWithFfmpeg(filePath) {
+  const args = ["-v", "error", "-i", filePath, "-t", String(MAX_AUDIO_SECONDS + 1), "-f", "f32le", "-ac", "1", "-ar", String(SAMPLE_RATE), "pipe:1"];
+
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, args, {
+      encoding: "buffer",
+      timeout: FFMPEG_TIMEOUT_MS,
+      maxBuffer: (MAX_AUDIO_SECONDS + 2) * SAMPLE_RATE * 4
+    }, (error, stdout, stderr) => {
+      if (error && error.code === "ENOENT") {
+        return reject(httpError("Only WAV recordings can be transcribed on this server (ffmpeg is not installed)", 415));
+      }
+      if (error) {
+        const detail = String(stderr || error.message).trim().split("\n").pop();
+        return reject(httpError(`Could not decode the recording: ${detail}`, 422));
+      }
+
+      const bytes = stdout.length - (stdout.length % 4);
+      const samples = new Float32Array(bytes / 4);
+      for (let i = 0; i < samples.length; i++) samples[i] = stdout.readFloatLE(i * 4);
+
+      resolve(samples);
+    });
+  });
+}
+
+/**
+ * Load a recording as Whisper input
+ *
+ * @param {string} filePath - Uploaded audio file
+ * @returns {Promise<Object>} { samples: Float32Array at 16 kHz, sampleRate, durationSeconds }
+ */
+async function loadAudio(filePath) {
+  const buffer = await fs.readFile(filePath);
+
+  let samples;
+  if (isWav(buffer)) {
+    const wav = decodeWav(buffer);
+    samples = resample(wav.samples, wav.sampleRate);
+  } else {
+    samples = await decodeWithFfmpeg(filePath);
+  }
+
+  const durationSeconds = samples.length / SAMPLE_RATE;
+
+  if (durationSeconds === 0) {
+    throw httpError("The recording is empty", 422);
+  }
+  if (durationSeconds > MAX_AUDIO_SECONDS) {
+    throw httpError(`Recordings can be at most ${MAX_AUDIO_SECONDS} seconds long`, 413);
+  }
+
+  return { samples, sampleRate: SAMPLE_RATE, durationSeconds: Number(durationSeconds.toFixed(1)) };
+}
+
+/**
+ * Delete recordings no complaint kept (drafts the citizen never submitted)
+ *
+ * @param {number} olderThanHours - Only recordings uploaded this long ago
+ * @returns {Promise<number>} Recordings deleted
+ */
+async function removeUnusedRecordings(olderThanHours = 24) {
+  const cutoff = Date.now() - olderThanHours * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const name of await fs.readdir(voiceDir)) {
+    const filePath = path.join(voiceDir, name);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile() || stats.mtimeMs > cutoff) continue;
+
+    if (await Complaint.exists({ "voice.audio": name })) continue;
+
+    await fs.unlink(filePath).catch(() => {});
+    removed++;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  MAX_AUDIO_SECONDS,
+  decodeWav,
+  resample,
+  loadAudio,
+  removeUnusedRecordings
+};
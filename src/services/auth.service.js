@@ -0,0 +1,130 @@
+/**
+ * Auth Service
+ *
+ * Issues and verifies the JWT stored in the `token` cookie,
+ * and hashes/verifies passwords.
+ *
+ * Sessions slide: tokens expire after JWT_EXPIRES_IN (default 2h),
+ * and any request made in the second half of a token's lifetime
+ * gets a fresh token, so active users stay logged in while idle
+ * sessions expire.
+ */
+
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+
+// bcrypt cost factor
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+// Accounts created before bcrypt stored unsalted MD5 hex digests
+const LEGACY_MD5_PATTERN = /^[a-f0-9]{32}$/;
+
+// Token lifetime in seconds (JWT_EXPIRES_IN accepts seconds or 30m / 2h / 1d)
+const TOKEN_TTL_SECONDS = parseDuration(process.env.JWT_EXPIRES_IN || "2h");
+
+/**
+ * Convert "90", "30m", "2h" or "1d" into seconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) return 2 * 60 * 60;
+
+  const units = { "": 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1], 10) * units[match[2]];
+}
+
+/**
+ * Sign a token for the user and set it as an httpOnly cookie
+ *
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {string} Signed token
+ */
+function issueToken(res, user) {
+  const token = jwt.sign(
+    { id: user._id, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_TTL_SECONDS }
+  );
+
+  res.cookie("token", token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: TOKEN_TTL_SECONDS * 1000
+  });
+
+  return token;
+}
+
+/**
+ * Verify a token
+ *
+ * @param {string} token - JWT
+ * @returns {Object} Decoded payload (throws if invalid or expired)
+ */
+function verifyToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+/**
+ * Whether a decoded token is past the half of its lifetime
+ * and should be replaced with a fresh one
+ */
+function shouldRefresh(decoded) {
+  if (!decoded.exp || !decoded.iat) return false;
+  const now = Math.floor(Date.now() / 1000);
+  return now - decoded.iat > (decoded.exp - decoded.iat) / 2;
+}
+
+/**
+ * Clear the auth cookie
+ */
+function clearToken(res) {
+  res.clearCookie("token");
+}
+
+/**
+ * Hash a password with bcrypt
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Salted bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(String(password), BCRYPT_ROUNDS);
+}
+
+/**
+ * Check a password against a stored hash
+ * Accepts bcrypt hashes and legacy unsalted MD5 digests
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Hash from the user document
+ * @returns {Promise<Object>} { matched, needsRehash }
+ */
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) {
+    return { matched: false, needsRehash: false };
+  }
+
+  if (LEGACY_MD5_PATTERN.test(storedHash)) {
+    const md5 = crypto.createHash("md5").update(String(password)).digest("hex");
+    const matched = crypto.timingSafeEqual(Buffer.from(md5), Buffer.from(storedHash));
+    return { matched, needsRehash: matched };
+  }
+
+  const matched = await bcrypt.compare(String(password), storedHash);
+  const needsRehash = matched && bcrypt.getRounds(storedHash) < BCRYPT_ROUNDS;
+  return { matched, needsRehash };
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  issueToken,
+  verifyToken,
+  shouldRefresh,
+  clearToken,
+  hashPassword,
+  verifyPassword
+};
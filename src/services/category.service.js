@@ -0,0 +1,240 @@
+/**
+ * Category Service
+ *
+ * Reads the category taxonomy (models/category.model.js) for the
+ * classifiers, priority scoring, complaint validation and pages.
+ *
+ * Categories are cached for CACHE_TTL_MS, so an admin's change reaches
+ * every server process within a minute (at once in the process that made
+ * it). The synchronous rule-based fallbacks use cachedCategories(), the
+ * last list loaded. The built-in DEFAULT_CATEGORIES are seeded on first
+ * start and used while the database is unavailable.
+ *
+ * "Other" is always a valid category and isn't stored.
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../models/category.model");
+
+const OTHER_CATEGORY = "Other";
+
+// How long a loaded list is used before reading the database again
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Categories created on first start if none exist
+ */
+const DEFAULT_CATEGORIES = [
+  {
+    name: "Water Leakage",
+    label: "Water Leakage",
+    icon: "💧",
+    subcategories: ["Pipeline leak", "Leaking tap or valve", "Burst main"],
+    imageKeywords: ["faucet", "tap", "water", "pipe", "plumbing", "hydrant"],
+    textKeywords: ["water", "leak", "pipe", "tap", "overflow"],
+    devanagariKeywords: ["पानी", "पाणी", "रिसाव", "लीक", "पाइप", "पाईप", "नल", "नळ", "गळती", "टपक"],
+    transliteratedKeywords: ["paani", "pani", "risav", "nal", "galti", "galati", "tapak"],
+    priorityMultiplier: 1.2,
+    sortOrder: 1
+  },
+  {
+    name: "Garbage",
+    label: "Garbage Dump",
+    icon: "🗑️",
+    subcategories: ["Overflowing bin", "Illegal dumping", "Missed collection"],
+    imageKeywords: ["garbage", "trash", "litter", "dumpster", "ashcan", "wastebin", "dustbin"],
+    textKeywords: ["garbage", "trash", "waste", "litter", "dirty", "smell"],
+    devanagariKeywords: ["कचरा", "कूड़ा", "कुडा", "गंदगी", "घाण", "बदबू", "दुर्गंध", "कचराकुंडी"],
+    transliteratedKeywords: ["kachra", "kachara", "kooda", "kuda", "gandagi", "gandgi", "ghaan", "badbu", "durgandh"],
+    priorityMultiplier: 1.3,
+    sortOrder: 2
+  },
+  {
+    name: "Streetlight Issue",
+    label: "Street Light Outage",
+    icon: "💡",
+    subcategories: ["Light not working", "Flickering light", "Damaged pole"],
+    imageKeywords: ["lamp", "light", "streetlight", "lantern", "torch", "flashlight"],
+    textKeywords: ["light", "streetlight", "dark", "lamp", "no light"],
+    devanagariKeywords: ["बत्ती", "लाइट", "लाईट", "खंभा", "खांब", "अंधेरा", "अंधार", "दिवा", "पथदीप"],
+    transliteratedKeywords: ["batti", "bijli", "khamba", "khamb", "andhera", "andhar", "andhaar", "diva", "divaa"],
+    priorityMultiplier: 1.0,
+    sortOrder: 3
+  },
+  {
+    name: "Road Damage",
+    label: "Pothole",
+    icon: "🕳️",
+    subcategories: ["Pothole", "Cracked road", "Damaged footpath"],
+    imageKeywords: ["pothole", "road", "highway", "street", "asphalt", "concrete", "gravel"],
+    textKeywords: ["pothole", "road", "crack", "broken", "damage", "hole"],
+    devanagariKeywords: ["सड़क", "सडक", "रस्ता", "रस्त्यावर", "गड्ढा", "गड्ढे", "खड्डा", "खड्डे", "टूटी"],
+    transliteratedKeywords: ["sadak", "sarak", "rasta", "rastyavar", "gaddha", "gaddhe", "gadda", "gadde", "khadda", "khadde", "tuti", "tooti"],
+    priorityMultiplier: 1.1,
+    sortOrder: 4
+  },
+  {
+    name: "Drainage",
+    label: "Drainage / Sewage",
+    icon: "🚰",
+    subcategories: ["Blocked drain", "Sewage overflow", "Open manhole"],
+    imageKeywords: ["sewer", "drain", "sewage", "gutter", "storm", "drainage"],
+    textKeywords: ["drain", "sewer", "clog", "flood", "water logging"],
+    devanagariKeywords: ["नाली", "नाला", "गटर", "सीवर", "ड्रेनेज", "तुंबले", "मैनहोल"],
+    transliteratedKeywords: ["naali", "nali", "nala", "naala", "gatar", "tumbla", "tumbli", "tumbale"],
+    priorityMultiplier: 1.5,
+    sortOrder: 5
+  }
+];
+
+/**
+ * Category with every field filled in (label and zero-shot label default to the name)
+ */
+function toView(category) {
+  return {
+    _id: category._id || null,
+    name: category.name,
+    label: category.label || category.name,
+    icon: category.icon || "📋",
+    subcategories: category.subcategories || [],
+    imageKeywords: category.imageKeywords || [],
+    textKeywords: category.textKeywords || [],
+    devanagariKeywords: category.devanagariKeywords || [],
+    transliteratedKeywords: category.transliteratedKeywords || [],
+    zeroShotLabel: category.zeroShotLabel || category.name,
+    priorityMultiplier: category.priorityMultiplier ?? 1,
+    sortOrder: category.sortOrder || 0,
+    active: category.active !== false
+  };
+}
+
+const DEFAULT_VIEWS = DEFAULT_CATEGORIES.map(toView);
+
+let cache = null;
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Read every category (active or not) from the database
+ */
+async function loadCategories() {
+  if (mongoose.connection.readyState !== 1) return DEFAULT_VIEWS;
+
+  const categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+  return categories.length ? categories.map(toView) : DEFAULT_VIEWS;
+}
+
+/**
+ * Every category, including retired ones (cached)
+ *
+ * @returns {Promise<Object[]>} Categories in display order
+ */
+async function getAllCategories() {
+  if (cache && Date.now() - loadedAt < CACHE_TTL_MS) return cache;
+
+  if (!loading) {
+    loading = loadCategories()
+      .then(categories => {
+        cache = categories;
+        loadedAt = Date.now();
+        return categories;
+      })
+      .catch(error => {
+        console.error("Category Load Error:", error.message);
+        return cache || DEFAULT_VIEWS;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Active categories (cached)
+ *
+ * @returns {Promise<Object[]>} Categories in display order
+ */
+async function getCategories() {
+  return (await getAllCategories()).filter(c => c.active);
+}
+
+/**
+ * Active categories from the last load, for synchronous code
+ *
+ * @returns {Object[]} Categories (the defaults before the first load)
+ */
+function cachedCategories() {
+  return (cache || DEFAULT_VIEWS).filter(c => c.active);
+}
+
+/**
+ * Whether complaints may be stored under a category (retired ones included)
+ *
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>}
+ */
+async function isKnownCategory(name) {
+  if (name === OTHER_CATEGORY) return true;
+  return (await getAllCategories()).some(c => c.name === name);
+}
+
+/**
+ * Whether new complaints may be filed under a category
+ *
+ * @param {string} name - Category name
+ * @returns {Promise<boolean>}
+ */
+async function isActiveCategory(name) {
+  if (name === OTHER_CATEGORY) return true;
+  return (await getCategories()).some(c => c.name === name);
+}
+
+/**
+ * Drop the cached list (after an admin change)
+ */
+function invalidateCategories() {
+  cache = null;
+}
+
+/**
+ * Create the default categories when the collection is empty, and give
+ * default categories saved before Hindi/Marathi keywords existed their sets
+ */
+async function ensureDefaultCategories() {
+  const count = await Category.estimatedDocumentCount();
+
+  if (count === 0) {
+    await Category.insertMany(DEFAULT_CATEGORIES);
+    invalidateCategories();
+    console.log(`Created ${DEFAULT_CATEGORIES.length} default categories`);
+    return;
+  }
+
+  let updated = 0;
+  for (const category of DEFAULT_CATEGORIES) {
+    const result = await Category.updateOne(
+      { name: category.name, devanagariKeywords: { $exists: false } },
+      { $set: { devanagariKeywords: category.devanagariKeywords, transliteratedKeywords: category.transliteratedKeywords } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  if (updated > 0) {
+    invalidateCategories();
+    console.log(`Added Hindi/Marathi keywords to ${updated} categories`);
+  }
+}
+
+module.exports = {
+  OTHER_CATEGORY,
+  DEFAULT_CATEGORIES,
+  getAllCategories,
+  getCategories,
+  cachedCategories,
+  isKnownCategory,
+  isActiveCategory,
+  invalidateCategories,
+  ensureDefaultCategories
+};
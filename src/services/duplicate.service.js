@@ -0,0 +1,369 @@
+/**
+ * Duplicate Scoring Service
+ *
+ * Decides whether a new complaint repeats an existing one by combining
+ * four signals, each scored 0-1:
+ *
+ * | Signal   | Weight | Source                                                    |
+ * |----------|--------|-----------------------------------------------------------|
+ * | location | 0.35   | GPS distance (1 at the same spot, 0 at DUPLICATE_RADIUS), |
+ * |          |        | or word overlap of the location text without GPS          |
+ * | text     | 0.35   | MiniLM embedding cosine, or word overlap without the model|
+ * | image    | 0.20   | Photo fingerprints (same file, perceptual hash, MobileNet |
+ * |          |        | features), or MobileNet prediction profiles without them  |
+ * | category | 0.10   | Same category: 1, different: 0                            |
+ *
+ * Signals that can't be computed (e.g. no photo) are left out and the
+ * remaining weights rescaled. Two gates apply before the score counts:
+ * the complaints must be at the same place (location ≥ LOCATION_GATE) and
+ * say or show the same thing (text or image strong), so "pothole" reports
+ * from different cities never match, and neither do a pothole and a broken
+ * streetlight on the same corner. A near-identical photo at the same place
+ * (image ≥ IDENTICAL_IMAGE) is a duplicate even if the descriptions differ.
+ */
+
+const Complaint = require("../models/complaint");
+const { OPEN_STATUSES } = require("./status.service");
+const { NEARBY_RADIUS_METERS, nearClause, fromPoint, distanceMeters } = require("./geo.service");
+const { compareFingerprints } = require("./fingerprint.service");
+const { querySimilar } = require("./vector-index.service");
+
+const WEIGHTS = { location: 0.35, text: 0.35, image: 0.2, category: 0.1 };
+
+// Distance at which the location signal reaches 0
+const DUPLICATE_RADIUS_METERS = NEARBY_RADIUS_METERS;
+
+// Combined score at or above which a candidate is a duplicate
+const DUPLICATE_THRESHOLD = 0.75;
+
+// Location score needed to count as "the same place" (address text is weaker evidence)
+const LOCATION_GATE = { gps: 0.3, text: 0.6 };
+
+// Text / image scores that count as "the same issue"
+const STRONG_TEXT = { embedding: 0.75, keywords: 0.5 };
+const STRONG_IMAGE = 0.85;
+
+// Image score of a resubmitted / near-identical photo
+const IDENTICAL_IMAGE = 0.95;
+
+// Candidates compared per check
+const MAX_CANDIDATES = 100;
+const RECENT_DAYS = 7;
+
+// Closest embeddings taken from the vector index per check (any age)
+const VECTOR_MATCHES = 20;
+
+// Fields loaded for each candidate
+const CANDIDATE_FIELDS = "category description location geoLocation status image imageClassification imageFingerprint embedding createdAt";
+
+const STOP_WORDS = new Set([
+  "a", "an", "at", "by", "in", "is", "it", "of", "on", "to", "we", "no", "my", "or", "be", "so",
+  "the", "and", "for", "with", "near", "from", "this", "that", "there", "here",
+  "are", "was", "were", "has", "have", "not", "our", "very", "since", "please"
+]);
+
+// Words common to most addresses, ignored when comparing location text
+const PLACE_WORDS = new Set([
+  "road", "street", "lane", "marg", "nagar", "chowk", "colony", "sector", "area", "opposite", "behind"
+]);
+
+/**
+ * Calculate cosine similarity between two vectors
+ */
+function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length || vecA.length === 0) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Words of a text, lowercased and roughly stemmed ("leaking" → "leak")
+ */
+function wordSet(text, ignore = STOP_WORDS) {
+  return new Set(String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)  // \p{M}: Devanagari vowel signs
+    .filter(word => word.length >= 2 && !STOP_WORDS.has(word) && !ignore.has(word))
+    .map(word => word.length > 5 ? word.slice(0, word.length - 3) : word));
+}
+
+function sharedWords(wordsA, wordsB) {
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared;
+}
+
+/**
+ * Overlap of two texts' words (Dice coefficient, 0-1)
+ */
+function wordOverlap(a, b) {
+  const wordsA = wordSet(a);
+  const wordsB = wordSet(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  return (2 * sharedWords(wordsA, wordsB)) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Overlap of two addresses (0-1): share of the shorter one's words found in
+ * the other, so "MG Road" matches "MG Road, near bus stop"
+ */
+function placeOverlap(a, b) {
+  const wordsA = wordSet(a, PLACE_WORDS);
+  const wordsB = wordSet(b, PLACE_WORDS);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  return sharedWords(wordsA, wordsB) / Math.min(wordsA.size, wordsB.size);
+}
+
+/**
+ * Location signal: GPS distance when both have it, otherwise the location text
+ */
+function locationSignal(complaint, candidate) {
+  const candidatePoint = fromPoint(candidate.geoLocation);
+
+  if (complaint.coordinates && candidatePoint) {
+    const distance = Math.round(distanceMeters(complaint.coordinates, candidatePoint));
+    return {
+      score: Math.max(0, 1 - distance / DUPLICATE_RADIUS_METERS),
+      method: "gps",
+      detail: `${distance} m apart`
+    };
+  }
+
+  if (!complaint.location || !candidate.location) return null;
+
+  const score = placeOverlap(complaint.location, candidate.location);
+  return { score, method: "text", detail: `location text ${Math.round(score * 100)}% alike (no GPS)` };
+}
+
+/**
+ * Text signal: embedding cosine, or word overlap when either embedding is missing
+ */
+function textSignal(complaint, candidate) {
+  if (complaint.embedding && complaint.embedding.length && candidate.embedding && candidate.embedding.length) {
+    const score = Math.max(0, cosineSimilarity(complaint.embedding, candidate.embedding));
+    return { score, method: "embedding", detail: `descriptions ${Math.round(score * 100)}% similar in meaning` };
+  }
+
+  const score = wordOverlap(complaint.description, candidate.description);
+  return { score, method: "keywords", detail: `descriptions share ${Math.round(score * 100)}% of their words` };
+}
+
+/**
+ * MobileNet predictions as { label: confidence }
+ */
+function predictionProfile(imageClassification) {
+  const predictions = (imageClassification && imageClassification.allPredictions) || [];
+  return Object.fromEntries(predictions.filter(p => p.label).map(p => [p.label, p.confidence || 0]));
+}
+
+/**
+ * Image signal: compare the photos' fingerprints, or else how alike the
+ * classifier saw both photos (cosine over their top predicted labels);
+ * null without two photos
+ */
+function imageSignal(complaint, candidate) {
+  if (!complaint.image || !candidate.image) return null;
+
+  const byFingerprint = compareFingerprints(complaint.imageFingerprint, candidate.imageFingerprint);
+  if (byFingerprint) return byFingerprint;
+
+  const profileA = predictionProfile(complaint.imageClassification);
+  const profileB = predictionProfile(candidate.imageClassification);
+  const labels = [...new Set([...Object.keys(profileA), ...Object.keys(profileB)])];
+  if (Object.keys(profileA).length === 0 || Object.keys(profileB).length === 0) return null;
+
+  const score = cosineSimilarity(labels.map(l => profileA[l] || 0), labels.map(l => profileB[l] || 0));
+  return { score, method: "predictions", detail: `photos ${Math.round(score * 100)}% alike (classifier predictions)` };
+}
+
+/**
+ * Category signal: 1 when both complaints have the same category
+ */
+function categorySignal(complaint, candidate) {
+  if (!complaint.category || !candidate.category) return null;
+
+  const same = complaint.category === candidate.category;
+  return {
+    score: same ? 1 : 0,
+    detail: same ? `both ${candidate.category}` : `${complaint.category} vs ${candidate.category}`
+  };
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+/**
+ * Score one candidate against the new complaint
+ *
+ * @param {Object} complaint - New complaint: { description, location, category,
+ *   coordinates, embedding, image, imageClassification, imageFingerprint }
+ * @param {Object} candidate - Existing complaint (lean)
+ * @returns {Object} { score, isDuplicate, matchedField, signals, explanation }
+ */
+function scoreCandidate(complaint, candidate) {
+  const raw = {
+    location: locationSignal(complaint, candidate),
+    text: textSignal(complaint, candidate),
+    image: imageSignal(complaint, candidate),
+    category: categorySignal(complaint, candidate)
+  };
+
+  const available = Object.keys(raw).filter(name => raw[name]);
+  const totalWeight = available.reduce((sum, name) => sum + WEIGHTS[name], 0);
+
+  const signals = available.map(name => {
+    const weight = WEIGHTS[name] / totalWeight;
+    return {
+      name,
+      score: round(raw[name].score),
+      weight: round(weight),
+      contribution: round(raw[name].score * weight),
+      detail: raw[name].detail
+    };
+  });
+  const score = round(signals.reduce((sum, s) => sum + s.contribution, 0));
+
+  // Gates: same place, and the same issue in words or pictures
+  const samePlace = raw.location !== null && raw.location.score >= LOCATION_GATE[raw.location.method];
+  const textMatch = raw.text.score >= STRONG_TEXT[raw.text.method];
+  const imageMatch = raw.image !== null && raw.image.score >= STRONG_IMAGE;
+  const samePhoto = raw.image !== null && raw.image.score >= IDENTICAL_IMAGE;
+
+  const matchedField = textMatch && imageMatch ? "both" : textMatch ? "text" : imageMatch ? "image" : null;
+  const isDuplicate = samePlace && matchedField !== null && (score >= DUPLICATE_THRESHOLD || samePhoto);
+
+  let explanation;
+  if (!samePlace) explanation = raw.location ? `Different place (${raw.location.detail})` : "No location to compare";
+  else if (!matchedField) explanation = "Same place, but descriptions and photos differ";
+  else if (score < DUPLICATE_THRESHOLD && samePhoto) explanation = `Same photo at the same place: ${signals.map(s => s.detail).join(", ")}`;
+  else explanation = `Score ${Math.round(score * 100)}%: ${signals.map(s => s.detail).join(", ")}`;
+
+  return { score, isDuplicate, matchedField, signals, explanation };
+}
+
+/**
+ * Drop repeated complaints (by id), keeping the first
+ */
+function uniqueById(complaints) {
+  const seen = new Set();
+  return complaints.filter(c => !seen.has(String(c._id)) && seen.add(String(c._id)));
+}
+
+/**
+ * Existing complaints worth comparing with a new one:
+ * - with GPS: open complaints within DUPLICATE_RADIUS_METERS, any age
+ * - without: open complaints whose text matches (text index), plus the last week's
+ * - with an embedding: also the VECTOR_MATCHES open complaints closest in
+ *   meaning (vector index; within the radius when there is GPS)
+ * A complaint that is already saved (re-check after background analysis)
+ * is only compared with complaints filed before it.
+ *
+ * @param {Object} complaint - New complaint ({ _id, createdAt, description, location, coordinates, embedding })
+ * @returns {Promise<Object[]>} Lean candidates
+ */
+async function findCandidates(complaint) {
+  const base = { mergedInto: null, status: { $in: OPEN_STATUSES } };
+  if (complaint._id) base._id = { $ne: complaint._id };
+  if (complaint.createdAt) base.createdAt = { $lt: complaint.createdAt };
+
+  // null while the index is loading or without an embedding
+  const similar = querySimilar(complaint.embedding, {
+    k: VECTOR_MATCHES,
+    openOnly: true,
+    createdBefore: complaint.createdAt,
+    excludeId: complaint._id,
+    near: complaint.coordinates ? { coordinates: complaint.coordinates, radiusMeters: DUPLICATE_RADIUS_METERS } : null
+  }) || [];
+  const vectorMatches = similar.length
+    ? Complaint.find({ ...base, _id: { $in: similar.map(match => match.id) } }).select(CANDIDATE_FIELDS).lean()
+    : [];
+
+  if (complaint.coordinates) {
+    const [nearby, matches] = await Promise.all([
+      Complaint.find({ ...base, geoLocation: nearClause(complaint.coordinates, DUPLICATE_RADIUS_METERS) })
+        .limit(MAX_CANDIDATES)
+        .select(CANDIDATE_FIELDS)
+        .lean(),
+      vectorMatches
+    ]);
+    return uniqueById([...nearby, ...matches]);
+  }
+
+  const terms = `${complaint.description || ""} ${complaint.location || ""}`.trim();
+  const [textMatches, recent, matches] = await Promise.all([
+    terms
+      ? Complaint.find({ ...base, $text: { $search: terms } })
+          .sort({ score: { $meta: "textScore" } })
+          .limit(MAX_CANDIDATES)
+          .select(CANDIDATE_FIELDS)
+          .lean()
+      : [],
+    Complaint.find({ ...base, createdAt: { ...base.createdAt, $gte: new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000) } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES / 2)
+      .select(CANDIDATE_FIELDS)
+      .lean(),
+    vectorMatches
+  ]);
+
+  return uniqueById([...textMatches, ...recent, ...matches]);
+}
+
+/**
+ * Best-scoring existing complaint for a new one
+ *
+ * @param {Object} complaint - See scoreCandidate
+ * @returns {Promise<Object>} { isDuplicate, similarity, matchingComplaint, matchedField,
+ *   signals, explanation } — similarity is the combined score (0-1)
+ */
+async function findDuplicate(complaint) {
+  const candidates = await findCandidates(complaint);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const result = scoreCandidate(complaint, candidate);
+
+    // Duplicates first, then the highest score
+    if (!best || (result.isDuplicate && !best.result.isDuplicate) ||
+        (result.isDuplicate === best.result.isDuplicate && result.score > best.result.score)) {
+      best = { candidate, result };
+    }
+  }
+
+  if (!best) {
+    return { isDuplicate: false, similarity: 0, matchingComplaint: null, matchedField: null, signals: [], explanation: "No open complaints to compare with" };
+  }
+
+  return {
+    isDuplicate: best.result.isDuplicate,
+    similarity: best.result.score,
+    matchingComplaint: best.candidate._id,
+    matchedField: best.result.isDuplicate ? best.result.matchedField : null,
+    signals: best.result.signals,
+    explanation: best.result.explanation
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  DUPLICATE_THRESHOLD,
+  DUPLICATE_RADIUS_METERS,
+  STOP_WORDS,
+  cosineSimilarity,
+  wordOverlap,
+  scoreCandidate,
+  findCandidates,
+  findDuplicate
+};
@@ -0,0 +1,326 @@
+/**
+ * Evaluation Service
+ *
+ * How often the classifiers pick the right category, measured against
+ * complaints whose category staff have verified:
+ * - corrected ones (PATCH /api/complaints/:id/category), and
+ * - resolved ones (Completed / Closed) nobody corrected: the officers
+ *   worked them under that category
+ *
+ * Each classifier is scored separately: the text models by method (BART
+ * zero-shot, multilingual), MobileNet's mapped image category, and the
+ * keyword fallback. The models are scored on the prediction stored at
+ * analysis time (as logged with the first correction); the keywords are
+ * re-run with the current keyword lists, so admin edits show at once.
+ *
+ * The same complaints drive keyword suggestions: words common in the
+ * descriptions the keywords miss for a category and rare elsewhere.
+ */
+
+const Complaint = require("../models/complaint");
+const { buildScopedFilter } = require("./analytics.service");
+const { fallbackTextClassification } = require("./ai.service");
+const { OTHER_CATEGORY, getCategories } = require("./category.service");
+const { STOP_WORDS } = require("./duplicate.service");
+const { tokenize, isMarkerWord, detectLanguage } = require("./language.service");
+
+const CLASSIFIERS = ["zero-shot", "multilingual", "image", "keywords"];
+
+// Statuses whose category the officers who worked the complaint confirmed
+const VERIFIED_STATUSES = ["Completed", "Closed"];
+
+// Most complaints evaluated (the most recent)
+const MAX_COMPLAINTS = 5000;
+
+const FIELDS = "category description textClassification imageClassification categoryCorrections createdAt";
+
+// Keyword suggestions: a word must appear in this many complaints the
+// keywords missed, and this share of all complaints containing it must
+// belong to the category
+const SUGGESTION_MIN_COUNT = 2;
+const SUGGESTION_MIN_PRECISION = 0.8;
+const SUGGESTIONS_PER_CATEGORY = 10;
+
+// Corrections listed at once
+const DEFAULT_CORRECTIONS_LIMIT = 50;
+const MAX_CORRECTIONS_LIMIT = 200;
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+const round = n => (n === null ? null : Math.round(n * 1000) / 1000);
+const sum = values => values.reduce((total, n) => total + n, 0);
+
+/**
+ * Verified complaints matching the analytics filters, most recent first
+ *
+ * @returns {Promise<Object>} { complaints, truncated }
+ */
+async function loadVerified(user, query) {
+  const filter = buildScopedFilter(user, query);
+  filter.$or = [
+    { "categoryCorrections.0": { $exists: true } },
+    { status: { $in: VERIFIED_STATUSES } }
+  ];
+
+  const complaints = await Complaint.find(filter)
+    .select(FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(MAX_COMPLAINTS + 1)
+    .lean();
+
+  return {
+    complaints: complaints.slice(0, MAX_COMPLAINTS),
+    truncated: complaints.length > MAX_COMPLAINTS
+  };
+}
+
+/**
+ * What the classifiers predicted for a complaint
+ *
+ * @returns {Object} classifier → predicted category (classifiers that did not run are left out)
+ */
+function predictionsFor(complaint, categories) {
+  const original = (complaint.categoryCorrections || [])[0] || {};
+  const logged = (snapshot, field) => (snapshot && snapshot[field] ? snapshot : null);
+
+  const text = logged(original.textClassification, "predictedCategory") || complaint.textClassification || {};
+  const image = logged(original.imageClassification, "mappedCategory") || complaint.imageClassification || {};
+  const predictions = {};
+
+  if (text.predictedCategory && (text.method === "zero-shot" || text.method === "multilingual")) {
+    predictions[text.method] = text.predictedCategory;
+  }
+
+  // Confidence 0: MobileNet did not run (see fallbackImageClassification)
+  if (image.mappedCategory && image.confidence > 0) {
+    predictions.image = image.mappedCategory;
+  }
+
+  predictions.keywords = fallbackTextClassification(complaint.description || "", categories).predictedCategory;
+
+  return predictions;
+}
+
+/**
+ * Categories in display order: active ones, Other, then any retired ones seen
+ */
+function orderLabels(seen, categories) {
+  const ordered = [...categories.map(c => c.name), OTHER_CATEGORY].filter(name => seen.has(name));
+  const rest = [...seen].filter(name => !ordered.includes(name)).sort();
+  return [...ordered, ...rest];
+}
+
+/**
+ * Precision, recall and confusion matrix of one classifier
+ *
+ * @param {Object[]} pairs - [{ actual, predicted }]
+ * @param {string[]} labels - Categories (matrix rows and columns)
+ * @returns {Object} { evaluated, accuracy, macroPrecision, macroRecall, perCategory, confusion }
+ */
+function scoreClassifier(pairs, labels) {
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  for (const { actual, predicted } of pairs) {
+    matrix[index.get(actual)][index.get(predicted)]++;
+  }
+
+  const perCategory = labels.map((category, i) => {
+    const truePositives = matrix[i][i];
+    const support = sum(matrix[i]);
+    const predicted = sum(matrix.map(row => row[i]));
+    const precision = predicted ? truePositives / predicted : null;
+    const recall = support ? truePositives / support : null;
+    const f1 = precision === null || recall === null ? null
+      : (precision + recall ? 2 * precision * recall / (precision + recall) : 0);
+
+    return { category, support, predicted, truePositives, precision: round(precision), recall: round(recall), f1: round(f1) };
+  }).filter(c => c.support > 0 || c.predicted > 0);
+
+  const average = field => {
+    const values = perCategory.map(c => c[field]).filter(v => v !== null);
+    return values.length ? round(sum(values) / values.length) : null;
+  };
+  const correct = pairs.filter(p => p.actual === p.predicted).length;
+
+  return {
+    evaluated: pairs.length,
+    accuracy: pairs.length ? round(correct / pairs.length) : null,
+    macroPrecision: average("precision"),
+    macroRecall: average("recall"),
+    perCategory,
+    confusion: { labels, matrix }  // rows: actual category, columns: predicted
+  };
+}
+
+/**
+ * Score every classifier against the verified complaints
+ *
+ * @param {Object} user - req.user (staff; scoped to their department unless admin)
+ * @param {Object} query - Analytics filters (from, to, ward, category, ...)
+ * @returns {Promise<Object>} { verified, corrected, truncated, classifiers: { name → scores } }
+ */
+async function evaluateClassifiers(user, query = {}) {
+  const categories = await getCategories();
+  const { complaints, truncated } = await loadVerified(user, query);
+
+  const pairs = Object.fromEntries(CLASSIFIERS.map(name => [name, []]));
+  const seen = new Set();
+  let corrected = 0;
+
+  for (const complaint of complaints) {
+    if (complaint.categoryCorrections && complaint.categoryCorrections.length) corrected++;
+    seen.add(complaint.category);
+
+    for (const [name, predicted] of Object.entries(predictionsFor(complaint, categories))) {
+      pairs[name].push({ actual: complaint.category, predicted });
+      seen.add(predicted);
+    }
+  }
+
+  const labels = orderLabels(seen, categories);
+
+  return {
+    verified: complaints.length,
+    corrected,
+    truncated,
+    classifiers: Object.fromEntries(CLASSIFIERS.map(name => [name, scoreClassifier(pairs[name], labels)]))
+  };
+}
+
+/**
+ * Keyword list a suggested word belongs in
+ */
+function keywordField(word, stats) {
+  if (DEVANAGARI.test(word)) return "devanagariKeywords";
+  return stats.transliterated * 2 > stats.total ? "transliteratedKeywords" : "textKeywords";
+}
+
+/**
+ * Suggest fallback keywords from verified (and corrected) complaints
+ * the current keywords classify wrongly
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - Analytics filters, plus minCount
+ * @returns {Promise<Object>} { verified, truncated, minCount, categories: [{
+ *   category, categoryId, missed, suggestions: [{ word, field, missed, corrected, complaints, precision }]
+ * }] }
+ */
+async function suggestKeywords(user, query = {}) {
+  const minCount = Math.max(parseInt(query.minCount, 10) || SUGGESTION_MIN_COUNT, 1);
+  const categories = await getCategories();
+  const { complaints, truncated } = await loadVerified(user, query);
+
+  const words = new Map();  // word → complaint counts
+  const missedByCategory = {};
+
+  for (const complaint of complaints) {
+    const description = complaint.description || "";
+    const language = detectLanguage(description);
+    const category = complaint.category;
+    const missed = fallbackTextClassification(description, categories, language).predictedCategory !== category;
+    const corrected = missed && complaint.categoryCorrections && complaint.categoryCorrections.length > 0;
+
+    if (missed) missedByCategory[category] = (missedByCategory[category] || 0) + 1;
+
+    for (const word of new Set(tokenize(description))) {
+      if (word.length < (DEVANAGARI.test(word) ? 2 : 3) || STOP_WORDS.has(word) || isMarkerWord(word)) continue;
+
+      let stats = words.get(word);
+      if (!stats) {
+        stats = { total: 0, transliterated: 0, byCategory: {}, missed: {}, corrected: {} };
+        words.set(word, stats);
+      }
+
+      stats.total++;
+      if (language.transliterated) stats.transliterated++;
+      stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+      if (missed) stats.missed[category] = (stats.missed[category] || 0) + 1;
+      if (corrected) stats.corrected[category] = (stats.corrected[category] || 0) + 1;
+    }
+  }
+
+  const results = categories
+    .filter(category => missedByCategory[category.name])
+    .map(category => {
+      const existing = [...category.textKeywords, ...category.devanagariKeywords, ...category.transliteratedKeywords]
+        .map(keyword => keyword.toLowerCase());
+      const suggestions = [];
+
+      for (const [word, stats] of words) {
+        const missed = stats.missed[category.name] || 0;
+        const precision = (stats.byCategory[category.name] || 0) / stats.total;
+
+        if (missed < minCount || precision < SUGGESTION_MIN_PRECISION) continue;
+        // Already matched, or a fragment of a keyword
+        if (existing.some(keyword => word.includes(keyword) || keyword.includes(word))) continue;
+
+        suggestions.push({
+          word,
+          field: keywordField(word, stats),
+          missed,
+          corrected: stats.corrected[category.name] || 0,
+          complaints: stats.total,
+          precision: round(precision)
+        });
+      }
+
+      suggestions.sort((a, b) => b.missed - a.missed || b.precision - a.precision || a.word.localeCompare(b.word));
+
+      return {
+        category: category.name,
+        categoryId: category._id,
+        missed: missedByCategory[category.name],
+        suggestions: suggestions.slice(0, SUGGESTIONS_PER_CATEGORY)
+      };
+    });
+
+  return { verified: complaints.length, truncated, minCount, categories: results };
+}
+
+/**
+ * Recent category corrections, newest first
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - Analytics filters, plus limit (default 50, max 200)
+ * @returns {Promise<Object[]>} [{ complaintId, ticketNo, description, from, to, reason,
+ *   actor: { _id, name }, actorRole, textClassification, imageClassification, at }]
+ */
+async function listCorrections(user, query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_CORRECTIONS_LIMIT, 1), MAX_CORRECTIONS_LIMIT);
+  const filter = buildScopedFilter(user, query);
+  filter["categoryCorrections.0"] = { $exists: true };
+
+  return Complaint.aggregate([
+    { $match: filter },
+    { $unwind: "$categoryCorrections" },
+    { $sort: { "categoryCorrections.at": -1 } },
+    { $limit: limit },
+    { $lookup: { from: "users", localField: "categoryCorrections.actor", foreignField: "_id", as: "actor" } },
+    {
+      $project: {
+        _id: 0,
+        complaintId: "$_id",
+        ticketNo: 1,
+        description: { $substrCP: ["$description", 0, 200] },
+        from: "$categoryCorrections.from",
+        to: "$categoryCorrections.to",
+        reason: "$categoryCorrections.reason",
+        actor: { $let: { vars: { a: { $first: "$actor" } }, in: { _id: "$$a._id", name: "$$a.name" } } },
+        actorRole: "$categoryCorrections.actorRole",
+        textClassification: "$categoryCorrections.textClassification",
+        imageClassification: "$categoryCorrections.imageClassification",
+        at: "$categoryCorrections.at"
+      }
+    }
+  ]);
+}
+
+module.exports = {
+  CLASSIFIERS,
+  VERIFIED_STATUSES,
+  scoreClassifier,
+  evaluateClassifiers,
+  suggestKeywords,
+  listCorrections
+};
@@ -0,0 +1,153 @@
+/**
+ * Image Fingerprint Service
+ *
+ * Fingerprints complaint photos so the same or a near-identical shot can be
+ * recognised when it is submitted again. A fingerprint has up to three parts:
+ * - sha256: hash of the file bytes (always) — the exact same file
+ * - hash:   64-bit difference hash (dHash) of the decoded image, as 16 hex
+ *           digits — survives resizing, recompression and small edits
+ * - vector: MobileNet feature vector (the activations classifyImage already
+ *           computes), L2-normalised — survives crops and slightly different
+ *           angles of the same scene
+ *
+ * hash and vector need the image decoder (sharp) and TensorFlow; without them
+ * photos are still compared by sha256 and by their MobileNet predictions.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+
+// dHash grid: 9 × 8 pixels → 8 × 8 = 64 comparisons
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Decimal places kept per feature value (keeps documents small)
+const VECTOR_PRECISION = 4;
+
+/**
+ * SHA-256 of a file's bytes (hex)
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+async function fileSha256(filePath) {
+  return crypto.createHash("sha256").update(await fs.readFile(filePath)).digest("hex");
+}
+
+/**
+ * Difference hash of a decoded image: shrink to 9 × 8 grey pixels and
+ * record whether each pixel is brighter than its right-hand neighbour
+ *
+ * @param {Object} tf - TensorFlow.js
+ * @param {Object} image - Tensor3D [height, width, 3]
+ * @returns {Promise<string>} 16 hex digits
+ */
+async function differenceHash(tf, image) {
+  const pixels = await tf.tidy(() => {
+    const grey = image.toFloat().mean(2).expandDims(2);
+    return tf.image.resizeBilinear(grey, [HASH_HEIGHT, HASH_WIDTH]).reshape([HASH_HEIGHT, HASH_WIDTH]);
+  }).array();
+
+  let hash = "";
+  for (const row of pixels) {
+    let nibble = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      nibble = (nibble << 1) | (row[x] > row[x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * MobileNet feature vector of a decoded image, L2-normalised
+ *
+ * @param {Object} tf - TensorFlow.js
+ * @param {Object} model - Loaded MobileNet
+ * @param {Object} image - Tensor3D [height, width, 3]
+ * @returns {Promise<number[]>} Feature vector
+ */
+async function featureVector(tf, model, image) {
+  const features = tf.tidy(() => {
+    const activations = model.infer(image, true).flatten();
+    return activations.div(activations.norm().add(1e-12));
+  });
+
+  const values = await features.data();
+  features.dispose();
+
+  const scale = 10 ** VECTOR_PRECISION;
+  return Array.from(values, v => Math.round(v * scale) / scale);
+}
+
+/**
+ * Share of matching bits between two hex hashes (0-1)
+ */
+function hashSimilarity(hashA, hashB) {
+  if (!hashA || !hashB || hashA.length !== hashB.length) return null;
+
+  let differing = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+    while (bits) {
+      differing += bits & 1;
+      bits >>= 1;
+    }
+  }
+
+  return 1 - differing / HASH_BITS;
+}
+
+/**
+ * Dot product of two normalised vectors (their cosine similarity)
+ */
+function vectorSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length === 0 || vecA.length !== vecB.length) return null;
+
+  let dot = 0;
+  for (let i = 0; i < vecA.length; i++) dot += vecA[i] * vecB[i];
+
+  return Math.max(0, Math.min(1, dot));
+}
+
+/**
+ * Compare two fingerprints
+ * The identical file scores 1; otherwise the better of the hash and
+ * feature similarities (a crop changes the hash, not the features;
+ * a different photo of a similar street scores low on both).
+ *
+ * @param {Object} a - Fingerprint { sha256, hash, vector }
+ * @param {Object} b - Fingerprint
+ * @returns {Object|null} { score, method, detail }, or null if nothing to compare
+ */
+function compareFingerprints(a, b) {
+  if (!a || !b) return null;
+
+  if (a.sha256 && a.sha256 === b.sha256) {
+    return { score: 1, method: "file", detail: "same photo file" };
+  }
+
+  const byHash = hashSimilarity(a.hash, b.hash);
+  const byVector = vectorSimilarity(a.vector, b.vector);
+  if (byHash === null && byVector === null) return null;
+
+  if (byVector === null || (byHash !== null && byHash >= byVector)) {
+    return { score: byHash, method: "hash", detail: `photos ${Math.round(byHash * 100)}% alike (perceptual hash)` };
+  }
+  return { score: byVector, method: "features", detail: `photos ${Math.round(byVector * 100)}% alike (image features)` };
+}
+
+module.exports = {
+  HASH_BITS,
+  fileSha256,
+  differenceHash,
+  featureVector,
+  hashSimilarity,
+  vectorSimilarity,
+  compareFingerprints
+};
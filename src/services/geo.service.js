@@ -0,0 +1,158 @@
+/**
+ * Geo Service
+ *
+ * GPS coordinates on complaints, stored as a GeoJSON Point in
+ * Complaint.geoLocation ([lng, lat], 2dsphere index):
+ * - parsing lat/lng sent by forms and API clients
+ * - "what has already been reported near here?" queries, used by
+ *   GET /api/complaints/nearby, the report page and the duplicate check
+ */
+
+const Complaint = require("../models/complaint");
+const { httpError } = require("../utils/http-error");
+
+// Default and largest search radius for nearby queries, in metres
+const NEARBY_RADIUS_METERS = parseInt(process.env.NEARBY_RADIUS_METERS, 10) || 200;
+const NEARBY_MAX_RADIUS_METERS = 5000;
+
+const NEARBY_DEFAULT_LIMIT = 20;
+const NEARBY_MAX_LIMIT = 100;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Parse latitude/longitude from request values
+ * Both missing means "no GPS fix" (null); anything else must be valid.
+ *
+ * @param {string|number} lat - Latitude in degrees (-90..90)
+ * @param {string|number} lng - Longitude in degrees (-180..180)
+ * @returns {{lat: number, lng: number}|null}
+ */
+function parseCoordinates(lat, lng) {
+  const missing = value => value === undefined || value === null || value === "";
+
+  if (missing(lat) && missing(lng)) return null;
+  if (missing(lat) || missing(lng)) throw httpError("lat and lng must be sent together");
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw httpError("lat must be a number between -90 and 90");
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw httpError("lng must be a number between -180 and 180");
+  }
+
+  return { lat: latitude, lng: longitude };
+}
+
+/**
+ * { lat, lng } → GeoJSON Point (GeoJSON puts longitude first)
+ */
+function toPoint({ lat, lng }) {
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+/**
+ * GeoJSON Point → { lat, lng }
+ */
+function fromPoint(point) {
+  if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) return null;
+  return { lat: point.coordinates[1], lng: point.coordinates[0] };
+}
+
+/**
+ * Readable "lat, lng" text, used as the location when only GPS was given
+ */
+function formatCoordinates({ lat, lng }) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+/**
+ * Great-circle distance between two points (haversine), in metres
+ */
+function distanceMeters(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Parse a radius query value (metres), capped at NEARBY_MAX_RADIUS_METERS
+ */
+function parseRadius(value) {
+  if (value === undefined || value === "") return NEARBY_RADIUS_METERS;
+
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0) throw httpError("radius must be a positive number of metres");
+
+  return Math.min(radius, NEARBY_MAX_RADIUS_METERS);
+}
+
+/**
+ * MongoDB clause matching complaints within `radius` metres, nearest first
+ */
+function nearClause(center, radius) {
+  return {
+    $nearSphere: {
+      $geometry: toPoint(center),
+      $maxDistance: radius
+    }
+  };
+}
+
+/**
+ * MongoDB clause matching complaints within `radius` metres, unordered
+ * (unlike $nearSphere, usable in countDocuments)
+ */
+function withinClause(center, radius) {
+  return {
+    $geoWithin: {
+      $centerSphere: [[center.lng, center.lat], radius / EARTH_RADIUS_METERS]
+    }
+  };
+}
+
+/**
+ * Complaints near a point, nearest first, each with `distance` in metres
+ *
+ * @param {{lat: number, lng: number}} center - Search centre
+ * @param {Object} options
+ * @param {number} options.radius - Metres (default NEARBY_RADIUS_METERS)
+ * @param {Object} options.filter - Extra MongoDB filter (status, department, ...)
+ * @param {number} options.limit - Most complaints returned
+ * @param {string} options.select - Fields to return (geoLocation is always added)
+ * @returns {Promise<Object[]>} Lean complaints with `distance`
+ */
+async function findNearby(center, { radius = NEARBY_RADIUS_METERS, filter = {}, limit = NEARBY_DEFAULT_LIMIT, select } = {}) {
+  let query = Complaint.find({ ...filter, geoLocation: nearClause(center, radius) }).limit(limit);
+  if (select) query = query.select(`${select} geoLocation`);
+
+  const items = await query.lean();
+
+  return items.map(item => ({
+    ...item,
+    distance: Math.round(distanceMeters(center, fromPoint(item.geoLocation)))
+  }));
+}
+
+module.exports = {
+  NEARBY_RADIUS_METERS,
+  NEARBY_MAX_RADIUS_METERS,
+  NEARBY_DEFAULT_LIMIT,
+  NEARBY_MAX_LIMIT,
+  parseCoordinates,
+  parseRadius,
+  toPoint,
+  fromPoint,
+  formatCoordinates,
+  distanceMeters,
+  nearClause,
+  withinClause,
+  findNearby
+};
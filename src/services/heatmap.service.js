@@ -0,0 +1,206 @@
+/**
+ * Heatmap Service
+ *
+ * Complaint locations for the heatmap, weighted by priority.
+ * Two modes, both returning the same point shape (lat, lng, weight, count):
+ * - grid:   complaints bucketed into square cells of `cell` degrees and
+ *           aggregated in MongoDB; each cell is one point at the centroid
+ *           of its complaints (default — payload stays small at any scale)
+ * - points: one point per complaint, highest priority first, capped
+ *
+ * The usual listing filters apply (category, status, ward, from/to, ...),
+ * plus an optional `bbox` for the visible map area.
+ */
+
+const Complaint = require("../models/complaint");
+const { buildScopedFilter } = require("./analytics.service");
+const { httpError } = require("../utils/http-error");
+
+// Grid cell size in degrees (0.005° ≈ 550 m north-south)
+const DEFAULT_CELL = 0.005;
+const MIN_CELL = 0.0005;
+const MAX_CELL = 1;
+
+// Largest number of cells / points returned
+const MAX_CELLS = 5000;
+const MAX_POINTS = 5000;
+
+// Weight of complaints without a priority score (score 50)
+const DEFAULT_PRIORITY = 50;
+
+/**
+ * Parse ?bbox=minLng,minLat,maxLng,maxLat into a GeoJSON Polygon
+ */
+function parseBbox(value) {
+  const parts = String(value).split(",").map(Number);
+
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    throw httpError("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat || minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    throw httpError("bbox must be minLng,minLat,maxLng,maxLat within the world, min below max");
+  }
+
+  return {
+    type: "Polygon",
+    coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+  };
+}
+
+/**
+ * Parse ?cell= (degrees), clamped to MIN_CELL..MAX_CELL
+ */
+function parseCell(value) {
+  if (value === undefined || value === "") return DEFAULT_CELL;
+
+  const cell = Number(value);
+  if (!Number.isFinite(cell) || cell <= 0) throw httpError("cell must be a positive number of degrees");
+
+  return Math.min(Math.max(cell, MIN_CELL), MAX_CELL);
+}
+
+/**
+ * Filter: listing filters plus "has coordinates" (inside bbox, if given)
+ */
+function buildHeatmapFilter(user, query) {
+  const filter = buildScopedFilter(user, query);
+
+  filter.geoLocation = query.bbox
+    ? { $geoWithin: { $geometry: parseBbox(query.bbox) } }
+    : { $exists: true };
+
+  return filter;
+}
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+/**
+ * Grid aggregation: one entry per non-empty cell
+ */
+async function gridCells(filter, cell) {
+  const cells = await Complaint.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        lng: { $arrayElemAt: ["$geoLocation.coordinates", 0] },
+        lat: { $arrayElemAt: ["$geoLocation.coordinates", 1] },
+        priority: { $ifNull: ["$priorityScore", DEFAULT_PRIORITY] }
+      }
+    },
+    {
+      $group: {
+        _id: { x: { $floor: { $divide: ["$lng", cell] } }, y: { $floor: { $divide: ["$lat", cell] } } },
+        count: { $sum: 1 },
+        prioritySum: { $sum: "$priority" },
+        maxPriority: { $max: "$priority" },
+        lng: { $avg: "$lng" },
+        lat: { $avg: "$lat" }
+      }
+    },
+    { $sort: { prioritySum: -1 } },
+    { $limit: MAX_CELLS + 1 }
+  ]);
+
+  const truncated = cells.length > MAX_CELLS;
+  if (truncated) cells.pop();
+
+  return {
+    truncated,
+    points: cells.map(c => ({
+      lat: round(c.lat, 6),
+      lng: round(c.lng, 6),
+      weight: round(c.prioritySum / 100, 2),
+      count: c.count,
+      avgPriority: Math.round(c.prioritySum / c.count),
+      maxPriority: c.maxPriority
+    }))
+  };
+}
+
+/**
+ * Individual complaints, highest priority first
+ */
+async function complaintPoints(filter) {
+  const items = await Complaint.find(filter)
+    .sort({ priorityScore: -1, _id: 1 })
+    .limit(MAX_POINTS + 1)
+    .select("ticketNo category status priorityScore geoLocation")
+    .lean();
+
+  const truncated = items.length > MAX_POINTS;
+  if (truncated) items.pop();
+
+  return {
+    truncated,
+    points: items.map(c => {
+      const priority = c.priorityScore ?? DEFAULT_PRIORITY;
+      return {
+        lat: c.geoLocation.coordinates[1],
+        lng: c.geoLocation.coordinates[0],
+        weight: round(priority / 100, 2),
+        count: 1,
+        id: c._id,
+        ticketNo: c.ticketNo,
+        category: c.category,
+        status: c.status,
+        priorityScore: priority
+      };
+    })
+  };
+}
+
+/**
+ * Heatmap data
+ *
+ * @param {Object} user - req.user (staff)
+ * @param {Object} query - mode ("grid" | "points"), cell, bbox, plus listing filters
+ * @returns {Promise<Object>} { mode, cell, total, truncated, points }
+ */
+async function getHeatmap(user, query = {}) {
+  const mode = query.mode || "grid";
+  if (!["grid", "points"].includes(mode)) throw httpError("mode must be \"grid\" or \"points\"");
+
+  const filter = buildHeatmapFilter(user, query);
+  const cell = mode === "grid" ? parseCell(query.cell) : null;
+
+  const { points, truncated } = mode === "grid"
+    ? await gridCells(filter, cell)
+    : await complaintPoints(filter);
+
+  return {
+    mode,
+    cell,
+    total: points.reduce((sum, p) => sum + p.count, 0),
+    truncated,
+    points
+  };
+}
+
+/**
+ * Heatmap data as a GeoJSON FeatureCollection of Points
+ * (every other field becomes a feature property)
+ *
+ * @param {Object} heatmap - getHeatmap result
+ * @returns {Object} FeatureCollection
+ */
+function toGeoJson(heatmap) {
+  return {
+    type: "FeatureCollection",
+    properties: { mode: heatmap.mode, cell: heatmap.cell, total: heatmap.total, truncated: heatmap.truncated },
+    features: heatmap.points.map(({ lat, lng, ...properties }) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [lng, lat] },
+      properties
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_CELL,
+  MAX_CELLS,
+  MAX_POINTS,
+  getHeatmap,
+  toGeoJson
+};
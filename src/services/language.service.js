@@ -0,0 +1,128 @@
+/**
+ * Language Detection Service
+ *
+ * Tells English, Hindi and Marathi complaint descriptions apart so
+ * classifyText can pick a model and the keyword fallback the right
+ * keyword sets:
+ * - Devanagari text is Hindi or Marathi, whichever has more of its
+ *   common function words (है / नहीं / में vs आहे / नाही / मध्ये)
+ * - Latin text is English unless enough words are transliterated Hindi
+ *   ("Hinglish": hai, nahi, bahut) or Marathi (aahe, khup, madhe)
+ *
+ * It is a word-list heuristic, good enough for routing a sentence or
+ * two; mixed-language text gets the language with the most markers.
+ */
+
+const LANGUAGES = ["en", "hi", "mr"];
+const SCRIPTS = ["latin", "devanagari"];
+
+// Share of marker words that makes Latin text transliterated Hindi/Marathi
+const TRANSLITERATED_SHARE = 0.15;
+
+// Common function words, written in Devanagari
+const DEVANAGARI_MARKERS = {
+  hi: ["है", "हैं", "था", "थी", "नहीं", "में", "और", "का", "की", "के", "को", "से", "पर", "बहुत", "रहा", "रही", "रहे", "गया", "गई", "हुआ", "हो", "यहाँ", "यहां", "कोई", "भी", "पानी"],
+  mr: ["आहे", "आहेत", "होता", "होती", "नाही", "मध्ये", "आणि", "चा", "ची", "चे", "ला", "तर", "खूप", "झाला", "झाली", "झाले", "येथे", "इथे", "कोणी", "पण", "पाणी", "आमच्या"]
+};
+
+// The same words as people type them in Latin script
+const TRANSLITERATED_MARKERS = {
+  hi: ["hai", "hain", "tha", "thi", "nahi", "nahin", "nhi", "mein", "aur", "ka", "ki", "ke", "ko", "se", "par", "bahut", "bohot", "raha", "rahi", "rahe", "gaya", "gayi", "hua", "kya", "koi", "bhi", "yahan", "paani", "kab", "kyun"],
+  mr: ["aahe", "ahe", "aahet", "ahet", "hota", "hoti", "nahi", "madhe", "madhye", "aani", "ani", "cha", "chi", "che", "la", "khup", "zala", "zali", "zale", "ithe", "yethe", "pan", "pani", "amchya"]
+};
+
+const DEVANAGARI_LETTER = /[\u0900-\u097F]/g;
+const LATIN_LETTER = /[A-Za-z]/g;
+
+/**
+ * Lower-case words of a text (letters and combining marks, so Devanagari
+ * vowel signs stay part of their word)
+ */
+function tokenize(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+}
+
+/**
+ * Count each language's marker words in a list of tokens
+ */
+function countMarkers(tokens, markers) {
+  const counts = {};
+  for (const [language, words] of Object.entries(markers)) {
+    const set = new Set(words);
+    counts[language] = tokens.filter(token => set.has(token)).length;
+  }
+  return counts;
+}
+
+/**
+ * Detect the language of a complaint description
+ *
+ * @param {string} text - Description
+ * @returns {Object} {
+ *   code: "en" | "hi" | "mr" | null (no letters),
+ *   script: "latin" | "devanagari" | null,
+ *   transliterated: true for Hindi/Marathi typed in Latin script,
+ *   confidence: 0-1
+ * }
+ */
+function detectLanguage(text) {
+  const devanagari = (String(text || "").match(DEVANAGARI_LETTER) || []).length;
+  const latin = (String(text || "").match(LATIN_LETTER) || []).length;
+
+  if (devanagari + latin === 0) {
+    return { code: null, script: null, transliterated: false, confidence: 0 };
+  }
+
+  const tokens = tokenize(text);
+
+  if (devanagari >= latin) {
+    const counts = countMarkers(tokens, DEVANAGARI_MARKERS);
+    const total = counts.hi + counts.mr;
+    const code = counts.mr > counts.hi ? "mr" : "hi";  // Hindi on a tie, it's more common
+
+    return {
+      code,
+      script: "devanagari",
+      transliterated: false,
+      // The script alone says Hindi or Marathi; the markers say which
+      confidence: total ? Number((0.5 + 0.5 * counts[code] / total).toFixed(2)) : 0.5
+    };
+  }
+
+  const counts = countMarkers(tokens, TRANSLITERATED_MARKERS);
+  const code = counts.mr > counts.hi ? "mr" : "hi";
+  const share = tokens.length ? counts[code] / tokens.length : 0;
+
+  if (share >= TRANSLITERATED_SHARE && counts[code] >= 2) {
+    return {
+      code,
+      script: "latin",
+      transliterated: true,
+      confidence: Number(Math.min(0.5 + share, 1).toFixed(2))
+    };
+  }
+
+  return {
+    code: "en",
+    script: "latin",
+    transliterated: false,
+    confidence: Number((1 - share).toFixed(2))
+  };
+}
+
+/**
+ * Whether a word is one of the Hindi/Marathi function words used as
+ * markers (in either script)
+ */
+function isMarkerWord(word) {
+  return Object.values(DEVANAGARI_MARKERS).some(words => words.includes(word)) ||
+    Object.values(TRANSLITERATED_MARKERS).some(words => words.includes(word));
+}
+
+module.exports = {
+  LANGUAGES,
+  SCRIPTS,
+  tokenize,
+  isMarkerWord,
+  detectLanguage
+};
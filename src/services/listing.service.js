@@ -0,0 +1,249 @@
+/**
+ * Complaint Listing Service
+ *
+ * Turns GET /api/complaints query parameters into a MongoDB query:
+ * filters, sorting, field projection and pagination.
+ *
+ * Two pagination modes:
+ * - page:   ?page=2&limit=20       → total, page, pages (uses countDocuments)
+ * - cursor: ?cursor=&limit=20      → nextCursor for the following request;
+ *           stable while new complaints arrive, no count needed
+ */
+
+const { isValidObjectId } = require("mongoose");
+const Complaint = require("../models/complaint");
+const { httpError } = require("../utils/http-error");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields the list can be sorted by; cursor mode needs ones that are always set
+const SORT_FIELDS = ["createdAt", "updatedAt", "priorityScore", "deadline"];
+const CURSOR_SORT_FIELDS = ["createdAt", "updatedAt", "priorityScore"];
+const DATE_SORT_FIELDS = ["createdAt", "updatedAt", "deadline"];
+
+// Never sent in listings (large or internal)
+const HIDDEN_FIELDS = ["embedding", "imageFingerprint"];
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+
+/**
+ * Split "a,b" or ["a","b"] query values into a list
+ */
+function toList(value) {
+  if (value === undefined || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date query value
+ */
+function toDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(`${name} must be a date`);
+  return date;
+}
+
+/**
+ * Build the filter from query parameters, scoped to what the user may see
+ * (citizens only list complaints they reported; staff other than admins
+ * only their department's, whatever ?department= asks for)
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {boolean} options.everyone - Match every reporter's complaints, for
+ *   callers that only return public fields (e.g. the nearby map); merged
+ *   duplicates are left out
+ * @returns {Object} MongoDB filter
+ */
+function buildFilter(user, query, { everyone = false } = {}) {
+  const filter = {};
+
+  const statuses = toList(query.status);
+  if (statuses.length) {
+    const unknown = statuses.filter(s => !Complaint.STATUSES.includes(s));
+    if (unknown.length) throw httpError(`Unknown status: ${unknown.join(", ")}`);
+    filter.status = { $in: statuses };
+  }
+
+  const categories = toList(query.category);
+  if (categories.length) filter.category = { $in: categories };
+
+  const severities = toList(query.severity);
+  if (severities.length) {
+    const unknown = severities.filter(s => !SEVERITIES.includes(s));
+    if (unknown.length) throw httpError(`Unknown severity: ${unknown.join(", ")}`);
+    filter.aiSeverityLevel = { $in: severities };
+  }
+
+  if (query.department) {
+    if (query.department === "none") filter.department = null;
+    else if (isValidObjectId(query.department)) filter.department = query.department;
+    else throw httpError("department must be a department id or \"none\"");
+  }
+
+  if (query.ward) {
+    if (query.ward === "none") filter.ward = null;
+    else if (isValidObjectId(query.ward)) filter.ward = query.ward;
+    else throw httpError("ward must be a ward id or \"none\"");
+  }
+
+  if (query.assignedTo) {
+    const assignee = query.assignedTo === "me" ? String(user._id) : query.assignedTo;
+    if (!isValidObjectId(assignee)) throw httpError("assignedTo must be a user id or \"me\"");
+    filter.assignedTo = assignee;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = toDate(query.from, "from");
+    if (query.to) filter.createdAt.$lte = toDate(query.to, "to");
+  }
+
+  // Public-field callers see every reporter's complaints (masters only)
+  if (everyone) {
+    filter.mergedInto = null;
+    return filter;
+  }
+
+  // Citizens only see their own complaints; staff may filter by reporter
+  if (user.role === "citizen") {
+    filter.createdBy = user._id;
+  } else if (query.reporter) {
+    if (!isValidObjectId(query.reporter)) throw httpError("reporter must be a user id");
+    filter.createdBy = query.reporter;
+  }
+
+  if (user.role !== "citizen" && user.role !== "admin" && user.department) {
+    filter.department = user.department;
+  }
+
+  // Staff work merged duplicates through their master unless asked for;
+  // citizens keep seeing the complaints they filed
+  if (user.role !== "citizen" && query.includeMerged !== "true") filter.mergedInto = null;
+
+  return filter;
+}
+
+/**
+ * Parse ?sort=-priorityScore into { field, direction }
+ */
+function parseSort(value) {
+  const raw = String(value || "-createdAt");
+  const field = raw.replace(/^[-+]/, "");
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw httpError(`sort must be one of ${SORT_FIELDS.join(", ")} (prefix with - for descending)`);
+  }
+
+  return { field, direction: raw.startsWith("-") ? -1 : 1 };
+}
+
+/**
+ * Parse ?fields=status,category into a projection
+ * Unknown names are ignored; hidden fields are always excluded.
+ */
+function parseProjection(value) {
+  const fields = toList(value)
+    .filter(f => /^[A-Za-z][\w.]*$/.test(f))
+    .filter(f => !HIDDEN_FIELDS.includes(f.split(".")[0]));
+
+  if (fields.length === 0) {
+    return HIDDEN_FIELDS.map(f => `-${f}`).join(" ");
+  }
+
+  return fields.join(" ");
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON of the last item's
+ * sort value and _id
+ */
+function encodeCursor(item, field) {
+  return Buffer.from(JSON.stringify({ v: item[field], id: String(item._id) })).toString("base64url");
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!isValidObjectId(id)) throw new Error();
+
+    return { value: DATE_SORT_FIELDS.includes(field) ? new Date(v) : v, id };
+  } catch {
+    throw httpError("Invalid cursor");
+  }
+}
+
+/**
+ * List complaints for a user
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - req.query (see GET /api/complaints)
+ * @returns {Promise<Object>} { items, limit, sort, ...page or cursor info }
+ */
+async function listComplaints(user, query = {}) {
+  const filter = buildFilter(user, query);
+  const sort = parseSort(query.sort);
+  const projection = parseProjection(query.fields);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sortSpec = { [sort.field]: sort.direction, _id: sort.direction };
+  const sortLabel = `${sort.direction < 0 ? "-" : ""}${sort.field}`;
+
+  // Cursor mode: ?cursor= (empty for the first page)
+  if (query.cursor !== undefined) {
+    if (!CURSOR_SORT_FIELDS.includes(sort.field)) {
+      throw httpError(`Cursor pagination can sort by ${CURSOR_SORT_FIELDS.join(", ")}`);
+    }
+
+    if (query.cursor) {
+      const { value, id } = decodeCursor(query.cursor, sort.field);
+      const op = sort.direction < 0 ? "$lt" : "$gt";
+      filter.$and = [{
+        $or: [
+          { [sort.field]: { [op]: value } },
+          { [sort.field]: value, _id: { [op]: id } }
+        ]
+      }];
+    }
+
+    // The sort field and _id are needed to build the next cursor
+    const selection = projection.startsWith("-") ? projection : `${projection} ${sort.field}`;
+    const items = await Complaint.find(filter).sort(sortSpec).limit(limit + 1).select(selection).lean();
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    return {
+      items,
+      limit,
+      sort: sortLabel,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort.field) : null
+    };
+  }
+
+  // Page mode
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const [items, total] = await Promise.all([
+    Complaint.find(filter).sort(sortSpec).skip((page - 1) * limit).limit(limit).select(projection).lean(),
+    Complaint.countDocuments(filter)
+  ]);
+
+  return {
+    items,
+    limit,
+    sort: sortLabel,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  buildFilter,
+  listComplaints
+};
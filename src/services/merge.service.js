@@ -0,0 +1,166 @@
+/**
+ * Merge Service
+ *
+ * Officers merge duplicate complaints into a master ticket:
+ * - children keep their reporter, photos and AI fields
+ * - children follow every status change of the master
+ * - children are left out of work lists (mergedInto != null)
+ * - a merge can be undone, after which the child is worked on its own again
+ */
+
+const Complaint = require("../models/complaint");
+const { OPEN_STATUSES, recordTimeline } = require("./status.service");
+const { computeDeadline } = require("./sla.service");
+const { notifyStatusChange } = require("./notification.service");
+const { indexComplaint } = require("./vector-index.service");
+const { httpError } = require("../utils/http-error");
+
+/**
+ * List complaints the duplicate check flagged that nobody has merged yet
+ *
+ * @param {Object} scope - Extra query conditions (e.g. { department })
+ * @returns {Promise<Object[]>} Suspected pairs: { complaint, match, similarity, matchedField, explanation }
+ */
+async function findSuspectedDuplicates(scope = {}) {
+  const suspects = await Complaint.find({
+    ...scope,
+    "aiDuplicateCheck.isDuplicate": true,
+    "aiDuplicateCheck.matchingComplaintId": { $ne: null },
+    mergedInto: null
+  })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .select("-embedding -imageFingerprint")
+    .populate("aiDuplicateCheck.matchingComplaintId", "category description location status image createdAt mergedInto");
+
+  return suspects
+    .filter(c => c.aiDuplicateCheck.matchingComplaintId)
+    .map(c => ({
+      complaint: c,
+      match: c.aiDuplicateCheck.matchingComplaintId,
+      similarity: c.aiDuplicateCheck.similarity,
+      matchedField: c.aiDuplicateCheck.matchedField,
+      explanation: c.aiDuplicateCheck.explanation
+    }));
+}
+
+/**
+ * Merge complaints into a master (saves)
+ * Each child takes the master's status and gets a timeline entry.
+ *
+ * @param {Object} master - Master complaint document
+ * @param {Object[]} children - Complaint documents to merge into it
+ * @param {Object} actor - Officer making the merge
+ * @returns {Promise<Object[]>} The merged children
+ */
+async function mergeComplaints(master, children, actor) {
+  if (master.mergedInto) {
+    throw httpError("The master complaint is itself merged into another complaint", 409);
+  }
+
+  if (children.some(c => String(c._id) === String(master._id))) {
+    throw httpError("A complaint cannot be merged into itself");
+  }
+
+  for (const child of children) {
+    if (child.mergedInto) {
+      throw httpError(`Complaint ${child._id} is already merged`, 409);
+    }
+    if (await Complaint.exists({ mergedInto: child._id })) {
+      throw httpError(`Complaint ${child._id} is a master itself; unmerge its complaints first`, 409);
+    }
+  }
+
+  for (const child of children) {
+    recordTimeline(child, {
+      from: child.status,
+      to: master.status,
+      actor,
+      remark: `Merged into complaint ${master._id}`
+    });
+    child.status = master.status;
+    child.mergedInto = master._id;
+    child.mergedAt = new Date();
+    child.mergedBy = actor._id;
+    await child.save();
+    indexComplaint(child);
+  }
+
+  return children;
+}
+
+/**
+ * Undo a merge (saves)
+ * The child keeps its current status; open ones start a fresh SLA clock.
+ *
+ * @param {Object} child - Merged complaint document
+ * @param {Object} actor - Officer undoing the merge
+ * @returns {Promise<Object>} The child
+ */
+async function unmergeComplaint(child, actor) {
+  if (!child.mergedInto) {
+    throw httpError("Complaint is not merged", 409);
+  }
+
+  recordTimeline(child, {
+    from: child.status,
+    to: child.status,
+    actor,
+    remark: `Unmerged from complaint ${child.mergedInto}`
+  });
+  child.mergedInto = null;
+  child.mergedAt = null;
+  child.mergedBy = null;
+
+  if (OPEN_STATUSES.includes(child.status)) {
+    const sla = await computeDeadline(child.category, child.aiSeverityLevel);
+    child.deadline = sla.deadline;
+    child.slaHours = sla.slaHours;
+    child.escalationLevel = 0;
+  }
+
+  await child.save();
+  indexComplaint(child);
+  return child;
+}
+
+/**
+ * Apply a master's status change to its merged children (saves)
+ * Their reporters and supporters are notified too.
+ *
+ * @param {Object} master - Master complaint after the change
+ * @param {Object} transition - { from, to, remark }
+ * @param {Object} actor - User who changed the master
+ * @returns {Promise<number>} Children updated
+ */
+async function cascadeStatus(master, transition, actor) {
+  const children = await Complaint.find({ mergedInto: master._id });
+
+  for (const child of children) {
+    const from = child.status;
+    const remark = `Status of master complaint ${master._id} changed` +
+      (transition.remark ? `: ${transition.remark}` : "");
+
+    child.status = transition.to;
+    recordTimeline(child, { from, to: transition.to, actor, remark });
+
+    // Share the master's "after" photos and confirmation
+    if (transition.to === "Completed" || transition.to === "Closed") {
+      child.resolution = master.resolution.toObject();
+    }
+
+    await child.save();
+    indexComplaint(child);
+
+    await notifyStatusChange(child, { from, to: transition.to, remark: transition.remark }, actor);
+  }
+
+  return children.length;
+}
+
+module.exports = {
+  findSuspectedDuplicates,
+  mergeComplaints,
+  unmergeComplaint,
+  cascadeStatus
+};
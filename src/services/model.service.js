@@ -0,0 +1,297 @@
+/**
+ * Model Registry
+ *
+ * Loads each AI model once and shares it between requests:
+ *
+ * | Name         | Library       | Model                                               | Used by                       | Flag             |
+ * |--------------|---------------|-----------------------------------------------------|-------------------------------|------------------|
+ * | mobilenet    | TensorFlow.js | MobileNet v1                                        | classifyImage, fingerprints   | USE_TENSORFLOW   |
+ * | zeroShot     | Transformers  | Xenova/bart-large-mnli                              | classifyText (English)        | USE_TRANSFORMERS |
+ * | multilingual | Transformers  | Xenova/mDeBERTa-v3-base-xnli-multilingual-nli-2mil7 | classifyText (Hindi, Marathi) | USE_TRANSFORMERS |
+ * | embedding    | Transformers  | Xenova/all-MiniLM-L6-v2                             | duplicates, semantic search   | USE_TRANSFORMERS |
+ * | whisper      | Transformers  | Xenova/whisper-base                                 | transcribeAudio               | USE_WHISPER      |
+ *
+ * A model is loaded on first use (or at startup with MODEL_WARMUP=true);
+ * concurrent callers wait for the same load. A model that is switched off,
+ * not installed or failed to load is in "fallback" mode: getModel returns
+ * null and the AI service uses its rule-based fallback. Failed loads are
+ * retried after LOAD_RETRY_MS.
+ *
+ * Each inference runs under a timeout (MODEL_TIMEOUT_MS, WHISPER_TIMEOUT_MS
+ * for speech). JavaScript can't abort a running model, so on timeout the
+ * caller stops waiting and falls back; the result is discarded.
+ */
+
+const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS, 10) || 20000;
+const WHISPER_TIMEOUT_MS = parseInt(process.env.WHISPER_TIMEOUT_MS, 10) || 120000;
+
+// Wait before trying to load a model again after a failure
+const LOAD_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Require a package, or null if it isn't installed
+ */
+function optionalRequire(moduleName) {
+  try {
+    return require(moduleName);
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") {
+      console.warn(`Warning: Failed to load ${moduleName}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load a Transformers.js pipeline
+ */
+async function loadPipeline(task, modelId) {
+  const transformers = optionalRequire("@xenova/transformers");
+  if (!transformers) return null;
+
+  return transformers.pipeline(task, modelId);
+}
+
+const MODELS = {
+  mobilenet: {
+    library: "@tensorflow/tfjs",
+    modelId: "mobilenet_v1_1.0_224",
+    enabled: process.env.USE_TENSORFLOW !== "false",
+    timeoutMs: MODEL_TIMEOUT_MS,
+    async load() {
+      const tf = optionalRequire("@tensorflow/tfjs");
+      const mobilenet = optionalRequire("@tensorflow-models/mobilenet");
+      if (!tf || !mobilenet) return null;
+
+      return mobilenet.load();
+    },
+    async warmUp(model) {
+      const tf = require("@tensorflow/tfjs");
+      const blank = tf.zeros([224, 224, 3], "int32");
+      try {
+        await model.classify(blank);
+      } finally {
+        blank.dispose();
+      }
+    }
+  },
+
+  zeroShot: {
+    library: "@xenova/transformers",
+    modelId: process.env.ZERO_SHOT_MODEL || "Xenova/bart-large-mnli",
+    enabled: process.env.USE_TRANSFORMERS !== "false",
+    timeoutMs: MODEL_TIMEOUT_MS,
+    load() {
+      return loadPipeline("zero-shot-classification", this.modelId);
+    },
+    async warmUp(classifier) {
+      await classifier("Garbage is piling up on the street", ["Garbage", "Drainage"]);
+    }
+  },
+
+  multilingual: {
+    library: "@xenova/transformers",
+    modelId: process.env.MULTILINGUAL_ZERO_SHOT_MODEL || "Xenova/mDeBERTa-v3-base-xnli-multilingual-nli-2mil7",
+    enabled: process.env.USE_TRANSFORMERS !== "false",
+    timeoutMs: MODEL_TIMEOUT_MS,
+    load() {
+      return loadPipeline("zero-shot-classification", this.modelId);
+    },
+    async warmUp(classifier) {
+      await classifier("सड़क पर बहुत कचरा पड़ा है", ["Garbage", "Drainage"]);
+    }
+  },
+
+  embedding: {
+    library: "@xenova/transformers",
+    modelId: process.env.EMBEDDING_MODEL || "Xenova/all-MiniLM-L6-v2",
+    enabled: process.env.USE_TRANSFORMERS !== "false",
+    timeoutMs: MODEL_TIMEOUT_MS,
+    load() {
+      return loadPipeline("feature-extraction", this.modelId);
+    },
+    async warmUp(extractor) {
+      await extractor("Streetlight not working", { pooling: "mean", normalize: true });
+    }
+  },
+
+  whisper: {
+    library: "@xenova/transformers",
+    modelId: process.env.WHISPER_MODEL || "Xenova/whisper-base",
+    enabled: process.env.USE_WHISPER !== "false",
+    timeoutMs: WHISPER_TIMEOUT_MS,
+    load() {
+      return loadPipeline("automatic-speech-recognition", this.modelId);
+    },
+    async warmUp(transcriber) {
+      await transcriber(new Float32Array(16000));  // one second of silence at 16 kHz
+    }
+  }
+};
+
+// Load state per model
+const state = Object.fromEntries(Object.keys(MODELS).map(name => [name, {
+  status: "not_loaded",   // not_loaded | loading | loaded | fallback
+  promise: null,
+  error: null,
+  failedAt: null,
+  loadedAt: null,
+  loadMs: null,
+  inferences: 0,
+  timeouts: 0,
+  lastInferenceMs: null
+}]));
+
+/**
+ * Look up a model definition
+ */
+function definition(name) {
+  const model = MODELS[name];
+  if (!model) throw new Error(`Unknown model "${name}"`);
+  return model;
+}
+
+/**
+ * Loaded model by name (loads it on first call)
+ *
+ * @param {string} name - Registry name (see MODELS)
+ * @returns {Promise<Object|null>} Model, or null in fallback mode
+ */
+async function getModel(name) {
+  const model = definition(name);
+  const entry = state[name];
+
+  if (!model.enabled) {
+    entry.status = "fallback";
+    entry.error = "Disabled by configuration";
+    return null;
+  }
+
+  if (entry.promise) return entry.promise;
+
+  if (entry.failedAt && Date.now() - entry.failedAt < LOAD_RETRY_MS) return null;
+
+  const started = Date.now();
+  entry.status = "loading";
+  entry.promise = Promise.resolve()
+    .then(() => model.load())
+    .then(instance => {
+      if (!instance) {
+        entry.status = "fallback";
+        entry.error = `${model.library} not installed or failed to load`;
+        return null;
+      }
+
+      entry.status = "loaded";
+      entry.error = null;
+      entry.failedAt = null;
+      entry.loadedAt = new Date();
+      entry.loadMs = Date.now() - started;
+      console.log(`Model "${name}" (${model.modelId}) loaded in ${entry.loadMs} ms`);
+      return instance;
+    })
+    .catch(error => {
+      console.error(`Model "${name}" failed to load:`, error.message);
+      entry.status = "fallback";
+      entry.error = error.message;
+      entry.failedAt = Date.now();
+      entry.promise = null;  // try again after LOAD_RETRY_MS
+      return null;
+    });
+
+  return entry.promise;
+}
+
+/**
+ * Run an inference on a model, under the model's timeout
+ *
+ * @param {string} name - Registry name
+ * @param {Function} infer - async (model) => result
+ * @returns {Promise<*>} infer's result, or null in fallback mode
+ * @throws {Error} On timeout (error.code "MODEL_TIMEOUT") or inference error
+ */
+async function runInference(name, infer) {
+  const model = await getModel(name);
+  if (!model) return null;
+
+  const entry = state[name];
+  const { timeoutMs } = definition(name);
+  const started = Date.now();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Model "${name}" took longer than ${timeoutMs} ms`);
+      error.code = "MODEL_TIMEOUT";
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([infer(model), timeout]);
+    entry.inferences++;
+    entry.lastInferenceMs = Date.now() - started;
+    return result;
+  } catch (error) {
+    if (error.code === "MODEL_TIMEOUT") entry.timeouts++;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Load every enabled model and run one small inference on it,
+ * so the first real request doesn't pay for loading
+ *
+ * @returns {Promise<void>}
+ */
+async function warmUpModels() {
+  for (const name of Object.keys(MODELS)) {
+    if (!MODELS[name].enabled) continue;
+
+    try {
+      await runInference(name, model => MODELS[name].warmUp(model));
+    } catch (error) {
+      console.error(`Model "${name}" warm-up failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Status of every model, for the health endpoint
+ *
+ * @param {Object} options
+ * @param {boolean} options.details - Include load errors
+ * @returns {Object[]} [{ name, library, modelId, enabled, status, ... }]
+ */
+function getModelStatus({ details = false } = {}) {
+  return Object.entries(MODELS).map(([name, model]) => {
+    const entry = state[name];
+    const status = model.enabled ? entry.status : "fallback";
+
+    return {
+      name,
+      library: model.library,
+      modelId: model.modelId,
+      enabled: model.enabled,
+      status,
+      loadedAt: entry.loadedAt,
+      loadMs: entry.loadMs,
+      timeoutMs: model.timeoutMs,
+      inferences: entry.inferences,
+      timeouts: entry.timeouts,
+      lastInferenceMs: entry.lastInferenceMs,
+      ...(details && { error: model.enabled ? entry.error : "Disabled by configuration" })
+    };
+  });
+}
+
+module.exports = {
+  MODEL_TIMEOUT_MS,
+  optionalRequire,
+  getModel,
+  runInference,
+  warmUpModels,
+  getModelStatus
+};
@@ -0,0 +1,59 @@
+/**
+ * Notification Service
+ *
+ * Tells the reporter and every "me too" supporter of a complaint
+ * when its status changes.
+ */
+
+const Notification = require("../models/notification.model");
+
+/**
+ * Users following a complaint: its reporter and supporters
+ *
+ * @param {Object} complaint - Complaint document
+ * @returns {string[]} Unique user ids
+ */
+function getFollowers(complaint) {
+  const ids = [complaint.createdBy, ...(complaint.supporters || []).map(s => s.user)]
+    .filter(Boolean)
+    .map(String);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Notify followers of a status change
+ *
+ * @param {Object} complaint - Complaint after the change
+ * @param {Object} transition - { from, to, remark }
+ * @param {Object} actor - User who made the change (not notified)
+ * @returns {Promise<number>} Notifications created
+ */
+async function notifyStatusChange(complaint, transition, actor = null) {
+  try {
+    const recipients = getFollowers(complaint).filter(id => id !== String(actor?._id));
+    if (recipients.length === 0) return 0;
+
+    const label = `${complaint.category} complaint at ${complaint.location}`;
+    const message = `Your ${label} is now "${transition.to}"` +
+      (transition.remark ? `: ${transition.remark}` : "");
+
+    await Notification.insertMany(recipients.map(user => ({
+      user,
+      complaint: complaint._id,
+      type: "status_change",
+      message
+    })));
+
+    return recipients.length;
+  } catch (error) {
+    // Notifications must never block a status change
+    console.error("Notification Error:", error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  getFollowers,
+  notifyStatusChange
+};
@@ -0,0 +1,126 @@
+/**
+ * Priority Re-scoring Service
+ *
+ * Priority scores are first computed at submission, when a complaint
+ * has been pending for 0 hours. This service recomputes them for open
+ * complaints from their real age and the current number of complaints
+ * at the same location, and keeps a history of every change so
+ * officers can see why a complaint moved up the queue.
+ */
+
+const Complaint = require("../models/complaint");
+const { calculatePriority } = require("./ai.service");
+const { OPEN_STATUSES } = require("./status.service");
+const { getAreaWeight } = require("./ward.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Entries kept in complaint.priorityHistory
+const MAX_PRIORITY_HISTORY = 50;
+
+const BREAKDOWN_KEYS = ["complaintCountScore", "timePendingScore", "areaWeightScore", "categoryMultiplier"];
+
+/**
+ * Describe what moved between two breakdowns
+ */
+function describeChange(previous, next, result) {
+  const parts = [];
+
+  if (previous.timePendingScore !== next.timePendingScore) {
+    parts.push(`time pending ${previous.timePendingScore ?? "-"}→${next.timePendingScore}`);
+  }
+  if (previous.complaintCountScore !== next.complaintCountScore) {
+    parts.push(`complaint count ${previous.complaintCountScore ?? "-"}→${next.complaintCountScore} (${result.sameLocationCount} at same location, ${result.supporterCount} supporters)`);
+  }
+  if (previous.areaWeightScore !== next.areaWeightScore) {
+    parts.push(`area weight ${previous.areaWeightScore ?? "-"}→${next.areaWeightScore}`);
+  }
+  if (previous.categoryMultiplier !== next.categoryMultiplier) {
+    parts.push(`category multiplier ${previous.categoryMultiplier ?? "-"}→${next.categoryMultiplier}`);
+  }
+
+  return parts.length > 0 ? `Re-scored: ${parts.join(", ")}` : "Re-scored";
+}
+
+/**
+ * Append a priority history entry (does not save)
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {Object} result - calculatePriority result
+ * @param {string} reason - Why the score changed
+ */
+function recordPriority(complaint, result, reason) {
+  complaint.priorityHistory.push({
+    score: result.score,
+    previousScore: complaint.priorityHistory.length > 0 ? complaint.priorityScore : null,
+    severityLevel: result.severityLevel,
+    breakdown: result.breakdown,
+    reason,
+    at: new Date()
+  });
+
+  if (complaint.priorityHistory.length > MAX_PRIORITY_HISTORY) {
+    complaint.priorityHistory.splice(0, complaint.priorityHistory.length - MAX_PRIORITY_HISTORY);
+  }
+}
+
+/**
+ * Recompute one complaint's priority (does not save)
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {string} reason - History note (default: describe what changed)
+ * @returns {Promise<boolean>} Whether the score, severity or breakdown changed
+ */
+async function rescoreComplaint(complaint, reason = null) {
+  const hoursPending = (Date.now() - new Date(complaint.createdAt).getTime()) / HOUR_MS;
+  const areaWeight = await getAreaWeight(complaint.ward);
+  const result = await calculatePriority(complaint, { hoursPending, areaWeight });
+
+  const previous = complaint.priorityBreakdown || {};
+  const changed = result.score !== complaint.priorityScore ||
+    result.severityLevel !== complaint.aiSeverityLevel ||
+    BREAKDOWN_KEYS.some(key => result.breakdown[key] !== previous[key]);
+
+  if (!changed) return false;
+
+  recordPriority(complaint, result, reason || describeChange(previous, result.breakdown, result));
+
+  complaint.priorityScore = result.score;
+  complaint.priorityBreakdown = result.breakdown;
+  complaint.aiSeverityLevel = result.severityLevel;
+  complaint.aiReasoning = result.reasoning;
+  complaint.priorityUpdatedAt = new Date();
+
+  return true;
+}
+
+/**
+ * Re-score every open complaint
+ *
+ * @returns {Promise<Object>} { checked, updated }
+ */
+async function rescoreOpenComplaints() {
+  // Merged duplicates are worked (and scored) through their master
+  const cursor = Complaint.find({ status: { $in: OPEN_STATUSES }, mergedInto: null })
+    .select("-embedding -imageFingerprint")
+    .cursor();
+
+  let checked = 0;
+  let updated = 0;
+
+  for await (const complaint of cursor) {
+    checked++;
+    if (await rescoreComplaint(complaint)) {
+      await complaint.save();
+      updated++;
+    }
+  }
+
+  return { checked, updated };
+}
+
+module.exports = {
+  recordPriority,
+  rescoreComplaint,
+  rescoreOpenComplaints
+};
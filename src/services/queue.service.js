@@ -0,0 +1,217 @@
+/**
+ * Job Queue Service
+ *
+ * A small persistent queue on the jobs collection (models/job.model.js).
+ * Producers call enqueue(); the analysis-queue job (jobs/analysis-queue.job.js)
+ * polls and runs the handler registered for each job type.
+ *
+ * - Claiming is atomic (findOneAndUpdate), so several server processes
+ *   can share the queue without running a job twice
+ * - A failed attempt is retried after an exponential back-off
+ *   (RETRY_BASE_MS × 2^(attempt-1), at most RETRY_MAX_MS)
+ * - After maxAttempts the job is "dead" (the dead-letter list) and the
+ *   handler's onDead hook runs; admins can re-queue dead jobs
+ * - A job locked for longer than LOCK_TIMEOUT_MS (worker crashed or
+ *   restarted mid-run) is claimed again
+ */
+
+const os = require("os");
+const Job = require("../models/job.model");
+const { httpError } = require("../utils/http-error");
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Identifies this process in job.lockedBy
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// type → { run(job), onDead(job, error), onRetry(job) }
+const handlers = new Map();
+
+/**
+ * Register the code that runs jobs of a type
+ *
+ * @param {string} type - Job type
+ * @param {Object} handler
+ * @param {Function} handler.run - async (job) => result (stored on the job)
+ * @param {Function} handler.onDead - Optional async (job, error) after the last failed attempt
+ * @param {Function} handler.onRetry - Optional async (job) when a dead job is re-queued
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue
+ *
+ * @param {string} type - Job type (needs a registered handler to run)
+ * @param {Object} payload - Job data
+ * @param {Object} options - { maxAttempts, delayMs }
+ * @returns {Promise<Object>} Job document
+ */
+async function enqueue(type, payload = {}, { maxAttempts = MAX_ATTEMPTS, delayMs = 0 } = {}) {
+  return Job.create({
+    type,
+    payload,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs)
+  });
+}
+
+/**
+ * Claim the next due job of a registered type (oldest first)
+ *
+ * @returns {Promise<Object|null>} The claimed job, or null if none is due
+ */
+async function claimNext() {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: WORKER_ID, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" }
+  );
+}
+
+/**
+ * Delay before the next attempt
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Run one claimed job and record the outcome (saves)
+ *
+ * @param {Object} job - Claimed job document
+ * @returns {Promise<string>} New status: "completed", "queued" (retry) or "dead"
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    const result = await handler.run(job);
+
+    job.status = "completed";
+    job.result = result ?? null;
+    job.completedAt = new Date();
+  } catch (error) {
+    job.errorLog.push({ attempt: job.attempts, message: error.message || String(error) });
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = "dead";
+      job.failedAt = new Date();
+      console.error(`Job ${job._id} (${job.type}) failed for good after ${job.attempts} attempts:`, error.message);
+
+      if (handler.onDead) {
+        try {
+          await handler.onDead(job, error);
+        } catch (hookError) {
+          console.error(`Job ${job._id} dead-letter hook failed:`, hookError.message);
+        }
+      }
+    } else {
+      job.status = "queued";
+      job.runAt = new Date(Date.now() + retryDelay(job.attempts));
+      console.warn(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed, retrying:`, error.message);
+    }
+  }
+
+  job.lockedAt = null;
+  job.lockedBy = null;
+  await job.save();
+
+  return job.status;
+}
+
+/**
+ * Run due jobs one after another
+ *
+ * @param {number} limit - Most jobs to run in this call
+ * @returns {Promise<Object>} Counts: { completed, retried, dead }
+ */
+async function processQueue(limit = 10) {
+  const counts = { completed: 0, retried: 0, dead: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimNext();
+    if (!job) break;
+
+    const status = await runJob(job);
+    if (status === "completed") counts.completed++;
+    else if (status === "dead") counts.dead++;
+    else counts.retried++;
+  }
+
+  return counts;
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ *
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} The re-queued job
+ */
+async function retryJob(jobId) {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: "dead" },
+    { $set: { status: "queued", attempts: 0, runAt: new Date(), failedAt: null, updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+
+  if (!job) {
+    const exists = await Job.exists({ _id: jobId });
+    throw httpError(exists ? "Only dead jobs can be retried" : "Job not found", exists ? 409 : 404);
+  }
+
+  const handler = handlers.get(job.type);
+  if (handler && handler.onRetry) await handler.onRetry(job);
+
+  return job;
+}
+
+/**
+ * Jobs, newest first, plus counts per status
+ *
+ * @param {Object} query - { status, type, limit }
+ * @returns {Promise<Object>} { counts, items }
+ */
+async function listJobs({ status, type, limit } = {}) {
+  if (status && !Job.JOB_STATUSES.includes(status)) {
+    throw httpError(`status must be one of ${Job.JOB_STATUSES.join(", ")}`);
+  }
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = String(type);
+
+  const [items, groups] = await Promise.all([
+    Job.find(filter).sort({ createdAt: -1 }).limit(Math.min(parseInt(limit, 10) || 50, 200)).lean(),
+    Job.aggregate([{ $match: type ? { type: String(type) } : {} }, { $group: { _id: "$status", count: { $sum: 1 } } }])
+  ]);
+
+  const counts = Object.fromEntries(Job.JOB_STATUSES.map(s => [s, 0]));
+  groups.forEach(g => { counts[g._id] = g.count; });
+
+  return { counts, items };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerHandler,
+  enqueue,
+  processQueue,
+  retryJob,
+  listJobs
+};
@@ -0,0 +1,92 @@
+/**
+ * Resolution Service
+ *
+ * Proof of resolution and the citizen's confirmation window:
+ * 1. An officer marks a complaint Completed with one or more "after" photos
+ * 2. The reporter confirms the fix (→ Closed) or reopens it with a reason
+ * 3. Without a response within RESOLUTION_CONFIRM_DAYS the complaint
+ *    auto-closes (see jobs/auto-close.job.js)
+ */
+
+const path = require("path");
+const Complaint = require("../models/complaint");
+const { applyTransition } = require("./status.service");
+const { notifyStatusChange } = require("./notification.service");
+const { indexComplaint } = require("./vector-index.service");
+const { cascadeStatus } = require("./merge.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days the citizen gets to confirm or reopen a completed complaint
+const RESOLUTION_CONFIRM_DAYS = parseFloat(process.env.RESOLUTION_CONFIRM_DAYS) || 7;
+
+// Most "after" photos accepted per completion
+const MAX_RESOLUTION_PHOTOS = 5;
+
+/**
+ * Store the resolution proof on a complaint just marked Completed
+ * (does not save)
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {Object[]} files - Multer files of the "after" photos
+ * @param {Object} actor - Officer who resolved it
+ * @param {string} note - Remark sent with the status change
+ */
+function recordResolution(complaint, files, actor, note = "") {
+  const resolvedAt = new Date();
+
+  complaint.resolution = {
+    photos: files.map(file => path.basename(file.filename || file)),
+    note,
+    resolvedBy: actor?._id || null,
+    resolvedAt,
+    confirmBy: new Date(resolvedAt.getTime() + RESOLUTION_CONFIRM_DAYS * DAY_MS)
+  };
+}
+
+/**
+ * Record the reporter's confirmation on a complaint just Closed
+ * (does not save)
+ */
+function recordConfirmation(complaint, actor) {
+  complaint.resolution.confirmedBy = actor?._id || null;
+  complaint.resolution.confirmedAt = new Date();
+}
+
+/**
+ * Close completed complaints whose confirmation window has passed
+ *
+ * @returns {Promise<number>} Number of complaints closed
+ */
+async function autoCloseUnconfirmed() {
+  const due = await Complaint.find({
+    status: "Completed",
+    "resolution.confirmBy": { $lt: new Date() },
+    mergedInto: null  // merged duplicates close with their master
+  }).limit(500);
+
+  for (const complaint of due) {
+    const transition = applyTransition(
+      complaint,
+      "Closed",
+      null,
+      `Closed automatically: no response within ${RESOLUTION_CONFIRM_DAYS} days of resolution`
+    );
+    complaint.resolution.autoClosed = true;
+    await complaint.save();
+    indexComplaint(complaint);
+
+    await notifyStatusChange(complaint, transition);
+    await cascadeStatus(complaint, transition, null);
+  }
+
+  return due.length;
+}
+
+module.exports = {
+  RESOLUTION_CONFIRM_DAYS,
+  MAX_RESOLUTION_PHOTOS,
+  recordResolution,
+  recordConfirmation,
+  autoCloseUnconfirmed
+};
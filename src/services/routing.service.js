@@ -0,0 +1,75 @@
+/**
+ * Department Routing Service
+ *
+ * Sends each new complaint to the department that handles its category.
+ * The category comes from the AI classifiers when they are confident,
+ * otherwise from the category the citizen picked.
+ */
+
+const Department = require("../models/department.model");
+
+// Minimum classifier confidence to trust the AI category over the citizen's pick
+const ROUTING_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Departments created on first start if none exist
+ */
+const DEFAULT_DEPARTMENTS = [
+  { name: "Sanitation Dept", code: "SAN", categories: ["Garbage"] },
+  { name: "Roads Dept", code: "ROAD", categories: ["Road Damage"] },
+  { name: "Electrical Dept", code: "ELEC", categories: ["Streetlight Issue"] },
+  { name: "Water Supply Dept", code: "WATER", categories: ["Water Leakage"] },
+  { name: "Sewerage Dept", code: "SEW", categories: ["Drainage"] }
+];
+
+/**
+ * Create the default departments when the collection is empty
+ */
+async function ensureDefaultDepartments() {
+  const count = await Department.estimatedDocumentCount();
+  if (count > 0) return;
+
+  await Department.insertMany(DEFAULT_DEPARTMENTS);
+  console.log(`Created ${DEFAULT_DEPARTMENTS.length} default departments`);
+}
+
+/**
+ * Pick the category to route on
+ *
+ * @param {string} citizenCategory - Category chosen on the form (may be empty)
+ * @param {Object} textClassification - classifyText result
+ * @param {Object} imageClassification - classifyImage result
+ * @returns {Object} { category, source, confidence }
+ */
+function chooseRoutingCategory(citizenCategory, textClassification = {}, imageClassification = {}) {
+  const candidates = [
+    { category: textClassification.predictedCategory, confidence: textClassification.confidence || 0, source: "text" },
+    { category: imageClassification.mappedCategory, confidence: imageClassification.confidence || 0, source: "image" }
+  ].filter(c => c.category && c.category !== "Other" && c.confidence >= ROUTING_MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+
+  return { category: citizenCategory || "Other", source: "citizen", confidence: 1 };
+}
+
+/**
+ * Find the active department handling a category
+ *
+ * @param {string} category - Complaint category
+ * @returns {Promise<Object|null>} Department document, or null if unmapped
+ */
+async function findDepartmentForCategory(category) {
+  if (!category) return null;
+  return Department.findOne({ categories: category, active: true });
+}
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  ROUTING_MIN_CONFIDENCE,
+  ensureDefaultDepartments,
+  chooseRoutingCategory,
+  findDepartmentForCategory
+};
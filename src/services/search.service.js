@@ -0,0 +1,233 @@
+/**
+ * Complaint Search Service
+ *
+ * Two ways to search, both combined with the listing filters
+ * (status, category, department, ...) from listing.service.js:
+ *
+ * - text:     MongoDB text index over description, location and ticket
+ *             number, ranked by text score, with highlighted snippets
+ * - semantic: "find complaints like this text" — cosine similarity between
+ *             the query's MiniLM embedding and Complaint.embedding, looked
+ *             up in the vector index (vector-index.service.js); while the
+ *             index is loading, the most recent complaints are compared
+ */
+
+const Complaint = require("../models/complaint");
+const { buildFilter } = require("./listing.service");
+const { generateEmbedding, cosineSimilarity, escapeRegex } = require("./ai.service");
+const { parseTicketNo } = require("./ticket.service");
+const { querySimilar } = require("./vector-index.service");
+const { escapeHtml } = require("../utils/html");
+const { httpError } = require("../utils/http-error");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Closest complaints taken from the vector index per semantic search
+// (a margin over the page for entries the database no longer matches)
+const SEMANTIC_INDEX_MATCHES = 200;
+
+// Listing filters the vector index applies itself
+const INDEX_FILTER_FIELDS = ["status", "category", "department", "createdBy", "mergedInto", "createdAt"];
+
+// Complaints compared per semantic search without the index (most recent first)
+const SEMANTIC_CANDIDATES = 2000;
+
+// Lowest cosine similarity returned by semantic search
+const SEMANTIC_MIN_SIMILARITY = 0.3;
+
+// Characters of description shown around the first match
+const SNIPPET_LENGTH = 160;
+
+// Fields returned for each hit
+const RESULT_FIELDS = "ticketNo category description location status priorityScore aiSeverityLevel department deadline escalationLevel createdAt";
+
+/**
+ * Regex matching the query's words and their variants
+ * ("leaking" also lights up "leak" and "leakage", like the text index's stemming)
+ *
+ * @param {string} q - Search query
+ * @returns {RegExp|null}
+ */
+function buildHighlighter(q) {
+  const stems = String(q)
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)  // \p{M}: Devanagari vowel signs
+    .filter(word => word.length >= 2)
+    .map(word => word.length > 5 ? word.slice(0, word.length - 3) : word)
+    .map(escapeRegex);
+
+  if (stems.length === 0) return null;
+
+  return new RegExp(`(${[...new Set(stems)].join("|")})[\\p{L}\\p{M}\\p{N}]*`, "giu");
+}
+
+/**
+ * Escape text and wrap matches in <mark>; long text is cut down to a
+ * snippet around the first match
+ *
+ * @param {string} text - Field value
+ * @param {RegExp} highlighter - From buildHighlighter
+ * @param {number} maxLength - Snippet length (0 = whole text)
+ * @returns {string} Safe HTML
+ */
+function highlight(text, highlighter, maxLength = 0) {
+  if (!text) return "";
+
+  let snippet = String(text);
+  highlighter.lastIndex = 0;
+  const first = highlighter.exec(snippet);
+
+  if (maxLength && snippet.length > maxLength) {
+    const start = Math.max(0, (first ? first.index : 0) - Math.floor(maxLength / 3));
+    snippet = (start > 0 ? "…" : "") + snippet.slice(start, start + maxLength) +
+      (start + maxLength < text.length ? "…" : "");
+  }
+
+  // Escape the text between matches separately so entities stay intact
+  // (matchAll starts from lastIndex, which exec moved past the first match)
+  highlighter.lastIndex = 0;
+  let html = "";
+  let last = 0;
+  for (const match of snippet.matchAll(highlighter)) {
+    html += escapeHtml(snippet.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(snippet.slice(last));
+}
+
+/**
+ * Add highlighted snippets to each hit
+ */
+function withHighlights(items, q) {
+  const highlighter = buildHighlighter(q);
+
+  return items.map(item => ({
+    ...item,
+    highlights: highlighter ? {
+      description: highlight(item.description, highlighter, SNIPPET_LENGTH),
+      location: highlight(item.location, highlighter),
+      ticketNo: highlight(item.ticketNo, highlighter)
+    } : null
+  }));
+}
+
+/**
+ * Full-text search
+ * A query that is a ticket number returns that complaint first.
+ */
+async function textSearch(filter, q, limit) {
+  const ticketNo = parseTicketNo(q);
+  const exact = ticketNo
+    ? await Complaint.findOne({ ...filter, ticketNo }).select(RESULT_FIELDS).lean()
+    : null;
+
+  const items = await Complaint.find({ ...filter, $text: { $search: q } })
+    .select({ score: { $meta: "textScore" } })
+    .select(RESULT_FIELDS)
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  if (exact) {
+    return [{ ...exact, score: null }, ...items.filter(i => String(i._id) !== String(exact._id))].slice(0, limit);
+  }
+
+  return items;
+}
+
+/**
+ * Vector index options for a listing filter, or null when it has
+ * conditions the index can't apply (severity, ward, assignee)
+ */
+function indexOptions(filter) {
+  if (Object.keys(filter).some(field => !INDEX_FILTER_FIELDS.includes(field))) return null;
+
+  const options = { k: SEMANTIC_INDEX_MATCHES };
+
+  if (filter.status) options.statuses = filter.status.$in;
+  if (filter.category) options.category = filter.category.$in;
+  if ("department" in filter) options.department = filter.department;
+  if (filter.createdBy) options.createdBy = filter.createdBy;
+  if ("mergedInto" in filter) options.unmerged = true;
+  if (filter.createdAt) {
+    options.createdFrom = filter.createdAt.$gte;
+    if (filter.createdAt.$lte) options.createdBefore = new Date(filter.createdAt.$lte.getTime() + 1);
+  }
+
+  return options;
+}
+
+/**
+ * Semantic search over stored embeddings
+ */
+async function semanticSearch(filter, q, limit) {
+  const queryEmbedding = await generateEmbedding({ description: q });
+
+  if (!queryEmbedding) {
+    throw httpError("Semantic search is unavailable: the embedding model is not loaded", 503);
+  }
+
+  let scored;
+  const options = indexOptions(filter);
+  const similar = options && querySimilar(queryEmbedding, options);
+
+  if (similar) {
+    const matches = similar.filter(match => match.score >= SEMANTIC_MIN_SIMILARITY);
+    const scores = new Map(matches.map(match => [match.id, match.score]));
+    const items = matches.length
+      ? await Complaint.find({ ...filter, _id: { $in: matches.map(match => match.id) } })
+          .select(RESULT_FIELDS)
+          .lean()
+      : [];
+
+    scored = items.map(item => ({ ...item, score: scores.get(String(item._id)) }));
+  } else {
+    // Index not ready yet, or filters it can't apply: compare the most recent complaints
+    const candidates = await Complaint.find({ ...filter, "embedding.0": { $exists: true } })
+      .sort({ createdAt: -1 })
+      .limit(SEMANTIC_CANDIDATES)
+      .select(`${RESULT_FIELDS} embedding`)
+      .lean();
+
+    scored = candidates
+      .map(({ embedding, ...item }) => ({ ...item, score: cosineSimilarity(queryEmbedding, embedding) }))
+      .filter(item => item.score >= SEMANTIC_MIN_SIMILARITY);
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(item => ({ ...item, score: Math.round(item.score * 100) / 100 }));
+}
+
+/**
+ * Search complaints visible to a user
+ *
+ * @param {Object} user - req.user
+ * @param {Object} query - req.query: q, mode ("text" | "semantic"), limit, plus listing filters
+ * @returns {Promise<Object>} { mode, q, total, items } — items ranked, with `score` and `highlights`
+ */
+async function searchComplaints(user, query = {}) {
+  const q = String(query.q || "").trim();
+  const mode = query.mode || "text";
+
+  if (!q) throw httpError("q is required");
+  if (!["text", "semantic"].includes(mode)) throw httpError("mode must be \"text\" or \"semantic\"");
+
+  const filter = buildFilter(user, query);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const items = mode === "semantic"
+    ? await semanticSearch(filter, q, limit)
+    : await textSearch(filter, q, limit);
+
+  return { mode, q, total: items.length, items: withHighlights(items, q) };
+}
+
+module.exports = {
+  searchComplaints,
+  highlight,
+  buildHighlighter
+};
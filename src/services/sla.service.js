@@ -0,0 +1,164 @@
+/**
+ * SLA Service
+ *
+ * Stamps a resolution deadline on each complaint and escalates
+ * complaints that miss it.
+ *
+ * Deadline = submission time + resolutionHours of the matching policy.
+ * Policy lookup order (first active match wins):
+ *   1. category + severity
+ *   2. category + any severity
+ *   3. any category + severity
+ *   4. DEFAULT_RESOLUTION_HOURS by severity
+ *
+ * Escalation ladder (one step per breach):
+ *   0. Field officer (default)
+ *   1. Department head
+ *   2. Admin (municipal commissioner)
+ */
+
+const SlaPolicy = require("../models/sla-policy.model");
+const Department = require("../models/department.model");
+const Complaint = require("../models/complaint");
+const { OPEN_STATUSES } = require("./status.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Fallback resolution time when no policy matches
+ */
+const DEFAULT_RESOLUTION_HOURS = {
+  critical: 24,
+  high: 48,
+  medium: 72,
+  low: 120
+};
+
+// Fallback time each escalation level gets before the next one
+const DEFAULT_ESCALATION_HOURS = 24;
+
+const ESCALATION_LEVELS = ["officer", "department_head", "admin"];
+const MAX_ESCALATION_LEVEL = ESCALATION_LEVELS.length - 1;
+
+/**
+ * Find the SLA terms for a category and severity
+ *
+ * @param {string} category - Complaint category
+ * @param {string} severity - aiSeverityLevel
+ * @returns {Promise<Object>} { resolutionHours, escalationHours, policyId }
+ */
+async function resolvePolicy(category, severity) {
+  const policies = await SlaPolicy.find({
+    active: true,
+    category: { $in: [category, "*"] },
+    severity: { $in: [severity, "*"] }
+  });
+
+  const rank = p => (p.category === category ? 2 : 0) + (p.severity === severity ? 1 : 0);
+  const policy = policies.sort((a, b) => rank(b) - rank(a))[0];
+
+  if (policy) {
+    return {
+      resolutionHours: policy.resolutionHours,
+      escalationHours: policy.escalationHours,
+      policyId: policy._id
+    };
+  }
+
+  return {
+    resolutionHours: DEFAULT_RESOLUTION_HOURS[severity] || DEFAULT_RESOLUTION_HOURS.medium,
+    escalationHours: DEFAULT_ESCALATION_HOURS,
+    policyId: null
+  };
+}
+
+/**
+ * Compute the SLA fields for a complaint
+ *
+ * @param {string} category - Complaint category
+ * @param {string} severity - aiSeverityLevel
+ * @param {Date} from - Start of the SLA clock (default: now)
+ * @returns {Promise<Object>} { deadline, slaHours }
+ */
+async function computeDeadline(category, severity, from = new Date()) {
+  const { resolutionHours } = await resolvePolicy(category, severity);
+
+  return {
+    deadline: new Date(new Date(from).getTime() + resolutionHours * HOUR_MS),
+    slaHours: resolutionHours
+  };
+}
+
+/**
+ * Move a breached complaint one level up the escalation ladder
+ * (does not save)
+ *
+ * @param {Object} complaint - Complaint document past its deadline
+ * @returns {Promise<Object|null>} The escalation entry, or null at the top level
+ */
+async function escalateComplaint(complaint) {
+  const level = (complaint.escalationLevel || 0) + 1;
+  if (level > MAX_ESCALATION_LEVEL) return null;
+
+  const { escalationHours } = await resolvePolicy(complaint.category, complaint.aiSeverityLevel);
+  const role = ESCALATION_LEVELS[level];
+
+  // Hand the complaint to the department head; admins see all escalations
+  let assignee = null;
+  if (role === "department_head" && complaint.department) {
+    const department = await Department.findById(complaint.department);
+    assignee = department?.head || null;
+  }
+
+  const entry = {
+    level,
+    role,
+    assignedTo: assignee,
+    previousDeadline: complaint.deadline,
+    reason: `SLA breached: not resolved by ${complaint.deadline.toISOString()}`,
+    at: new Date()
+  };
+
+  complaint.escalationLevel = level;
+  complaint.escalations.push(entry);
+  if (!complaint.slaBreachedAt) complaint.slaBreachedAt = entry.at;
+  if (assignee) complaint.assignedTo = assignee;
+  complaint.deadline = new Date(Date.now() + escalationHours * HOUR_MS);
+
+  return entry;
+}
+
+/**
+ * Find open complaints past their deadline and escalate each one
+ *
+ * @returns {Promise<number>} Number of complaints escalated
+ */
+async function escalateOverdueComplaints() {
+  const overdue = await Complaint.find({
+    status: { $in: OPEN_STATUSES },
+    deadline: { $lt: new Date() },
+    escalationLevel: { $lt: MAX_ESCALATION_LEVEL },
+    mergedInto: null  // merged duplicates follow their master
+  }).limit(500);
+
+  let escalated = 0;
+
+  for (const complaint of overdue) {
+    const entry = await escalateComplaint(complaint);
+    if (!entry) continue;
+
+    await complaint.save();
+    escalated++;
+  }
+
+  return escalated;
+}
+
+module.exports = {
+  DEFAULT_RESOLUTION_HOURS,
+  ESCALATION_LEVELS,
+  resolvePolicy,
+  computeDeadline,
+  escalateComplaint,
+  escalateOverdueComplaints
+};
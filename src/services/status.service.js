@@ -0,0 +1,120 @@
+/**
+ * Complaint Status Workflow
+ *
+ * State machine for complaint status changes:
+ *
+ *   Assigned    → In Progress, Rejected
+ *   In Progress → Completed, Rejected
+ *   Completed   → Reopened, Closed
+ *   Rejected    → Reopened
+ *   Reopened    → In Progress, Rejected
+ *
+ * Completed complaints wait for the citizen to confirm the fix (Closed)
+ * or reopen it; unconfirmed ones auto-close (see resolution.service.js).
+ *
+ * Every accepted transition is appended to complaint.statusHistory
+ * with the actor, timestamp and remark.
+ */
+
+const { STAFF_ROLES } = require("../models/user.model");
+const { STATUSES } = require("../models/complaint");
+const { httpError } = require("../utils/http-error");
+
+/**
+ * Allowed transitions: from → to → roles that may make the move
+ * Citizens may only act on complaints they reported.
+ */
+const TRANSITIONS = {
+  "Assigned": {
+    "In Progress": STAFF_ROLES,
+    "Rejected": STAFF_ROLES
+  },
+  "In Progress": {
+    "Completed": STAFF_ROLES,
+    "Rejected": STAFF_ROLES
+  },
+  "Completed": {
+    "Reopened": ["citizen", ...STAFF_ROLES],
+    "Closed": ["citizen", "admin"]
+  },
+  "Rejected": {
+    "Reopened": ["citizen", "department_head", "admin"]
+  },
+  "Reopened": {
+    "In Progress": STAFF_ROLES,
+    "Rejected": STAFF_ROLES
+  }
+};
+
+/**
+ * Statuses that still need work
+ */
+const OPEN_STATUSES = ["Assigned", "In Progress", "Reopened"];
+
+/**
+ * Get the roles allowed to move a complaint between two statuses
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string[]|null} Allowed roles, or null if the move is invalid
+ */
+function getTransitionRoles(from, to) {
+  return TRANSITIONS[from]?.[to] || null;
+}
+
+/**
+ * List the statuses reachable from the given one
+ */
+function getNextStatuses(from) {
+  return Object.keys(TRANSITIONS[from] || {});
+}
+
+/**
+ * Append an entry to the complaint's timeline (does not save)
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {Object} entry - { from, to, actor, remark }
+ */
+function recordTimeline(complaint, { from = null, to, actor = null, remark = "" }) {
+  complaint.statusHistory.push({
+    from,
+    to,
+    actor: actor?._id || actor,
+    actorRole: actor?.role || null,
+    remark,
+    at: new Date()
+  });
+}
+
+/**
+ * Move a complaint to a new status and record it (does not save)
+ * Callers must check permissions with getTransitionRoles first.
+ *
+ * @param {Object} complaint - Complaint document
+ * @param {string} to - New status
+ * @param {Object} actor - User making the change
+ * @param {string} remark - Reason or note
+ * @returns {Object} The recorded transition
+ */
+function applyTransition(complaint, to, actor, remark = "") {
+  const from = complaint.status;
+
+  if (!getTransitionRoles(from, to)) {
+    throw httpError(`Cannot move complaint from "${from}" to "${to}"`, 409);
+  }
+
+  complaint.status = to;
+  recordTimeline(complaint, { from, to, actor, remark });
+
+  return { from, to, remark };
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  getTransitionRoles,
+  getNextStatuses,
+  recordTimeline,
+  applyTransition
+};
@@ -0,0 +1,99 @@
+/**
+ * Ticket Service
+ *
+ * Human-readable complaint tracking numbers: JST-<year>-<sequence>,
+ * e.g. JST-2026-000123. Sequences restart every year and come from an
+ * atomic counter, so two complaints never share a number.
+ *
+ * Also builds the public view of a complaint shown on /track, which
+ * leaves out everything that identifies the reporter.
+ */
+
+const Counter = require("../models/counter.model");
+const Complaint = require("../models/complaint");
+
+const TICKET_PREFIX = "JST";
+const TICKET_PATTERN = /^JST-\d{4}-\d{6,}$/;
+
+/**
+ * Format a ticket number
+ *
+ * @param {number} year - Year the complaint was filed
+ * @param {number} seq - Sequence within that year
+ * @returns {string} e.g. "JST-2026-000123"
+ */
+function formatTicketNo(year, seq) {
+  return `${TICKET_PREFIX}-${year}-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Issue the next ticket number for a complaint filed at the given time
+ *
+ * @param {Date} at - Filing time (default: now)
+ * @returns {Promise<string>} New ticket number
+ */
+async function nextTicketNo(at = new Date()) {
+  const year = new Date(at).getFullYear();
+  const seq = await Counter.next(`ticket-${year}`);
+
+  return formatTicketNo(year, seq);
+}
+
+/**
+ * Normalize user input ("jst-2026-000123 ") and check its shape
+ *
+ * @returns {string|null} Ticket number, or null if it can't be one
+ */
+function parseTicketNo(value) {
+  const ticketNo = String(value || "").trim().toUpperCase();
+  return TICKET_PATTERN.test(ticketNo) ? ticketNo : null;
+}
+
+/**
+ * Find a complaint by ticket number, loaded for toPublicStatus
+ *
+ * @returns {Promise<Object|null>} Complaint, or null if unknown
+ */
+async function findByTicketNo(ticketNo) {
+  return Complaint.findOne({ ticketNo })
+    .select("ticketNo category status department createdAt updatedAt deadline resolution.resolvedAt supporterCount mergedInto statusHistory")
+    .populate("department", "name")
+    .populate("mergedInto", "ticketNo");
+}
+
+/**
+ * Public view of a complaint for the tracking page
+ * No reporter, description, location, photos, actors or remarks.
+ *
+ * @param {Object} complaint - Complaint with `department` (and optionally
+ *                             `mergedInto`) populated
+ * @returns {Object} Status, timeline and department
+ */
+function toPublicStatus(complaint) {
+  return {
+    ticketNo: complaint.ticketNo,
+    category: complaint.category,
+    status: complaint.status,
+    department: complaint.department?.name || null,
+    submittedAt: complaint.createdAt,
+    updatedAt: complaint.updatedAt,
+    deadline: complaint.deadline || null,
+    resolvedAt: complaint.resolution?.resolvedAt || null,
+    supporterCount: complaint.supporterCount || 0,
+    mergedInto: complaint.mergedInto?.ticketNo || null,
+    timeline: (complaint.statusHistory || []).map(entry => ({
+      status: entry.to,
+      by: entry.actorRole || null,
+      at: entry.at
+    }))
+  };
+}
+
+module.exports = {
+  TICKET_PATTERN,
+  formatTicketNo,
+  nextTicketNo,
+  parseTicketNo,
+  findByTicketNo,
+  toPublicStatus
+};
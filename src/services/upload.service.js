@@ -0,0 +1,63 @@
+/**
+ * Upload Service
+ *
+ * Photos are uploaded in one request and often attached by filename in
+ * a later one (the duplicate warning resends `image`, "me too" support
+ * takes the photo from it). Each upload is recorded against its uploader
+ * (ImageUpload) and a filename from a request body is only accepted from
+ * that user, so nobody can attach someone else's photo.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ImageUpload = require("../models/image-upload.model");
+const { uploadsDir } = require("../config/upload");
+const { httpError } = require("../utils/http-error");
+
+/**
+ * Record a photo multer just saved for a user
+ *
+ * @param {Object} file - req.file
+ * @param {Object} user - req.user
+ * @returns {Promise<string>} The stored filename
+ */
+async function recordImageUpload(file, user) {
+  await ImageUpload.create({ image: file.filename, uploadedBy: user._id });
+  return file.filename;
+}
+
+/**
+ * Check that a filename from a request body is a photo the user uploaded
+ * and that is still waiting to be attached
+ *
+ * @param {string} name - Filename sent by the client
+ * @param {Object} user - req.user
+ * @returns {Promise<string>} The filename (without any directory part)
+ * @throws {Error} 400 when it is not one of the user's uploads
+ */
+async function findOwnImage(name, user) {
+  const image = path.basename(String(name));
+  const upload = await ImageUpload.exists({ image, uploadedBy: user._id });
+
+  if (!upload || !fs.existsSync(path.join(uploadsDir, image))) {
+    throw httpError("image must be a photo you uploaded");
+  }
+
+  return image;
+}
+
+/**
+ * The photo is attached: it can't be attached again
+ *
+ * @param {string} image - Filename
+ * @returns {Promise<void>}
+ */
+async function releaseImage(image) {
+  await ImageUpload.deleteOne({ image });
+}
+
+module.exports = {
+  recordImageUpload,
+  findOwnImage,
+  releaseImage
+};
@@ -0,0 +1,726 @@
+/**
+ * Vector Index Service
+ *
+ * Approximate nearest-neighbour search over complaint embeddings
+ * (Complaint.embedding, MiniLM), so the duplicate check finds similar
+ * complaints among all of them rather than only the latest few.
+ *
+ * The index is an in-memory HNSW graph (Hierarchical Navigable Small World):
+ * - Vectors are L2-normalised; distance is 1 − cosine similarity
+ * - Each complaint links to its M closest neighbours per layer (2M on the
+ *   bottom layer); a search descends greedily from the sparse top layer and
+ *   explores EF_SEARCH candidates on the bottom one
+ * - Queries filter by status, filing time, category, department, reporter
+ *   and radius while they search. Live nodes are also listed per category,
+ *   department, reporter and map cell: when one of those filters leaves
+ *   only a few complaints, they are compared exactly instead
+ *
+ * indexComplaint() keeps it in step with the database: the analysis job
+ * calls it when it stores an embedding, and status changes and merges call
+ * it too. A changed or removed vector leaves a tombstone (still used to
+ * walk the graph, never returned); past MAX_TOMBSTONE_SHARE of the nodes
+ * the index is rebuilt in the background.
+ *
+ * The index is saved to VECTOR_INDEX_PATH a few seconds after changes and
+ * loaded at startup, then complaints changed since the save are re-synced.
+ * Without a usable file (missing, another format, too many tombstones)
+ * it is rebuilt from the database in the background; until it is ready
+ * querySimilar returns null and callers use their database queries.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const Complaint = require("../models/complaint");
+const { OPEN_STATUSES } = require("./status.service");
+const { fromPoint, distanceMeters } = require("./geo.service");
+
+const INDEX_PATH = process.env.VECTOR_INDEX_PATH ||
+  path.join(__dirname, "../../data/vector-index.json");
+const FORMAT_VERSION = 2;
+
+// Graph shape: links per node and layer, and candidates explored
+const M = 16;
+const EF_CONSTRUCTION = 100;
+const EF_SEARCH = 64;
+const LEVEL_FACTOR = 1 / Math.log(M);
+
+// Filtered queries whose narrowest listed filter (category, department,
+// reporter, area) leaves at most this many complaints are answered exactly
+const EXACT_SEARCH_LIMIT = 2000;
+
+// Map cells (degrees) for the area lists, and most cells a query unions
+const CELL_DEGREES = 0.01;
+const MAX_QUERY_CELLS = 100;
+const METERS_PER_DEGREE = 111320;
+
+// Rebuild (at load, or while running) when this share of nodes are tombstones
+const MAX_TOMBSTONE_SHARE = 0.25;
+
+// ... and at least this many, so small indexes aren't rebuilt over and over
+const MIN_COMPACT_TOMBSTONES = 100;
+
+// Save this long after the last change
+const SAVE_DELAY_MS = 10 * 1000;
+
+// Fields needed to index a complaint
+const INDEX_FIELDS = "embedding geoLocation status mergedInto category department createdBy createdAt";
+
+// Nodes: { id, vector (Float32Array), level, links (node numbers per layer), deleted, meta }
+const index = {
+  status: "not_loaded",   // not_loaded | building | ready
+  dims: 0,
+  nodes: [],
+  byId: new Map(),        // complaint id → node number of its live node
+  lists: createLists(),   // filter value → node numbers of live nodes
+  entryPoint: -1,
+  maxLevel: -1,
+  tombstones: 0,
+  savedAt: null
+};
+
+let saveTimer = null;
+
+/**
+ * Empty per-filter lists of live nodes
+ */
+function createLists() {
+  return { category: new Map(), department: new Map(), createdBy: new Map(), cell: new Map() };
+}
+
+/**
+ * Map cell of a point
+ */
+function cellKey(lat, lng) {
+  return `${Math.floor(lat / CELL_DEGREES)}:${Math.floor(lng / CELL_DEGREES)}`;
+}
+
+/**
+ * Cells covering a circle, or null when there are too many to be worth it
+ */
+function cellsNear({ coordinates: { lat, lng }, radiusMeters }) {
+  const latDelta = radiusMeters / METERS_PER_DEGREE;
+  const lngDelta = radiusMeters / (METERS_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  const rows = [Math.floor((lat - latDelta) / CELL_DEGREES), Math.floor((lat + latDelta) / CELL_DEGREES)];
+  const cols = [Math.floor((lng - lngDelta) / CELL_DEGREES), Math.floor((lng + lngDelta) / CELL_DEGREES)];
+  if ((rows[1] - rows[0] + 1) * (cols[1] - cols[0] + 1) > MAX_QUERY_CELLS) return null;
+
+  const keys = [];
+  for (let row = rows[0]; row <= rows[1]; row++) {
+    for (let col = cols[0]; col <= cols[1]; col++) keys.push(`${row}:${col}`);
+  }
+  return keys;
+}
+
+/**
+ * [list, key] pairs a node's meta is listed under
+ */
+function listKeys(meta) {
+  const keys = [["category", meta.category], ["department", meta.department], ["createdBy", meta.createdBy]];
+  if (meta.coordinates) keys.push(["cell", cellKey(meta.coordinates.lat, meta.coordinates.lng)]);
+  return keys;
+}
+
+function listNode(nodeNumber) {
+  for (const [list, key] of listKeys(index.nodes[nodeNumber].meta)) {
+    const nodes = index.lists[list].get(key);
+    if (nodes) nodes.add(nodeNumber);
+    else index.lists[list].set(key, new Set([nodeNumber]));
+  }
+}
+
+function unlistNode(nodeNumber) {
+  for (const [list, key] of listKeys(index.nodes[nodeNumber].meta)) {
+    const nodes = index.lists[list].get(key);
+    if (!nodes) continue;
+    nodes.delete(nodeNumber);
+    if (!nodes.size) index.lists[list].delete(key);
+  }
+}
+
+/**
+ * Change a live node's filter fields
+ */
+function setMeta(nodeNumber, meta) {
+  unlistNode(nodeNumber);
+  index.nodes[nodeNumber].meta = meta;
+  listNode(nodeNumber);
+}
+
+/**
+ * Small binary heap ordered by `before(a, b)` (a comes out first)
+ */
+function createHeap(before) {
+  const items = [];
+
+  return {
+    size: () => items.length,
+    peek: () => items[0],
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        [items[i], items[parent]] = [items[parent], items[i]];
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < items.length && before(items[left], items[first])) first = left;
+          if (right < items.length && before(items[right], items[first])) first = right;
+          if (first === i) break;
+          [items[i], items[first]] = [items[first], items[i]];
+          i = first;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * L2-normalised copy of a vector, or null for an empty / zero vector
+ */
+function normalise(values) {
+  if (!values || !values.length) return null;
+
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (!norm) return null;
+
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Cosine distance of two normalised vectors
+ */
+function distance(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return 1 - dot;
+}
+
+/**
+ * Top layer of a new node (exponentially fewer nodes per layer up)
+ */
+function randomLevel() {
+  return Math.floor(-Math.log(1 - Math.random()) * LEVEL_FACTOR);
+}
+
+const anyNode = () => true;
+
+/**
+ * Best-first search on one layer
+ *
+ * @param {Float32Array} query - Normalised query vector
+ * @param {number} entry - Node number to start from
+ * @param {number} ef - Results to keep
+ * @param {number} level - Layer
+ * @param {Function} accept - (node) => whether it may be returned; others are only walked through
+ * @returns {Object[]} Up to ef { node, dist }, closest first
+ */
+function searchLayer(query, entry, ef, level, accept = anyNode) {
+  const visited = new Set([entry]);
+  const candidates = createHeap((a, b) => a.dist < b.dist);   // closest first
+  const results = createHeap((a, b) => a.dist > b.dist);      // furthest first
+
+  const start = { node: entry, dist: distance(query, index.nodes[entry].vector) };
+  candidates.push(start);
+  if (accept(index.nodes[entry])) results.push(start);
+
+  while (candidates.size()) {
+    const current = candidates.pop();
+    if (results.size() >= ef && current.dist > results.peek().dist) break;
+
+    for (const neighbour of index.nodes[current.node].links[level] || []) {
+      if (visited.has(neighbour)) continue;
+      visited.add(neighbour);
+
+      const dist = distance(query, index.nodes[neighbour].vector);
+      if (results.size() < ef || dist < results.peek().dist) {
+        candidates.push({ node: neighbour, dist });
+        if (accept(index.nodes[neighbour])) {
+          results.push({ node: neighbour, dist });
+          if (results.size() > ef) results.pop();
+        }
+      }
+    }
+  }
+
+  const found = [];
+  while (results.size()) found.push(results.pop());
+  return found.reverse();
+}
+
+/**
+ * Walk down from the top layer to the closest node on `level`
+ */
+function descend(query, toLevel) {
+  let entry = index.entryPoint;
+  for (let level = index.maxLevel; level > toLevel; level--) {
+    entry = searchLayer(query, entry, 1, level)[0].node;
+  }
+  return entry;
+}
+
+/**
+ * Keep a node's closest `maxLinks` links on a layer
+ */
+function pruneLinks(nodeNumber, level, maxLinks) {
+  const node = index.nodes[nodeNumber];
+  node.links[level] = node.links[level]
+    .map(other => ({ other, dist: distance(node.vector, index.nodes[other].vector) }))
+    .sort((a, b) => a.dist - b.dist)
+    .slice(0, maxLinks)
+    .map(link => link.other);
+}
+
+/**
+ * Add a vector to the graph
+ */
+function insertNode(id, vector, meta) {
+  const level = randomLevel();
+  const nodeNumber = index.nodes.length;
+  const node = { id, vector, level, links: Array.from({ length: level + 1 }, () => []), deleted: false, meta };
+
+  index.nodes.push(node);
+  index.byId.set(id, nodeNumber);
+  listNode(nodeNumber);
+
+  if (index.entryPoint === -1) {
+    index.entryPoint = nodeNumber;
+    index.maxLevel = level;
+    return;
+  }
+
+  let entry = descend(vector, level);
+  for (let l = Math.min(level, index.maxLevel); l >= 0; l--) {
+    const found = searchLayer(vector, entry, EF_CONSTRUCTION, l);
+    const maxLinks = l === 0 ? 2 * M : M;
+
+    node.links[l] = found.slice(0, M).map(f => f.node);
+    for (const neighbour of node.links[l]) {
+      const links = index.nodes[neighbour].links[l];
+      links.push(nodeNumber);
+      if (links.length > maxLinks) pruneLinks(neighbour, l, maxLinks);
+    }
+    entry = found[0].node;
+  }
+
+  if (level > index.maxLevel) {
+    index.maxLevel = level;
+    index.entryPoint = nodeNumber;
+  }
+}
+
+/**
+ * Tombstone a complaint's node
+ */
+function removeNode(id) {
+  const nodeNumber = index.byId.get(id);
+  if (nodeNumber === undefined) return;
+
+  unlistNode(nodeNumber);
+  index.nodes[nodeNumber].deleted = true;
+  index.byId.delete(id);
+  index.tombstones++;
+  compactIfNeeded();
+}
+
+/**
+ * What queries filter on
+ */
+function toMeta(complaint) {
+  return {
+    createdAt: new Date(complaint.createdAt).getTime(),
+    category: complaint.category || null,
+    coordinates: fromPoint(complaint.geoLocation),
+    status: complaint.status || null,
+    merged: Boolean(complaint.mergedInto),
+    open: OPEN_STATUSES.includes(complaint.status) && !complaint.mergedInto,
+    department: complaint.department ? String(complaint.department._id || complaint.department) : null,
+    createdBy: complaint.createdBy ? String(complaint.createdBy._id || complaint.createdBy) : null
+  };
+}
+
+function sameVector(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > 1e-6) return false;
+  }
+  return true;
+}
+
+/**
+ * Insert, move or update one complaint (sync; no save)
+ */
+function upsert(complaint) {
+  const id = String(complaint._id);
+  const nodeNumber = index.byId.get(id);
+
+  // Embedding not loaded with the document: only the filter fields changed
+  if (complaint.embedding === undefined) {
+    if (nodeNumber !== undefined) setMeta(nodeNumber, toMeta(complaint));
+    return;
+  }
+
+  const vector = normalise(complaint.embedding);
+  if (!vector || (index.dims && vector.length !== index.dims)) {
+    removeNode(id);
+    return;
+  }
+
+  if (nodeNumber !== undefined && sameVector(index.nodes[nodeNumber].vector, vector)) {
+    setMeta(nodeNumber, toMeta(complaint));
+    return;
+  }
+
+  removeNode(id);
+  index.dims = vector.length;
+  insertNode(id, vector, toMeta(complaint));
+}
+
+/**
+ * Save the index a little later (changes often come in bursts)
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveIndex().catch(error => console.error("Vector index save failed:", error.message));
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+/**
+ * Update the index after a complaint changed: new or changed embedding,
+ * status, merge, category. Documents loaded without their embedding only
+ * update the filter fields.
+ *
+ * @param {Object} complaint - Complaint document or lean object
+ */
+function indexComplaint(complaint) {
+  if (index.status === "not_loaded") return;
+
+  try {
+    upsert(complaint);
+    scheduleSave();
+  } catch (error) {
+    console.error(`Vector index update failed for complaint ${complaint._id}:`, error.message);
+  }
+}
+
+/**
+ * Whether a node passes the query filters
+ */
+function matches(node, filter) {
+  if (node.deleted) return false;
+
+  const { meta } = node;
+  if (filter.openOnly && !meta.open) return false;
+  if (filter.unmerged && meta.merged) return false;
+  if (filter.statuses && !filter.statuses.includes(meta.status)) return false;
+  if (filter.department !== undefined && meta.department !== filter.department) return false;
+  if (filter.createdBy && meta.createdBy !== filter.createdBy) return false;
+  if (filter.excludeId && node.id === filter.excludeId) return false;
+  if (filter.createdFrom && meta.createdAt < filter.createdFrom) return false;
+  if (filter.createdBefore && meta.createdAt >= filter.createdBefore) return false;
+  if (filter.categories && !filter.categories.includes(meta.category)) return false;
+  if (filter.near) {
+    if (!meta.coordinates) return false;
+    if (distanceMeters(filter.near.coordinates, meta.coordinates) > filter.near.radiusMeters) return false;
+  }
+  return true;
+}
+
+/**
+ * Live nodes of the narrowest listed filter (category, department,
+ * reporter, area), or null when none leaves EXACT_SEARCH_LIMIT or fewer
+ */
+function narrowestList(filter) {
+  const choices = [];
+  const lookup = (list, keys) => keys.map(key => index.lists[list].get(key)).filter(Boolean);
+
+  if (filter.categories) choices.push(lookup("category", filter.categories));
+  if (filter.department !== undefined) choices.push(lookup("department", [filter.department]));
+  if (filter.createdBy) choices.push(lookup("createdBy", [filter.createdBy]));
+  if (filter.near) {
+    const cells = cellsNear(filter.near);
+    if (cells) choices.push(lookup("cell", cells));
+  }
+
+  let narrowest = null;
+  let narrowestSize = EXACT_SEARCH_LIMIT + 1;
+  for (const sets of choices) {
+    const size = sets.reduce((total, nodes) => total + nodes.size, 0);
+    if (size < narrowestSize) {
+      narrowest = sets;
+      narrowestSize = size;
+    }
+  }
+
+  return narrowest && narrowest.flatMap(nodes => [...nodes].map(nodeNumber => index.nodes[nodeNumber]));
+}
+
+/**
+ * Most similar complaints to an embedding
+ *
+ * @param {number[]} embedding - Query vector (same model as the stored embeddings)
+ * @param {Object} options
+ * @param {number} options.k - Matches to return (default 10)
+ * @param {boolean} options.openOnly - Only open, unmerged complaints
+ * @param {boolean} options.unmerged - Leave out merged duplicates
+ * @param {string[]} options.statuses - Only these statuses
+ * @param {Date} options.createdFrom - Filed at or after
+ * @param {Date} options.createdBefore - Filed before
+ * @param {string|string[]} options.category - Category or categories
+ * @param {string|null} options.department - Department id (null: no department)
+ * @param {string} options.createdBy - Reporter's user id
+ * @param {Object} options.near - { coordinates: { lat, lng }, radiusMeters }
+ * @param {string} options.excludeId - Complaint id to leave out
+ * @returns {Object[]|null} [{ id, score }] best first (score = cosine similarity),
+ *   or null while the index isn't ready
+ */
+function querySimilar(embedding, {
+  k = 10, openOnly = false, unmerged = false, statuses, createdFrom, createdBefore, category, department, createdBy, near, excludeId
+} = {}) {
+  if (index.status !== "ready") return null;
+
+  const query = normalise(embedding);
+  if (!query || query.length !== index.dims) return null;
+  if (index.entryPoint === -1) return [];
+
+  const filter = {
+    openOnly,
+    unmerged,
+    statuses: statuses || null,
+    department: department === undefined ? undefined : (department ? String(department) : null),
+    createdBy: createdBy ? String(createdBy) : null,
+    excludeId: excludeId ? String(excludeId) : null,
+    createdFrom: createdFrom ? new Date(createdFrom).getTime() : null,
+    createdBefore: createdBefore ? new Date(createdBefore).getTime() : null,
+    categories: category ? [].concat(category) : null,
+    near: near && near.coordinates ? near : null
+  };
+  const accept = node => matches(node, filter);
+
+  // A listed filter leaves few complaints: compare those that pass them all
+  const candidates = narrowestList(filter);
+
+  let found;
+  if (candidates) {
+    found = candidates
+      .filter(node => accept(node))
+      .map(node => ({ node, dist: distance(query, node.vector) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, k);
+  } else {
+    found = searchLayer(query, descend(query, 0), Math.max(EF_SEARCH, k), 0, accept)
+      .slice(0, k)
+      .map(({ node, dist }) => ({ node: index.nodes[node], dist }));
+  }
+
+  return found.map(({ node, dist }) => ({ id: node.id, score: Math.round((1 - dist) * 1000) / 1000 }));
+}
+
+/**
+ * Write the index to VECTOR_INDEX_PATH (via a temporary file)
+ *
+ * @returns {Promise<void>}
+ */
+async function saveIndex() {
+  if (index.status !== "ready") return;
+
+  const savedAt = new Date();
+  const vectors = new Float32Array(index.nodes.length * index.dims);
+  index.nodes.forEach((node, i) => vectors.set(node.vector, i * index.dims));
+
+  const data = JSON.stringify({
+    version: FORMAT_VERSION,
+    dims: index.dims,
+    m: M,
+    savedAt,
+    entryPoint: index.entryPoint,
+    maxLevel: index.maxLevel,
+    nodes: index.nodes.map(({ id, level, links, deleted, meta }) => ({ id, level, links, deleted, meta })),
+    vectors: Buffer.from(vectors.buffer).toString("base64")
+  });
+
+  await fs.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+  await fs.writeFile(`${INDEX_PATH}.tmp`, data);
+  await fs.rename(`${INDEX_PATH}.tmp`, INDEX_PATH);
+  index.savedAt = savedAt;
+}
+
+/**
+ * Start over with an empty index
+ */
+function resetIndex(status) {
+  Object.assign(index, {
+    status,
+    dims: 0,
+    nodes: [],
+    byId: new Map(),
+    lists: createLists(),
+    entryPoint: -1,
+    maxLevel: -1,
+    tombstones: 0,
+    savedAt: null
+  });
+}
+
+/**
+ * Index the complaints matching a query, yielding to other requests now and then
+ */
+async function indexFromDatabase(filter) {
+  const cursor = Complaint.find(filter).select(INDEX_FIELDS).lean().cursor();
+  let count = 0;
+
+  for await (const complaint of cursor) {
+    upsert(complaint);
+    if (++count % 100 === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return count;
+}
+
+/**
+ * Build the index from every stored embedding and save it
+ *
+ * @returns {Promise<void>}
+ */
+async function rebuildIndex() {
+  resetIndex("building");
+  const started = Date.now();
+
+  const count = await indexFromDatabase({ "embedding.0": { $exists: true } });
+
+  index.status = "ready";
+  console.log(`Vector index built: ${count} complaints in ${Date.now() - started} ms`);
+  await saveIndex();
+}
+
+/**
+ * Rebuild in the background once tombstones pile up while running
+ * (queries return null meanwhile, as at startup)
+ */
+function compactIfNeeded() {
+  if (index.status !== "ready" || index.tombstones < MIN_COMPACT_TOMBSTONES) return;
+  if (index.tombstones / index.nodes.length <= MAX_TOMBSTONE_SHARE) return;
+
+  console.log(`Vector index has ${index.tombstones} tombstones, rebuilding`);
+  rebuildIndex().catch(error => {
+    resetIndex("not_loaded");
+    console.error("Vector index unavailable:", error.message);
+  });
+}
+
+/**
+ * Read a saved index, or null if there is none or it can't be used
+ */
+async function readIndexFile() {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(INDEX_PATH, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") console.warn("Vector index file unreadable, rebuilding:", error.message);
+    return null;
+  }
+
+  if (saved.version !== FORMAT_VERSION || saved.m !== M) return null;
+
+  const deleted = saved.nodes.filter(n => n.deleted).length;
+  if (saved.nodes.length && deleted / saved.nodes.length > MAX_TOMBSTONE_SHARE) return null;
+
+  return saved;
+}
+
+/**
+ * Load a saved index and catch up with the database
+ */
+async function restoreIndex(saved) {
+  resetIndex("building");
+  const bytes = Buffer.from(saved.vectors, "base64");
+  const vectors = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+
+  index.dims = saved.dims;
+  index.entryPoint = saved.entryPoint;
+  index.maxLevel = saved.maxLevel;
+  index.nodes = saved.nodes.map((node, i) => ({
+    ...node,
+    vector: vectors.subarray(i * saved.dims, (i + 1) * saved.dims)
+  }));
+  index.nodes.forEach((node, i) => {
+    if (node.deleted) {
+      index.tombstones++;
+    } else {
+      index.byId.set(node.id, i);
+      listNode(i);
+    }
+  });
+
+  // Complaints changed or deleted since the save
+  const changed = await indexFromDatabase({ updatedAt: { $gte: new Date(saved.savedAt) } });
+  const stored = new Set((await Complaint.find({ "embedding.0": { $exists: true } }).distinct("_id")).map(String));
+  const removed = [...index.byId.keys()].filter(id => !stored.has(id));
+  removed.forEach(removeNode);
+
+  index.status = "ready";
+  index.savedAt = new Date(saved.savedAt);
+  console.log(`Vector index loaded: ${index.byId.size} complaints (${changed + removed.length} re-synced)`);
+  if (changed || removed.length) scheduleSave();
+}
+
+/**
+ * Load the saved index, or rebuild it (startup; runs in the background).
+ * On failure the index stays unavailable and duplicate checks use the
+ * database only.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadIndex() {
+  try {
+    const saved = await readIndexFile();
+    await (saved ? restoreIndex(saved) : rebuildIndex());
+  } catch (error) {
+    resetIndex("not_loaded");
+    console.error("Vector index unavailable:", error.message);
+  }
+}
+
+/**
+ * Index size and state, for the health endpoint
+ *
+ * @returns {Object} { status, size, tombstones, dims, savedAt }
+ */
+function getIndexStatus() {
+  return {
+    status: index.status,
+    size: index.byId.size,
+    tombstones: index.tombstones,
+    dims: index.dims,
+    savedAt: index.savedAt
+  };
+}
+
+module.exports = {
+  loadIndex,
+  rebuildIndex,
+  saveIndex,
+  indexComplaint,
+  querySimilar,
+  getIndexStatus
+};
@@ -0,0 +1,215 @@
+/**
+ * Ward Service
+ *
+ * Ward (prabhag) boundaries and ward assignment:
+ * - importing boundaries from a GeoJSON FeatureCollection
+ * - point-in-polygon lookup of a complaint's ward
+ * - the ward's area weight for priority scoring
+ */
+
+const Ward = require("../models/ward.model");
+const Complaint = require("../models/complaint");
+const { toPoint } = require("./geo.service");
+const { httpError } = require("../utils/http-error");
+
+// areaWeightScore for complaints outside any (active) ward
+const DEFAULT_AREA_WEIGHT = 50;
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+}
+
+// A linear ring: at least 4 positions, first and last the same
+function isRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+function isPolygon(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+}
+
+/**
+ * Check a GeoJSON geometry is a usable ward boundary
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBoundary(geometry) {
+  if (!geometry || typeof geometry !== "object") return "geometry is missing";
+
+  if (geometry.type === "Polygon") {
+    return isPolygon(geometry.coordinates) ? null : "Polygon rings must be closed lists of [lng, lat]";
+  }
+  if (geometry.type === "MultiPolygon") {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon)
+      ? null
+      : "MultiPolygon must be a list of polygons with closed rings of [lng, lat]";
+  }
+
+  return "geometry must be a Polygon or MultiPolygon";
+}
+
+/**
+ * Check an area weight value (0-100)
+ */
+function parseAreaWeight(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 100) return null;
+  return weight;
+}
+
+/**
+ * Turn an uploaded GeoJSON FeatureCollection into ward fields
+ * Each feature needs properties.code (or properties.number) and a
+ * Polygon/MultiPolygon geometry; properties.name and properties.areaWeight
+ * are optional.
+ *
+ * @param {Object} geojson - FeatureCollection (or a single Feature)
+ * @returns {Object[]} [{ code, name, boundary, areaWeight }]
+ * @throws {Error} 400 listing the features that are invalid
+ */
+function parseWardFeatures(geojson) {
+  const features = geojson && geojson.type === "Feature" ? [geojson] : geojson && geojson.features;
+
+  if (!geojson || (geojson.type !== "FeatureCollection" && geojson.type !== "Feature") || !Array.isArray(features)) {
+    throw httpError("Upload a GeoJSON FeatureCollection of ward polygons");
+  }
+  if (features.length === 0) throw httpError("The FeatureCollection has no features");
+
+  const errors = [];
+  const seen = new Set();
+  const wards = [];
+
+  features.forEach((feature, index) => {
+    const props = (feature && feature.properties) || {};
+    const rawCode = props.code ?? props.number;
+    const code = rawCode === undefined || rawCode === null ? "" : String(rawCode).trim().toUpperCase();
+    const label = `Feature ${index + 1}${code ? ` (${code})` : ""}`;
+
+    if (!code) return errors.push(`${label}: properties.code is required`);
+    if (seen.has(code)) return errors.push(`${label}: duplicate code`);
+    seen.add(code);
+
+    const boundaryError = validateBoundary(feature.geometry);
+    if (boundaryError) return errors.push(`${label}: ${boundaryError}`);
+
+    const areaWeight = parseAreaWeight(props.areaWeight);
+    if (areaWeight === null) return errors.push(`${label}: areaWeight must be between 0 and 100`);
+
+    wards.push({
+      code,
+      name: props.name ? String(props.name).trim() : `Ward ${code}`,
+      boundary: { type: feature.geometry.type, coordinates: feature.geometry.coordinates },
+      areaWeight
+    });
+  });
+
+  if (errors.length) {
+    const more = errors.length > 10 ? ` (and ${errors.length - 10} more)` : "";
+    throw httpError(`Invalid ward boundaries: ${errors.slice(0, 10).join("; ")}${more}`);
+  }
+
+  return wards;
+}
+
+/**
+ * Re-assign every complaint with coordinates to the active ward containing it
+ *
+ * @returns {Promise<number>} Complaints now inside a ward
+ */
+async function assignComplaintWards() {
+  await Complaint.updateMany({ geoLocation: { $exists: true } }, { $set: { ward: null } });
+
+  const wards = await Ward.find({ active: true }).select("boundary").lean();
+  let assigned = 0;
+
+  for (const ward of wards) {
+    const result = await Complaint.updateMany(
+      { geoLocation: { $geoWithin: { $geometry: ward.boundary } } },
+      { $set: { ward: ward._id } }
+    );
+    assigned += result.modifiedCount;
+  }
+
+  return assigned;
+}
+
+/**
+ * Create or update wards from GeoJSON (matched by code), then
+ * re-assign complaints to the new boundaries
+ *
+ * @param {Object} geojson - FeatureCollection of ward polygons
+ * @returns {Promise<Object>} { created, updated, assignedComplaints }
+ */
+async function importWards(geojson) {
+  const wards = parseWardFeatures(geojson);
+  let created = 0;
+  let updated = 0;
+
+  for (const fields of wards) {
+    const ward = await Ward.findOne({ code: fields.code });
+
+    if (ward) {
+      ward.name = fields.name;
+      ward.boundary = fields.boundary;
+      if (fields.areaWeight !== undefined) ward.areaWeight = fields.areaWeight;
+      await ward.save();
+      updated++;
+    } else {
+      await Ward.create(fields);
+      created++;
+    }
+  }
+
+  const assignedComplaints = await assignComplaintWards();
+
+  return { created, updated, assignedComplaints };
+}
+
+/**
+ * Active ward containing a point
+ *
+ * @param {{lat: number, lng: number}|null} coordinates
+ * @returns {Promise<Object|null>} Lean ward { _id, name, code, areaWeight }
+ */
+async function findWardForPoint(coordinates) {
+  if (!coordinates) return null;
+
+  return Ward.findOne({
+    active: true,
+    boundary: { $geoIntersects: { $geometry: toPoint(coordinates) } }
+  })
+    .select("name code areaWeight")
+    .lean();
+}
+
+/**
+ * Area weight for priority scoring
+ *
+ * @param {ObjectId|null} wardId - Complaint's ward
+ * @returns {Promise<number>} The ward's areaWeight, or DEFAULT_AREA_WEIGHT
+ */
+async function getAreaWeight(wardId) {
+  if (!wardId) return DEFAULT_AREA_WEIGHT;
+
+  const ward = await Ward.findById(wardId).select("areaWeight active").lean();
+  return ward && ward.active ? ward.areaWeight : DEFAULT_AREA_WEIGHT;
+}
+
+module.exports = {
+  DEFAULT_AREA_WEIGHT,
+  validateBoundary,
+  parseAreaWeight,
+  parseWardFeatures,
+  importWards,
+  assignComplaintWards,
+  findWardForPoint,
+  getAreaWeight
+};
@@ -0,0 +1,23 @@
+/**
+ * HTML Helpers
+ *
+ * Server side of public/js/util.js: the same escaping for HTML built
+ * on the server (e.g. search highlights).
+ */
+
+/**
+ * Escape text for HTML content and quoted attribute values
+ *
+ * @param {*} value - Text (null / undefined become "")
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return (value == null ? "" : String(value))
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = { escapeHtml };
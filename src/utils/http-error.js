@@ -0,0 +1,21 @@
+/**
+ * HTTP Errors
+ *
+ * Services throw these; routes answer with error.statusCode and the
+ * message, and treat any other error as a 500.
+ */
+
+/**
+ * Build an error carrying an HTTP status
+ *
+ * @param {string} message - Message sent to the client
+ * @param {number} [statusCode=400] - HTTP status
+ * @returns {Error} Error with statusCode set
+ */
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { httpError };
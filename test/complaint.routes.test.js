@@ -0,0 +1,47 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { Types } = require("mongoose");
+
+const complaintRouter = require("../src/routes/complaint.routes");
+
+const citizen = { _id: new Types.ObjectId(), role: "citizen" };
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = citizen; next(); });
+  app.use("/api/complaints", complaintRouter);
+
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/complaints`;
+});
+
+after(() => server.close());
+
+async function submit(body) {
+  const res = await fetch(baseUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("submitting without a description is a 400, not a crash", async () => {
+  for (const description of [undefined, "", "   ", 42]) {
+    const res = await submit({ location: "MG Road", description });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Description required");
+  }
+});
+
+test("a voice draft alone does not stand in for the description", async () => {
+  const res = await submit({ location: "MG Road", audio: "1700000000000-1.webm" });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, "Description required");
+});
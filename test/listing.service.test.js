@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Types } = require("mongoose");
+
+const { buildFilter } = require("../src/services/listing.service");
+
+const roads = new Types.ObjectId();
+const water = new Types.ObjectId();
+
+test("an officer asking for another department's complaints gets their own department's", () => {
+  const officer = { _id: new Types.ObjectId(), role: "officer", department: roads };
+
+  assert.equal(buildFilter(officer, { department: String(water) }).department, roads);
+  assert.equal(buildFilter(officer, {}).department, roads);
+});
+
+test("admins list any department, or all of them", () => {
+  const admin = { _id: new Types.ObjectId(), role: "admin", department: roads };
+
+  assert.equal(buildFilter(admin, { department: String(water) }).department, String(water));
+  assert.equal("department" in buildFilter(admin, {}), false);
+});
+
+test("citizens only list their own complaints", () => {
+  const citizen = { _id: new Types.ObjectId(), role: "citizen" };
+
+  assert.equal(buildFilter(citizen, { reporter: String(new Types.ObjectId()) }).createdBy, citizen._id);
+});
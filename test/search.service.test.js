@@ -0,0 +1,82 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Types } = require("mongoose");
+
+process.env.VECTOR_INDEX_PATH = path.join(os.tmpdir(), `vector-index-test-${process.pid}.json`);
+
+const Complaint = require("../src/models/complaint");
+const ai = require("../src/services/ai.service");
+const vectorIndex = require("../src/services/vector-index.service");
+
+const citizen = { _id: new Types.ObjectId(), role: "citizen" };
+const roads = new Types.ObjectId();
+const water = new Types.ObjectId();
+
+// One complaint of the citizen's, and many closer ones of other reporters
+const complaints = [
+  { _id: new Types.ObjectId(), createdBy: citizen._id, department: water, description: "Pipe burst near my house", embedding: [1, 0.3, 0] },
+  ...Array.from({ length: 300 }, (_, i) => ({
+    _id: new Types.ObjectId(),
+    createdBy: new Types.ObjectId(),
+    department: roads,
+    description: `Pothole ${i}`,
+    embedding: [1, 0, 0]
+  }))
+].map(c => ({ ...c, status: "Assigned", mergedInto: null, category: "Water Supply", createdAt: new Date("2026-01-01") }));
+
+function matchesFilter(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "embedding.0") return doc.embedding.length > 0;
+    if (condition && condition.$in) return condition.$in.map(String).includes(String(doc[field]));
+    if (condition === null) return doc[field] == null;
+    return String(doc[field]) === String(condition);
+  });
+}
+
+// Complaint.find over the fixtures: enough of the query chain for the index and search
+Complaint.find = filter => {
+  const docs = complaints.filter(doc => matchesFilter(doc, filter || {}));
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => Object.assign(Promise.resolve(docs), {
+      async *cursor() { yield* docs; }
+    })
+  };
+  return query;
+};
+
+ai.generateEmbedding = async () => [1, 0.3, 0];
+
+const { searchComplaints, highlight, buildHighlighter } = require("../src/services/search.service");
+
+before(() => vectorIndex.rebuildIndex());
+after(() => fs.rmSync(process.env.VECTOR_INDEX_PATH, { force: true }));
+
+test("a citizen's semantic search finds their own complaint behind closer ones", async () => {
+  const result = await searchComplaints(citizen, { q: "burst pipe", mode: "semantic" });
+
+  assert.equal(result.total, 1);
+  assert.equal(String(result.items[0]._id), String(complaints[0]._id));
+  assert.equal(result.items[0].score, 1);
+});
+
+test("a department-scoped semantic search only returns that department's complaints", async () => {
+  const admin = { _id: new Types.ObjectId(), role: "admin" };
+  const result = await searchComplaints(admin, { q: "burst pipe", mode: "semantic", department: String(water) });
+
+  assert.deepEqual(result.items.map(item => String(item._id)), [String(complaints[0]._id)]);
+});
+
+test("highlights mark every match and escape the rest", () => {
+  const highlighter = buildHighlighter("burst");
+
+  assert.equal(
+    highlight("Pipe burst <here>, \"burst\" again", highlighter),
+    "Pipe <mark>burst</mark> &lt;here&gt;, &quot;<mark>burst</mark>&quot; again"
+  );
+});
@@ -0,0 +1,83 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Types } = require("mongoose");
+
+process.env.VECTOR_INDEX_PATH = path.join(os.tmpdir(), `vector-index-test-${process.pid}.json`);
+
+const Complaint = require("../src/models/complaint");
+const { toPoint, fromPoint, distanceMeters } = require("../src/services/geo.service");
+const vectorIndex = require("../src/services/vector-index.service");
+
+const CATEGORIES = ["Garbage", "Drainage", "Road Damage", "Streetlight Issue"];
+
+// 3,000 complaints spread over the city, with random 8-dimensional embeddings
+const complaints = Array.from({ length: 3000 }, (_, i) => ({
+  _id: new Types.ObjectId(),
+  embedding: Array.from({ length: 8 }, () => Math.random() - 0.5),
+  geoLocation: toPoint({ lat: 18.45 + (i % 60) * 0.003, lng: 73.8 + Math.floor(i / 60) * 0.003 }),
+  category: CATEGORIES[i % CATEGORIES.length],
+  status: "Assigned",
+  mergedInto: null,
+  department: null,
+  createdBy: new Types.ObjectId(),
+  createdAt: new Date("2026-01-01")
+}));
+
+Complaint.find = () => {
+  const query = {
+    select: () => query,
+    lean: () => ({ async *cursor() { yield* complaints; } })
+  };
+  return query;
+};
+
+before(() => vectorIndex.rebuildIndex());
+after(() => fs.rmSync(process.env.VECTOR_INDEX_PATH, { force: true }));
+
+function cosine(a, b) {
+  const dot = a.reduce((sum, v, i) => sum + v * b[i], 0);
+  const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+test("a query near a point returns the closest complaints within the radius", () => {
+  const near = { coordinates: { lat: 18.5, lng: 73.85 }, radiusMeters: 500 };
+  const query = complaints[0].embedding;
+  const found = vectorIndex.querySimilar(query, { k: 5, near });
+
+  const expected = complaints
+    .filter(c => distanceMeters(near.coordinates, fromPoint(c.geoLocation)) <= near.radiusMeters)
+    .map(c => ({ id: String(c._id), score: cosine(query, c.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  assert.deepEqual(found.map(m => m.id), expected.map(m => m.id));
+});
+
+test("a category query only returns that category", () => {
+  const found = vectorIndex.querySimilar(complaints[1].embedding, { k: 20, category: "Drainage" });
+  const byId = new Map(complaints.map(c => [String(c._id), c]));
+
+  assert.equal(found.length, 20);
+  assert.ok(found.every(m => byId.get(m.id).category === "Drainage"));
+});
+
+test("the index is rebuilt once removed complaints pile up", async () => {
+  // Removed embeddings leave tombstones
+  for (const complaint of complaints.slice(0, 1000)) {
+    vectorIndex.indexComplaint({ ...complaint, embedding: [] });
+  }
+  complaints.splice(0, 1000);
+
+  // Rebuilt and saved
+  while (!vectorIndex.getIndexStatus().savedAt) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const status = vectorIndex.getIndexStatus();
+  assert.equal(status.size, 2000);
+  assert.equal(status.tombstones, 0);
+});